@@ -0,0 +1,57 @@
+/**
+ * Alerts raised by warm runs
+ *
+ * Each alert is kept in KV (the latest 50 per site, under `alerts`) for the
+ * dashboard and GET /alerts, and posted to the ALERT_WEBHOOK_URL secret when
+ * one is set. The webhook body carries a `text` summary, which Slack and
+ * most chat incoming webhooks display as is, plus the alert's fields.
+ */
+
+const ALERTS_KEY = 'alerts';
+const MAX_ALERTS = 50;
+
+/**
+ * Record an alert ({ type, title, ...details }) and send it to the webhook.
+ * A webhook failure is logged; the alert is still recorded.
+ */
+export async function raiseAlert(env, alert) {
+  const entry = { ...alert, raisedAt: new Date().toISOString() };
+  console.warn(`ALERT: ${entry.title}`);
+
+  const alerts = await getAlerts(env);
+  await env.CACHE_WARMER_KV.put(ALERTS_KEY, JSON.stringify([entry, ...alerts].slice(0, MAX_ALERTS)));
+
+  if (env.ALERT_WEBHOOK_URL) {
+    try {
+      const response = await fetch(env.ALERT_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: alertText(entry), ...entry })
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    } catch (webhookErr) {
+      console.error('Failed to send alert to webhook:', webhookErr);
+    }
+  }
+  return entry;
+}
+
+/**
+ * Recorded alerts, newest first.
+ */
+export async function getAlerts(env) {
+  const json = await env.CACHE_WARMER_KV.get(ALERTS_KEY);
+  if (!json) return [];
+  try {
+    return JSON.parse(json);
+  } catch (parseErr) {
+    console.error('Failed to parse alerts:', parseErr);
+    return [];
+  }
+}
+
+function alertText({ title, urls = [] }) {
+  const listed = urls.slice(0, 10).map(({ url, failures = [] }) => `- ${url}${failures.length > 0 ? `: ${failures.join('; ')}` : ''}`);
+  if (urls.length > listed.length) listed.push(`- and ${urls.length - listed.length} more`);
+  return [title, ...listed].join('\n');
+}
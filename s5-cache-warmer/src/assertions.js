@@ -0,0 +1,179 @@
+/**
+ * Content assertions on warmed pages
+ *
+ * An origin in trouble often still answers 200: a maintenance page, an empty
+ * template, a truncated body. Assertions describe what a good page looks like
+ * for a URL pattern (rules.js matcher syntax) and are checked against the
+ * body of every page warmed:
+ * - contains:  text, or list of texts, the body must include
+ * - selector:  CSS selector that must match an element (HTMLRewriter syntax)
+ * - minBytes:  smallest acceptable body size
+ * - forbidden: text, or list of texts, the body must not include
+ * Every assertion matching a URL applies. A failing page is flagged in the
+ * run's report. When the assertion has `quarantine: true` the page is checked
+ * before it is cached, and a failing page counts as failed, is quarantined
+ * (see quarantine.js) and is not warmed, variants included. Only the
+ * baseline request of each page is checked, not its variants.
+ */
+
+import { compileMatcher } from './rules.js';
+
+const ASSERTION_FIELDS = ['name', 'host', 'path', 'regex', 'source', 'olderThanDays', 'contains', 'selector', 'minBytes', 'forbidden', 'quarantine'];
+
+// Flagged pages kept per run in the stored report
+const MAX_REPORTED_PAGES = 100;
+
+const toList = value => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+/**
+ * Compile a site's assertions. Returns { assertions, resolve } where
+ * `assertions` maps each name to its checks (JSON-safe, sent in the warm
+ * request) and resolve(entry) lists the names that apply to an entry.
+ */
+export function createAssertionResolver(assertions = []) {
+  const table = {};
+  const compiled = assertions.map(assertion => {
+    table[assertion.name] = {
+      contains: toList(assertion.contains),
+      selector: assertion.selector || null,
+      minBytes: assertion.minBytes || 0,
+      forbidden: toList(assertion.forbidden),
+      quarantine: assertion.quarantine === true
+    };
+    return { name: assertion.name, matches: compileMatcher(assertion) };
+  });
+
+  return {
+    assertions: table,
+    resolve: entry => compiled.filter(assertion => assertion.matches(entry)).map(assertion => assertion.name)
+  };
+}
+
+/**
+ * Check a page body against named assertions ({ name: checks }). Resolves to
+ * the failures as [{ assertion, check, message }], empty when the page passes.
+ */
+export async function checkContent(body, assertions) {
+  const failures = [];
+  const fail = (assertion, check, message) => failures.push({ assertion, check, message });
+
+  const bytes = new TextEncoder().encode(body).byteLength;
+  const selectors = Object.values(assertions).map(checks => checks.selector).filter(Boolean);
+  const found = selectors.length > 0 ? await matchSelectors(body, [...new Set(selectors)]) : new Set();
+
+  for (const [name, checks] of Object.entries(assertions)) {
+    checks.contains.filter(text => !body.includes(text)).forEach(text => fail(name, 'contains', `missing "${text}"`));
+    if (checks.selector && !found.has(checks.selector)) fail(name, 'selector', `no element matches ${checks.selector}`);
+    if (bytes < checks.minBytes) fail(name, 'minBytes', `${bytes} bytes, under ${checks.minBytes}`);
+    checks.forbidden.filter(text => body.includes(text)).forEach(text => fail(name, 'forbidden', `contains "${text}"`));
+  }
+  return failures;
+}
+
+/**
+ * Selectors matching at least one element of an HTML body. One the rewriter
+ * rejects counts as found, so a config typo cannot quarantine every page.
+ */
+async function matchSelectors(body, selectors) {
+  const found = new Set();
+  let rewriter = new HTMLRewriter();
+  for (const selector of selectors) {
+    try {
+      rewriter = rewriter.on(selector, {
+        element() {
+          found.add(selector);
+        }
+      });
+    } catch (selectorErr) {
+      console.error(`Content assertion selector "${selector}" is not supported:`, selectorErr);
+      found.add(selector);
+    }
+  }
+  await rewriter.transform(new Response(body, { headers: { 'Content-Type': 'text/html' } })).arrayBuffer();
+  return found;
+}
+
+export function emptyAssertionStats() {
+  return {
+    checked: 0,       // pages with at least one assertion
+    failed: 0,        // pages failing any of them
+    quarantined: 0,   // failed pages counted as failures (quarantine: true)
+    byAssertion: {}   // failing pages per assertion name
+  };
+}
+
+/**
+ * Count a checked page's outcome.
+ */
+export function tallyAssertions(stats, failures, quarantined) {
+  stats.checked++;
+  if (failures.length === 0) return;
+  stats.failed++;
+  if (quarantined) stats.quarantined++;
+  new Set(failures.map(failure => failure.assertion)).forEach(name => {
+    stats.byAssertion[name] = (stats.byAssertion[name] || 0) + 1;
+  });
+}
+
+/**
+ * Page records that failed an assertion, as report entries (capped).
+ */
+export function assertionEntries(records) {
+  return records
+    .filter(record => record.assertionFailures?.length > 0)
+    .slice(0, MAX_REPORTED_PAGES)
+    .map(({ url, status, cacheStatus, bytes, quarantined, assertionFailures, timestamp }) => ({
+      url,
+      status,
+      cacheStatus,
+      bytes,
+      quarantined,
+      failures: assertionFailures,
+      timestamp
+    }));
+}
+
+/**
+ * Problems with an assertion list (empty when it is valid).
+ */
+export function validateAssertions(assertions) {
+  if (!Array.isArray(assertions)) return ['contentAssertions must be a list'];
+
+  const errors = [];
+  const names = new Set();
+  const isTextList = value => toList(value).length > 0 && toList(value).every(text => typeof text === 'string' && text !== '');
+
+  assertions.forEach((assertion, index) => {
+    const path = `contentAssertions[${index}]`;
+    if (!assertion || typeof assertion !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (typeof assertion.name !== 'string' || !assertion.name || names.has(assertion.name)) {
+      errors.push(`${path} needs a unique name`);
+    }
+    names.add(assertion.name);
+
+    const unknown = Object.keys(assertion).filter(key => !ASSERTION_FIELDS.includes(key));
+    if (unknown.length > 0) errors.push(`${path} has unknown fields: ${unknown.join(', ')}`);
+
+    try {
+      compileMatcher(assertion);
+    } catch (compileErr) {
+      errors.push(`${path} matcher does not compile: ${compileErr.message}`);
+    }
+
+    const { contains, selector, minBytes, forbidden, quarantine } = assertion;
+    if (contains === undefined && selector === undefined && minBytes === undefined && forbidden === undefined) {
+      errors.push(`${path} needs at least one of contains, selector, minBytes, forbidden`);
+    }
+    if (contains !== undefined && !isTextList(contains)) errors.push(`${path}.contains must be a non-empty string or list of strings`);
+    if (forbidden !== undefined && !isTextList(forbidden)) errors.push(`${path}.forbidden must be a non-empty string or list of strings`);
+    if (selector !== undefined && (typeof selector !== 'string' || !selector.trim())) errors.push(`${path}.selector must be a non-empty string`);
+    if (minBytes !== undefined && !(Number.isInteger(minBytes) && minBytes > 0)) errors.push(`${path}.minBytes must be a positive integer`);
+    if (quarantine !== undefined && typeof quarantine !== 'boolean') errors.push(`${path}.quarantine must be true or false`);
+  });
+
+  return errors;
+}
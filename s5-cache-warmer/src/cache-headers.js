@@ -0,0 +1,96 @@
+/**
+ * Cache header audit
+ *
+ * Reads the headers that decide whether the edge may store a page and names
+ * what keeps it out of the cache, most likely cause first:
+ * - cacheControl: private, no-store, no-cache or a zero max-age
+ * - setCookie: the response sets a cookie, so the cache won't store it
+ * - vary: varies on something other than Accept-Encoding
+ * - expires: Expires already past, with no max-age to override it
+ * - bypass: the edge reports BYPASS or DYNAMIC; with none of the above, a
+ *   cache rule (or the default for the file type) leaves the page out
+ */
+
+export const CACHE_DEFEATS = ['cacheControl', 'setCookie', 'vary', 'expires', 'bypass'];
+
+// Statuses served from (or on the way into) the cache
+const CACHED_STATUSES = ['HIT', 'STALE', 'UPDATING', 'REVALIDATED'];
+
+// Uncacheable pages listed per run
+const MAX_AUDITED_PAGES = 100;
+
+/**
+ * Caching headers worth keeping with a page record. Cookie values are left
+ * out; the names are enough to find what sets them.
+ */
+export function captureCacheHeaders(headers) {
+  const setCookies = typeof headers.getSetCookie === 'function'
+    ? headers.getSetCookie()
+    : [headers.get('Set-Cookie')].filter(Boolean);
+  const age = headers.get('Age');
+  return {
+    cacheControl: headers.get('Cache-Control'),
+    vary: headers.get('Vary'),
+    age: age === null ? null : parseInt(age, 10),
+    expires: headers.get('Expires'),
+    setCookie: setCookies.map(cookie => cookie.split('=')[0].trim())
+  };
+}
+
+/**
+ * Headers on a response that would keep it out of the cache, as
+ * CACHE_DEFEATS names in that order (empty when none are found).
+ */
+export function cacheDefeats(headers) {
+  const defeats = [];
+  const cacheControl = headers.get('Cache-Control') || '';
+  if (/\b(private|no-store|no-cache)\b|\b(max-age|s-maxage)=0\b/i.test(cacheControl)) defeats.push('cacheControl');
+
+  if (headers.get('Set-Cookie')) defeats.push('setCookie');
+
+  const vary = (headers.get('Vary') || '').split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+  if (vary.some(value => value !== 'accept-encoding')) defeats.push('vary');
+
+  // A max-age wins over Expires; an unparseable Expires counts as past
+  const expires = headers.get('Expires');
+  if (expires && !/\b(max-age|s-maxage)=/i.test(cacheControl)) {
+    const expiresAt = Date.parse(expires);
+    if (Number.isNaN(expiresAt) || expiresAt <= Date.now()) defeats.push('expires');
+  }
+
+  const cacheStatus = (headers.get('CF-Cache-Status') || '').toUpperCase();
+  if (['BYPASS', 'DYNAMIC'].includes(cacheStatus)) defeats.push('bypass');
+  return defeats;
+}
+
+/**
+ * Whether a page response could not have been cached: the edge bypassed it,
+ * or it missed with headers that stop it being stored.
+ */
+export function isUncacheable(cacheStatus, defeats) {
+  if (['BYPASS', 'DYNAMIC'].includes(cacheStatus)) return true;
+  return !CACHED_STATUSES.includes(cacheStatus) && defeats.length > 0;
+}
+
+/**
+ * Audit of a run's page records: the number of uncacheable pages, counts by
+ * likely cause, and the pages themselves (capped) with their headers.
+ */
+export function auditRecords(records) {
+  const flagged = records.filter(record => record.uncacheableCause);
+  const byCause = {};
+  flagged.forEach(record => {
+    byCause[record.uncacheableCause] = (byCause[record.uncacheableCause] || 0) + 1;
+  });
+  return {
+    uncacheable: flagged.length,
+    byCause,
+    pages: flagged.slice(0, MAX_AUDITED_PAGES).map(({ url, cacheStatus, uncacheableCause, cacheDefeats: defeats, cacheHeaders }) => ({
+      url,
+      cacheStatus,
+      likelyCause: uncacheableCause,
+      causes: defeats,
+      headers: cacheHeaders
+    }))
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * Cache policies: the edge caching options each URL is warmed with
+ *
+ * A policy is a matcher (rules.js syntax: host, path, regex, source,
+ * olderThanDays) plus the `cf` options sent with the warm request. Policies
+ * are checked in order and the first match wins; a URL matching none is
+ * warmed under the "default" policy, built from the site's cacheTtlSeconds.
+ * - cacheTtlByStatus: TTL per status code or range, merged over the default
+ *   map, so { '200-299': 3600 } still keeps 404s for 5 minutes (and
+ *   permanent redirects for WARM_REDIRECTS.cacheTtlSeconds, since each hop
+ *   is warmed too)
+ * - cacheEverything: cache HTML as well as static files (default true)
+ * - cacheKey: { ignoreQuery: true } or { keepQuery: ['page'] }, sent as
+ *   cf.cacheKey. Only useful when it mirrors the zone's own cache key
+ *   settings (custom cache keys need an Enterprise zone).
+ * Pages with a quarantining content assertion (assertions.js) are checked
+ * under the "quarantine" policy, which stores nothing, before they are warmed
+ * under their own.
+ */
+
+import { WARM_REDIRECTS } from './config.js';
+import { compileMatcher } from './rules.js';
+
+export const DEFAULT_POLICY = 'default';
+export const QUARANTINE_POLICY = 'quarantine';
+
+const POLICY_FIELDS = ['name', 'host', 'path', 'regex', 'source', 'olderThanDays', 'cacheTtlByStatus', 'cacheEverything', 'cacheKey'];
+
+/**
+ * Policy used for URLs no configured policy matches, and for subresources
+ * and media (which carry their own TTL).
+ */
+export function defaultCachePolicy(cacheTtlSeconds) {
+  const redirectTtl = Math.min(WARM_REDIRECTS.cacheTtlSeconds, cacheTtlSeconds);
+  return {
+    name: DEFAULT_POLICY,
+    cacheEverything: true,
+    cacheTtlByStatus: {
+      '200-299': cacheTtlSeconds,
+      '301': redirectTtl,
+      '308': redirectTtl,
+      '404': 300,
+      '500-599': 0
+    },
+    cacheKey: null
+  };
+}
+
+/**
+ * Policy for checking a page before it is cached: fetched (so its assertions
+ * are checked) but not cached, whatever the status.
+ */
+export function quarantinePolicy() {
+  return {
+    name: QUARANTINE_POLICY,
+    cacheEverything: false,
+    cacheTtlByStatus: { '100-599': -1 },
+    cacheKey: null
+  };
+}
+
+/**
+ * Compile a site's policies. Returns { policies, resolve } where `policies`
+ * maps each name to the options the DO needs (JSON-safe, sent in the warm
+ * request) and resolve(entry) names the policy for a discovered entry.
+ */
+export function createPolicyResolver(policies = [], cacheTtlSeconds) {
+  const fallback = defaultCachePolicy(cacheTtlSeconds);
+  const table = { [DEFAULT_POLICY]: fallback };
+  const compiled = policies.map(policy => {
+    table[policy.name] = {
+      name: policy.name,
+      cacheEverything: policy.cacheEverything ?? true,
+      cacheTtlByStatus: { ...fallback.cacheTtlByStatus, ...policy.cacheTtlByStatus },
+      cacheKey: policy.cacheKey || null
+    };
+    return { name: policy.name, matches: compileMatcher(policy) };
+  });
+
+  return {
+    policies: table,
+    resolve: entry => compiled.find(policy => policy.matches(entry))?.name || DEFAULT_POLICY
+  };
+}
+
+/**
+ * `cf` fetch options for warming `url` under a policy.
+ */
+export function cacheOptions(policy, url) {
+  const cf = {
+    cacheEverything: policy.cacheEverything,
+    cacheTtlByStatus: policy.cacheTtlByStatus
+  };
+  const cacheKey = policy.cacheKey && buildCacheKey(url, policy.cacheKey);
+  if (cacheKey) cf.cacheKey = cacheKey;
+  return cf;
+}
+
+function buildCacheKey(url, { ignoreQuery = false, keepQuery = null }) {
+  if (!ignoreQuery && !keepQuery) return null;
+  const parsed = new URL(url);
+  const kept = new URLSearchParams();
+  if (keepQuery) {
+    for (const [key, value] of parsed.searchParams) {
+      if (keepQuery.includes(key)) kept.append(key, value);
+    }
+  }
+  parsed.search = kept.toString();
+  parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * Problems with a policy list (empty when it is valid).
+ */
+export function validatePolicies(policies) {
+  if (!Array.isArray(policies)) return ['cachePolicies must be a list'];
+
+  const errors = [];
+  const names = new Set([DEFAULT_POLICY, QUARANTINE_POLICY]);
+
+  policies.forEach((policy, index) => {
+    const path = `cachePolicies[${index}]`;
+    if (!policy || typeof policy !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    if (typeof policy.name !== 'string' || !policy.name || names.has(policy.name)) {
+      errors.push(`${path} needs a unique name (not "${DEFAULT_POLICY}" or "${QUARANTINE_POLICY}")`);
+    }
+    names.add(policy.name);
+
+    const unknown = Object.keys(policy).filter(key => !POLICY_FIELDS.includes(key));
+    if (unknown.length > 0) errors.push(`${path} has unknown fields: ${unknown.join(', ')}`);
+
+    try {
+      compileMatcher(policy);
+    } catch (compileErr) {
+      errors.push(`${path} matcher does not compile: ${compileErr.message}`);
+    }
+
+    const ttls = policy.cacheTtlByStatus;
+    if (!ttls || typeof ttls !== 'object' || Array.isArray(ttls)) {
+      errors.push(`${path}.cacheTtlByStatus must be an object like { "200-299": 3600 }`);
+    } else {
+      for (const [status, ttl] of Object.entries(ttls)) {
+        if (!/^[1-5]\d\d(-[1-5]\d\d)?$/.test(status)) errors.push(`${path}.cacheTtlByStatus: "${status}" is not a status code or range`);
+        if (!Number.isInteger(ttl) || ttl < -1) errors.push(`${path}.cacheTtlByStatus["${status}"] must be an integer >= -1`);
+      }
+    }
+
+    if (policy.cacheEverything !== undefined && typeof policy.cacheEverything !== 'boolean') {
+      errors.push(`${path}.cacheEverything must be true or false`);
+    }
+
+    const { cacheKey } = policy;
+    if (cacheKey !== undefined && cacheKey !== null) {
+      const validKey = typeof cacheKey === 'object'
+        && Object.keys(cacheKey).every(key => ['ignoreQuery', 'keepQuery'].includes(key))
+        && (cacheKey.ignoreQuery === undefined || typeof cacheKey.ignoreQuery === 'boolean')
+        && (cacheKey.keepQuery === undefined || (Array.isArray(cacheKey.keepQuery) && cacheKey.keepQuery.every(key => typeof key === 'string')));
+      if (!validKey) errors.push(`${path}.cacheKey must be { ignoreQuery: true } or { keepQuery: [...] }`);
+    }
+  });
+
+  return errors;
+}
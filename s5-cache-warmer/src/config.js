@@ -1,7 +1,10 @@
 /**
  * Configuration for S-5 Cache Warmer
  * Central location for all configuration constants.
- * - Sitemaps
+ * The site-specific settings here (sitemaps, hosts, sources, rules, crawl
+ * seeds) define the default S-5 site; further sites are stored in KV and
+ * managed through the /sites API (see sites.js).
+ * - Sitemaps (static list or robots.txt discovery per host)
  * - Region rotation (labels)
  * - DO location hints
  * - Representative POPs (IATA colos) per region for verification/UI
@@ -25,6 +28,291 @@ export const SITEMAPS = [
   'https://es.s-5.com/tribe_events-sitemap.xml',
 ];
 
+/**
+ * How sitemaps are found (override with the SITEMAP_DISCOVERY env var):
+ * - 'robots': read each host's robots.txt Sitemap: directives and walk the
+ *   indexes, falling back to /sitemap_index.xml and /sitemap.xml
+ * - 'static': use the SITEMAPS list above
+ * Either way, a sitemap reached twice (e.g. an index and its own child) is
+ * only fetched once.
+ */
+export const SITEMAP_DISCOVERY = 'robots';
+
+/**
+ * Hosts whose robots.txt is read in 'robots' discovery mode.
+ */
+export const SITEMAP_HOSTS = [
+  'www.s-5.com',
+  'es.s-5.com',
+];
+
+/**
+ * Conventional sitemap locations tried when robots.txt lists none.
+ */
+export const SITEMAP_FALLBACK_PATHS = [
+  '/sitemap_index.xml',
+  '/sitemap.xml',
+];
+
+/**
+ * Sitemap and robots.txt fetching during discovery
+ * - concurrency: sitemaps and robots.txt files downloaded at once (SITEMAP_CONCURRENCY env var)
+ * - timeoutMs: limit per file, including the body (SITEMAP_TIMEOUT_MS env var)
+ * - cacheTtlSeconds: how long a parsed sitemap is kept in KV for conditional
+ *   revalidation and as a fallback when a fetch fails
+ */
+export const SITEMAP_FETCH = {
+  concurrency: 4,
+  timeoutMs: 15000,
+  cacheTtlSeconds: 60 * 60 * 24 * 7,
+};
+
+/**
+ * URL sources merged with the sitemaps (after them, so a URL found in both
+ * keeps its sitemap metadata). Each needs a unique name, which is recorded on
+ * every URL it contributes.
+ * - type 'feed': RSS or Atom feed
+ * - type 'list': plain-text (one URL per line) or JSON URL list
+ * The KV-managed pinned list (/pinned API) is always included as 'pinned'.
+ */
+export const URL_SOURCES = [
+  { name: 'blog-feed', type: 'feed', url: 'https://www.s-5.com/feed/' },
+  { name: 'events-feed', type: 'feed', url: 'https://www.s-5.com/events/feed/' },
+];
+
+/**
+ * Link-following crawl for pages missing from every sitemap (landing pages,
+ * PDF spec sheets). Off by default; enable here or with CRAWL_ENABLED="true".
+ * Found URLs join the warm set as source 'crawl-discovered'.
+ * - seeds: start pages; only links on each seed's own host are followed
+ * - maxDepth: how many links away from a seed to go
+ * - maxPages: cap on URLs found (fetched pages plus linked documents)
+ * - concurrency: pages fetched at once
+ * - ignoreQuery: skip links with a query string (filters, sort orders)
+ * robots.txt Disallow rules for S5-Cache-Warmer (or *) are always honoured.
+ */
+export const CRAWL = {
+  enabled: false,
+  seeds: [
+    'https://www.s-5.com/',
+    'https://es.s-5.com/',
+  ],
+  maxDepth: 2,
+  maxPages: 200,
+  concurrency: 3,
+  ignoreQuery: true,
+};
+
+/**
+ * Warm every hreflang translation of a page in the same batch as the page
+ * itself (override with WARM_TRANSLATION_CLUSTERS="true"/"false").
+ * Batches can then exceed MAX_URLS_PER_RUN by the size of each cluster.
+ */
+export const WARM_TRANSLATION_CLUSTERS = false;
+
+/**
+ * Subresource warming: after each HTML page is warmed, collect its same-zone
+ * stylesheets, scripts, preloads, fonts and images (img src/srcset), dedupe
+ * them across the batch and warm those too. Off by default; override with
+ * WARM_SUBRESOURCES="true".
+ * - zone: assets on this domain or any subdomain are warmed
+ * - maxAssets: cap per batch (keeps the DO within subrequest limits)
+ * - rateLimitMs: delay between asset requests
+ */
+export const SUBRESOURCE_WARMING = {
+  enabled: false,
+  zone: 's-5.com',
+  maxAssets: 500,
+  rateLimitMs: 250,
+};
+
+/**
+ * Page request pacing inside the Durable Object (see pacer.js). Requests run
+ * concurrently, starting from `concurrency` in flight spaced by the site's
+ * rate limit; 429/503 (and Retry-After), slow first bytes and errors back
+ * off, runs of fast cache HITs speed up within these bounds.
+ */
+export const WARM_PACING = {
+  concurrency: 2,
+  minConcurrency: 1,
+  maxConcurrency: 6,
+  minDelayMs: 50,
+  maxDelayMs: 30000,
+  slowTtfbMs: 1500,       // first byte slower than this backs off
+  fastTtfbMs: 300,        // HITs faster than this count towards speeding up
+  maxRetryAfterMs: 60000, // longest Retry-After honoured
+};
+
+/**
+ * Page request retries inside the Durable Object (see retry.js). A failed
+ * request is tried again, up to maxAttempts in all, when its failure class is
+ * in retryOn or its status in retryStatuses, after an exponential backoff with
+ * jitter (baseDelayMs doubling per attempt, capped at maxDelayMs). Other
+ * client errors and redirect loops are reported straight away.
+ * - timeoutMs: limit per attempt, including the body
+ */
+export const WARM_RETRY = {
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  timeoutMs: 20000,
+  retryOn: ['timeout', 'network', '5xx'],
+  retryStatuses: [408, 429],
+};
+
+/**
+ * Redirects are followed hop by hop (see redirects.js), so each redirect
+ * response is warmed along with its final target, and sitemap entries that
+ * redirect show up in the /redirects report.
+ * - maxHops: longer chains are flagged for cleanup
+ * - followLimit: stop following (reported as a redirect loop) after this many hops
+ * - cacheTtlSeconds: how long the default cache policy keeps permanent
+ *   redirects (301/308), capped at the page TTL; kept short so a redirect
+ *   changed or removed at the origin is not served for hours
+ */
+export const WARM_REDIRECTS = {
+  maxHops: 2,
+  followLimit: 10,
+  cacheTtlSeconds: 600,
+};
+
+/**
+ * Warm-then-verify (see verify.js): once a job's pages are warmed, request a
+ * sample of them again after delayMs and count how many now come back HIT.
+ * Off by default; override with WARM_VERIFY="true".
+ * - sampleRate: share of the warmed pages to check (1 = all of them)
+ * - maxUrls: cap per job, as the checks are subrequests too
+ * - delayMs: time a page is given after its warm before it is checked
+ * - rateLimitMs: delay between verification requests
+ */
+export const WARM_VERIFY = {
+  enabled: false,
+  sampleRate: 0.2,
+  maxUrls: 100,
+  delayMs: 5000,
+  rateLimitMs: 250,
+};
+
+/**
+ * Warm jobs: the Durable Object stores each batch and works through it in
+ * chunks, one per alarm, saving results after every chunk so a restart
+ * resumes instead of losing the run (see warmer-do.js).
+ * - chunkSize: pages warmed per alarm
+ * - maxChunkAttempts: a chunk (or finishing step) that keeps failing fails the job
+ * - keepJobs: finished jobs kept per Durable Object for polling
+ * - pollIntervalMs: how often /trigger polls its job
+ * - triggerWaitMs: how long /trigger waits before answering with the job ID
+ * Cron runs do not wait: they dispatch each site's job and the DO logs the
+ * summary when it finishes.
+ */
+export const WARM_JOBS = {
+  chunkSize: 25,
+  maxChunkAttempts: 3,
+  keepJobs: 20,
+  pollIntervalMs: 3000,
+  triggerWaitMs: 30000,
+};
+
+/**
+ * Request variants: warm each URL once per combination of device, language,
+ * query string and cookie options (see variants.js), so visitors whose
+ * requests land on other cache keys also get warm pages. Off by default;
+ * enable here or with WARM_VARIANTS="true". Each variant is a separate
+ * request, so maxPerUrl x MAX_URLS_PER_RUN must stay within subrequest limits.
+ */
+export const REQUEST_VARIANTS = {
+  enabled: false,
+  maxPerUrl: 4,
+  devices: [
+    { name: 'desktop' },
+    { name: 'mobile', userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 S5-Cache-Warmer/1.0' },
+  ],
+  languages: [
+    { name: 'en', acceptLanguage: 'en-US,en;q=0.9' },
+    { name: 'es', acceptLanguage: 'es-ES,es;q=0.9,en;q=0.5' },
+  ],
+  queries: [],  // e.g. { name: 'utm', params: { utm_source: 'newsletter' } }
+  cookies: [],  // e.g. { name: 'consent', cookies: { cookie_consent: 'accepted' } }
+};
+
+/**
+ * Image/video URLs from sitemap image and video extensions, warmed after the
+ * pages that list them. Off by default; enable here or with WARM_MEDIA="true".
+ * - zone: only media on this domain or a subdomain is warmed
+ * - cacheTtlSeconds: edge TTL for media (longer than pages; media rarely changes)
+ * - rateLimitMs: delay between media requests
+ * - maxPerRun: cap per batch (keeps the DO within subrequest limits)
+ * - images / videoThumbnails / videoContent: which media to include
+ *   (video files are large, so they are opt-in on their own)
+ */
+export const MEDIA_WARMING = {
+  enabled: false,
+  zone: 's-5.com',
+  cacheTtlSeconds: 604800,
+  rateLimitMs: 500,
+  maxPerRun: 500,
+  images: true,
+  videoThumbnails: true,
+  videoContent: false,
+};
+
+/**
+ * Include/exclude rules applied between discovery and batching
+ * (matcher syntax is documented in rules.js).
+ * - include: if any exist, a URL must match one of them to be warmed
+ * - exclude: URLs matching are dropped; /status reports counts per rule
+ */
+export const URL_RULES = [
+  // Event pages nobody has touched in 90 days are almost always past events
+  { name: 'stale-events', action: 'exclude', source: '**/tribe_events-sitemap.xml', olderThanDays: 90 },
+  // Event taxonomy archives (The Events Calendar category/tag listings)
+  { name: 'event-taxonomies', action: 'exclude', path: ['/events/category/**', '/events/tag/**'] },
+];
+
+/**
+ * Edge cache policies per URL pattern or source (first match wins; see
+ * cache-policy.js). Unmatched URLs use the site TTL (4h for S-5).
+ */
+export const CACHE_POLICIES = [
+  // Homepages change with every campaign
+  { name: 'homepage', path: '/', cacheTtlByStatus: { '200-299': 3600 } },
+  // Event listings and pages change as registrations open and close
+  { name: 'events', path: ['/events', '/events/**'], cacheTtlByStatus: { '200-299': 900 } },
+  // Product pages are stable between catalogue updates
+  { name: 'products', source: ['**/product-sitemap.xml', '**/products-sitemap.xml'], cacheTtlByStatus: { '200-299': 86400 } },
+];
+
+/**
+ * Content assertions: checks on the body of each warmed page, so an error
+ * page served with a 200 (maintenance mode, an empty WooCommerce template)
+ * is caught instead of cached for hours. Every matching assertion applies
+ * (matcher syntax as for URL_RULES); each sets any of:
+ * - contains: text (or list) the body must include
+ * - selector: CSS selector that must match at least one element
+ * - minBytes: smallest acceptable body
+ * - forbidden: text (or list) the body must not include
+ * - quarantine: check the page without caching it and warm it only if it
+ *   passes; on failure count it as failed, quarantine it and raise an alert,
+ *   rather than only flagging it (costs a second request per passing page)
+ * See assertions.js.
+ */
+export const CONTENT_ASSERTIONS = [
+  // WordPress core maintenance mode (.maintenance file left behind by an update)
+  { name: 'maintenance', forbidden: 'Briefly unavailable for scheduled maintenance', quarantine: false },
+  // A product page that renders without its product is the empty template
+  // (WooCommerce themes; check the selector against yours before enabling)
+  // { name: 'product-template', source: ['**/product-sitemap.xml', '**/products-sitemap.xml'], selector: '.product_title', quarantine: true },
+  // Real pages are never this small; anything under it is a stub or error body
+  // (limit it to HTML pages: feeds and other small responses would fail it)
+  // { name: 'min-size', source: '**/page-sitemap.xml', minBytes: 2048 },
+];
+
+/**
+ * Drop URLs whose <lastmod> is older than this many days (0 = no limit).
+ * URLs without a lastmod are always kept. Override with MAX_URL_AGE_DAYS.
+ */
+export const MAX_URL_AGE_DAYS = 0;
+
 /**
  * Rotation order (labels shown in the dashboard)
  * Covers ALL documented locationHint regions.
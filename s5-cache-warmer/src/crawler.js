@@ -0,0 +1,166 @@
+/**
+ * Bounded link-following crawl for pages missing from the sitemaps
+ *
+ * Breadth-first from the seed URLs, following <a href> links on the seed's
+ * own host only, up to maxDepth links away and maxPages URLs in total.
+ * robots.txt is honoured for every URL, including the seeds. Documents that
+ * are clearly not HTML (PDF spec sheets etc.) are recorded without being
+ * fetched, since they have no links to follow.
+ */
+
+import { fetchRobotsTxt, createRobotsMatcher } from './robots.js';
+
+const NON_HTML_EXTENSIONS = /\.(pdf|zip|jpe?g|png|gif|webp|avif|svg|ico|mp4|webm|mov|mp3|docx?|xlsx?|pptx?|dwg|dxf|css|js|json|xml|txt|woff2?)$/i;
+
+/**
+ * Crawl from `seeds`. Returns { entries, report } where entries use the
+ * sitemap entry shape with source 'crawl-discovered' and sourceUrl set to the
+ * page the URL was first linked from (null for seeds).
+ */
+export async function crawlSite({ seeds, maxDepth = 2, maxPages = 200, concurrency = 3, ignoreQuery = true, timeoutMs = 15000, userAgent = 'S5-Cache-Warmer/1.0' }) {
+  const report = { seeds, maxDepth, maxPages, pagesFetched: 0, urlsFound: 0, disallowed: 0, errors: 0, capped: false };
+  const found = new Map();
+  const robotsByHost = new Map();
+
+  const allowed = async url => {
+    const { host } = new URL(url);
+    if (!robotsByHost.has(host)) {
+      robotsByHost.set(host, fetchRobotsTxt(host, userAgent, timeoutMs)
+        .then(robots => createRobotsMatcher(robots, userAgent))
+        .catch(error => {
+          // Unreachable robots.txt: be conservative and skip the host
+          console.error(`[crawl] robots.txt for ${host}: ${error.message}`);
+          return () => false;
+        }));
+    }
+    return (await robotsByHost.get(host))(url);
+  };
+
+  const record = async (url, depth, referrer) => {
+    if (found.has(url)) return false;
+    if (found.size < maxPages && !(await allowed(url))) {
+      report.disallowed++;
+      return false;
+    }
+    // Checked after the robots lookup, which may have let other links in first
+    if (found.has(url)) return false;
+    if (found.size >= maxPages) {
+      report.capped = true;
+      return false;
+    }
+    found.set(url, { url, depth, referrer });
+    return true;
+  };
+
+  let level = [];
+  for (const seed of seeds) {
+    const url = normalizeLink(seed, seed, { ignoreQuery: false });
+    if (url && await record(url, 0, null)) level.push(url);
+  }
+
+  for (let depth = 0; depth < maxDepth && level.length > 0; depth++) {
+    const next = [];
+    const pages = level.filter(url => !NON_HTML_EXTENSIONS.test(new URL(url).pathname));
+
+    for (let i = 0; i < pages.length; i += concurrency) {
+      await Promise.all(pages.slice(i, i + concurrency).map(async pageUrl => {
+        let links;
+        try {
+          links = await fetchLinks(pageUrl, { timeoutMs, userAgent });
+          report.pagesFetched++;
+        } catch (error) {
+          report.errors++;
+          console.warn(`[crawl] ${pageUrl}: ${error.message}`);
+          return;
+        }
+
+        const host = new URL(pageUrl).host;
+        for (const href of links) {
+          const url = normalizeLink(href, pageUrl, { ignoreQuery });
+          if (!url || new URL(url).host !== host) continue;
+          if (await record(url, depth + 1, pageUrl)) next.push(url);
+        }
+      }));
+    }
+
+    level = next;
+  }
+
+  report.urlsFound = found.size;
+
+  const entries = Array.from(found.values(), ({ url, referrer }) => ({
+    loc: url,
+    lastmod: null,
+    changefreq: null,
+    priority: null,
+    alternates: [],
+    images: [],
+    videos: [],
+    sitemap: null,
+    source: 'crawl-discovered',
+    sourceUrl: referrer
+  }));
+
+  return { entries, report };
+}
+
+/**
+ * Absolute http(s) URL for a link, without its fragment, or null.
+ * With ignoreQuery, links carrying a query string are skipped (filters and
+ * sort orders would otherwise multiply the crawl).
+ */
+function normalizeLink(href, baseUrl, { ignoreQuery }) {
+  let url;
+  try {
+    url = new URL(href.trim(), baseUrl);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+  if (ignoreQuery && url.search) return null;
+  url.hash = '';
+  return url.href;
+}
+
+/**
+ * Fetch a page and return the hrefs of its followable links.
+ * Non-HTML responses yield no links.
+ */
+async function fetchLinks(pageUrl, { timeoutMs, userAgent }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(pageUrl, {
+      headers: {
+        'User-Agent': userAgent,
+        'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5'
+      },
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`HTTP ${response.status}`);
+    }
+    if (!(response.headers.get('Content-Type') || '').includes('html')) {
+      await response.body?.cancel();
+      return [];
+    }
+
+    const links = [];
+    const rewriter = new HTMLRewriter().on('a[href], area[href]', {
+      element(el) {
+        const rel = (el.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+        if (!rel.includes('nofollow')) links.push(el.getAttribute('href'));
+      }
+    });
+    await rewriter.transform(response).arrayBuffer();
+    return links;
+  } catch (error) {
+    if (controller.signal.aborted) throw new Error(`Timed out after ${timeoutMs}ms`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -3,16 +3,24 @@
  */
 
 import { REGIONS } from './config.js';
-import { getStatus, getHistoricalData } from './storage.js';
+import { getStatus, getHistoricalData, getCacheAudit, getRedirectReport, getAssertionReport } from './storage.js';
+import { getQuarantine } from './quarantine.js';
+import { getAlerts } from './alerts.js';
+import { DEFAULT_SITE_ID } from './sites.js';
 
 /**
- * Generate HTML dashboard
+ * Generate HTML dashboard for one site (`env` scoped to it, see siteEnv).
+ * `sites` feeds the site switcher; `validation` (from validateConfig) adds a
+ * banner when the configuration has problems, as does an engaged `killSwitch`
+ * or a page in quarantine.
  */
-export async function generateDashboard(env) {
+export async function generateDashboard(env, site, sites = [site], validation = null, killSwitch = null) {
+  const siteRegions = site.regions;
+  const siteParam = site.id === DEFAULT_SITE_ID ? null : site.id;
   let status, history;
   
   try {
-    status = await getStatus(env);
+    status = await getStatus(env, site);
   } catch (error) {
     console.error('Failed to get status:', error);
     // Provide default status structure
@@ -20,7 +28,7 @@ export async function generateDashboard(env) {
       lastUpdated: new Date().toISOString(),
       regions: {}
     };
-    Object.keys(REGIONS).forEach(region => {
+    siteRegions.forEach(region => {
       status.regions[region] = {
         stats: null,
         currentProgress: '0',
@@ -30,7 +38,7 @@ export async function generateDashboard(env) {
   }
   
   try {
-    history = await getHistoricalData(env, null, 1000);
+    history = await getHistoricalData(env, null, 1000, site);
   } catch (error) {
     console.error('Failed to get historical data:', error);
     // Provide default history structure
@@ -49,8 +57,36 @@ export async function generateDashboard(env) {
     };
   }
   
+  let cacheAudits = [];
+  try {
+    cacheAudits = (await Promise.all(siteRegions.map(region => getCacheAudit(env, region)))).filter(Boolean);
+  } catch (error) {
+    console.error('Failed to get cache audits:', error);
+  }
+  const auditedPages = cacheAudits.flatMap(audit => audit.pages.map(page => ({ region: audit.region, ...page })));
+  
+  let redirectReport = { total: 0, loops: 0, longChains: 0, entries: [] };
+  try {
+    redirectReport = await getRedirectReport(env, site);
+  } catch (error) {
+    console.error('Failed to get redirect report:', error);
+  }
+  
+  let assertionReports = [];
+  let quarantine = {};
+  let latestAlert = null;
+  try {
+    assertionReports = (await Promise.all(siteRegions.map(region => getAssertionReport(env, region)))).filter(Boolean);
+    quarantine = await getQuarantine(env);
+    [latestAlert = null] = await getAlerts(env);
+  } catch (error) {
+    console.error('Failed to get content assertion results:', error);
+  }
+  const failedPages = assertionReports.flatMap(report => report.pages.map(page => ({ region: report.region, ...page })));
+  const quarantinedUrls = Object.keys(quarantine);
+  
   const regionData = {};
-  Object.keys(REGIONS).forEach(region => {
+  siteRegions.forEach(region => {
     regionData[region] = (history.results || [])
       .filter(r => r.region === region)
       .slice(0, 30)
@@ -93,6 +129,68 @@ export async function generateDashboard(env) {
     ? ((globalRegionStats.totalRegionMatched / totalRegionRequests) * 100).toFixed(2)
     : '0.00';
   
+  // Per-language coverage for each region over its recent runs
+  // (cached = HIT + EXPIRED, same definition as the hit rate)
+  const languageCoverage = {};
+  const languages = new Set();
+  Object.entries(regionData).forEach(([region, runs]) => {
+    runs.forEach(run => {
+      Object.entries(run.languageBreakdown || {}).forEach(([lang, counts]) => {
+        languages.add(lang);
+        const coverage = ((languageCoverage[region] ||= {})[lang] ||= { success: 0, cached: 0 });
+        coverage.success += counts.success || 0;
+        coverage.cached += (counts.cacheHit || 0) + (counts.cacheExpired || 0);
+      });
+    });
+  });
+  const sortedLanguages = Array.from(languages).sort((a, b) => (a === 'unknown') - (b === 'unknown') || a.localeCompare(b));
+  
+  // Same per-region coverage by URL source, with discovered counts from the last discovery
+  const discoveredBySource = status.discovery?.bySource || {};
+  const sourceCoverage = {};
+  const sources = new Set(Object.keys(discoveredBySource));
+  Object.entries(regionData).forEach(([region, runs]) => {
+    runs.forEach(run => {
+      Object.entries(run.sourceBreakdown || {}).forEach(([source, counts]) => {
+        sources.add(source);
+        const coverage = ((sourceCoverage[region] ||= {})[source] ||= { success: 0, cached: 0 });
+        coverage.success += counts.success || 0;
+        coverage.cached += (counts.cacheHit || 0) + (counts.cacheExpired || 0);
+      });
+    });
+  });
+  const sortedSources = Array.from(sources).sort((a, b) => (a !== 'sitemap') - (b !== 'sitemap') || a.localeCompare(b));
+  
+  // And per request variant dimension ("device:mobile"), counting every variant request
+  const dimensionCoverage = {};
+  const dimensionOptions = new Set();
+  Object.entries(regionData).forEach(([region, runs]) => {
+    runs.forEach(run => {
+      Object.entries(run.dimensionBreakdown || {}).forEach(([option, counts]) => {
+        dimensionOptions.add(option);
+        const coverage = ((dimensionCoverage[region] ||= {})[option] ||= { success: 0, cached: 0 });
+        coverage.success += counts.success || 0;
+        coverage.cached += (counts.cacheHit || 0) + (counts.cacheExpired || 0);
+      });
+    });
+  });
+  const sortedDimensionOptions = Array.from(dimensionOptions).sort();
+  
+  // Page latency from each region's last run, one chart row per cache status
+  // (HIT first, then MISS); bars are scaled to the slowest p99
+  const cacheStatusOrder = ['HIT', 'MISS', 'EXPIRED'];
+  const latencyRows = siteRegions.flatMap(region => 
+    Object.entries(status.regions[region]?.stats?.latency?.byCacheStatus || {})
+      .sort(([a], [b]) => ((cacheStatusOrder.indexOf(a) + 1) || 99) - ((cacheStatusOrder.indexOf(b) + 1) || 99) || a.localeCompare(b))
+      .map(([cacheStatus, summary]) => ({ region, cacheStatus, summary }))
+  );
+  const latencyScaleMs = Math.max(1, ...latencyRows.map(row => row.summary.ttfbMs.p99));
+  
+  // Verified pages that still missed on each region's last run
+  const verifyMisses = siteRegions.flatMap(region => 
+    (status.regions[region]?.stats?.verification?.misses || []).map(miss => ({ region, ...miss }))
+  );
+  
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -138,6 +236,40 @@ export async function generateDashboard(env) {
       background-clip: text;
     }
     
+    .config-banner {
+      background: #2d2a1f;
+      border: 1px solid #9e6a03;
+      border-radius: 8px;
+      padding: 12px 16px;
+      margin-bottom: 20px;
+      color: #e3b341;
+    }
+    
+    .config-banner.has-errors {
+      background: #2d1f1f;
+      border-color: #da3633;
+      color: #f85149;
+    }
+    
+    .config-banner a {
+      color: #58a6ff;
+    }
+    
+    .config-banner ul {
+      margin: 8px 0 0 20px;
+      color: #c9d1d9;
+    }
+    
+    .site-switcher {
+      color: #8b949e;
+      margin-bottom: 8px;
+    }
+    
+    .site-switcher a {
+      color: #58a6ff;
+      text-decoration: none;
+    }
+    
     .subtitle {
       color: #8b949e;
       font-size: 1.1em;
@@ -258,6 +390,23 @@ export async function generateDashboard(env) {
       transition: width 0.3s ease;
     }
     
+    .latency-bar {
+      position: relative;
+      background: #30363d;
+      height: 10px;
+      border-radius: 4px;
+      overflow: hidden;
+      min-width: 200px;
+    }
+    
+    .latency-bar div {
+      position: absolute;
+      top: 0;
+      left: 0;
+      height: 100%;
+      border-radius: 4px;
+    }
+    
     .metrics {
       display: grid;
       grid-template-columns: repeat(2, 1fr);
@@ -610,11 +759,40 @@ export async function generateDashboard(env) {
   <div class="container">
     <header>
       <h1>🚀 S-5 Cache Warmer Dashboard</h1>
-      <p class="subtitle">Multi-region cache performance monitoring</p>
+      <p class="subtitle">Multi-region cache performance monitoring - ${escapeHtml(site.name || site.id)}</p>
+      ${sites.length > 1 ? `
+      <p class="site-switcher">Site:
+        ${sites.map(other => other.id === site.id
+          ? `<strong>${escapeHtml(other.name || other.id)}</strong>`
+          : `<a href="/dashboard${other.id === DEFAULT_SITE_ID ? '' : `?site=${encodeURIComponent(other.id)}`}">${escapeHtml(other.name || other.id)}</a>`
+        ).join(' · ')}
+      </p>` : ''}
       <p class="timestamp">Last updated: ${status.lastUpdated}</p>
       <button class="refresh-btn" onclick="location.reload()">🔄 Refresh Data</button>
     </header>
     
+    ${killSwitch ? `
+    <div class="config-banner has-errors">
+      <strong>🛑 Kill switch engaged</strong> since ${escapeHtml(killSwitch.since || 'unknown')}${killSwitch.reason ? `: ${escapeHtml(killSwitch.reason)}` : ''}.
+      Cron runs dispatch no warm jobs for any site until it is released.
+    </div>` : ''}
+    
+    ${quarantinedUrls.length > 0 ? `
+    <div class="config-banner has-errors">
+      <strong>🚧 ${quarantinedUrls.length} pages in quarantine</strong>: they failed a content assertion and are warmed without being cached until they pass
+      (<a href="/quarantine${siteParam ? `?site=${encodeURIComponent(siteParam)}` : ''}" target="_blank">list</a>).
+      ${latestAlert ? `Latest alert, ${escapeHtml(latestAlert.raisedAt)}: ${escapeHtml(latestAlert.title)}.` : ''}
+    </div>` : ''}
+    
+    ${validation && (validation.errors.length > 0 || validation.warnings.length > 0) ? `
+    <div class="config-banner ${validation.errors.length > 0 ? 'has-errors' : ''}">
+      <strong>${validation.errors.length > 0 ? '⛔' : '⚠️'} Configuration: ${validation.errors.length} errors, ${validation.warnings.length} warnings</strong>
+      (<a href="/config${siteParam ? `?site=${encodeURIComponent(siteParam)}` : ''}" target="_blank">details</a>)
+      <ul>
+        ${[...validation.errors, ...validation.warnings].slice(0, 10).map(({ path, message }) => `<li><code>${escapeHtml(path)}</code> ${escapeHtml(message)}</li>`).join('')}
+      </ul>
+    </div>` : ''}
+    
     <div class="loading-indicator" id="loadingIndicator">
       ⏳ Processing...
     </div>
@@ -651,6 +829,26 @@ export async function generateDashboard(env) {
           <span class="btn-title">🔄 Refresh Dashboard</span>
           <span class="btn-desc">Reload latest data</span>
         </button>
+        
+        <button class="action-btn secondary" id="pauseBtn" onclick="controlJobs('pause')">
+          <span class="btn-title">⏸️ Pause Jobs</span>
+          <span class="btn-desc">Stop running jobs after their current chunk</span>
+        </button>
+        
+        <button class="action-btn secondary" id="resumeBtn" onclick="controlJobs('resume')">
+          <span class="btn-title">▶️ Resume Jobs</span>
+          <span class="btn-desc">Carry on with paused jobs</span>
+        </button>
+        
+        <button class="action-btn warning" id="cancelBtn" onclick="controlJobs('cancel')">
+          <span class="btn-title">⏹️ Cancel Jobs</span>
+          <span class="btn-desc">Drop the rest of the active jobs</span>
+        </button>
+        
+        <button class="action-btn warning" id="killSwitchBtn" onclick="toggleKillSwitch(${Boolean(killSwitch)})">
+          <span class="btn-title">${killSwitch ? '✅ Release Kill Switch' : '🛑 Kill Switch'}</span>
+          <span class="btn-desc">${killSwitch ? 'Let cron runs dispatch again' : 'Stop cron runs for every site'}</span>
+        </button>
       </div>
     </div>
     
@@ -664,7 +862,7 @@ export async function generateDashboard(env) {
       <div class="stat-card success">
         <div class="stat-label">Total URLs Warmed</div>
         <div class="stat-value">${history.totals.totalSuccess.toLocaleString()}</div>
-        <div class="stat-subtext">${history.totals.totalFailures} failures</div>
+        <div class="stat-subtext">${history.totals.totalFailures} failures (${history.totals.totalRetryableFailures} retryable, ${history.totals.totalNonRetryableFailures} non-retryable)</div>
       </div>
       
       <div class="stat-card">
@@ -692,7 +890,7 @@ export async function generateDashboard(env) {
           </div>
           <div class="stat-card">
             <div class="stat-label">Target Regions</div>
-            <div class="stat-value">${Object.keys(REGIONS).length}</div>
+            <div class="stat-value">${siteRegions.length}</div>
             <div class="stat-subtext">Round-robin rotation</div>
           </div>
         </div>
@@ -750,13 +948,299 @@ export async function generateDashboard(env) {
     </div>
     ` : ''}
     
+    ${sortedLanguages.length > 0 ? `
+    <div style="margin-top: 30px; background: #1c2128; padding: 25px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.3); border: 1px solid #30363d; overflow-x: auto;">
+      <h2 style="margin: 0 0 20px 0;">🗣️ Language Coverage by Region</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Region</th>
+            ${sortedLanguages.map(lang => `<th>${escapeHtml(lang)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${siteRegions.map(region => `
+            <tr>
+              <td>${region}</td>
+              ${sortedLanguages.map(lang => {
+                const coverage = languageCoverage[region]?.[lang];
+                if (!coverage || coverage.success === 0) return '<td style="color: #6e7681;">-</td>';
+                const rate = (coverage.cached / coverage.success) * 100;
+                const color = rate > 70 ? '#3fb950' : rate > 50 ? '#d29922' : '#f85149';
+                return `<td><span style="color: ${color}; font-weight: 600;">${rate.toFixed(1)}%</span> <span style="color: #6e7681; font-size: 0.85em;">(${coverage.success.toLocaleString()})</span></td>`;
+              }).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p style="color: #6e7681; font-size: 0.85em; margin: 10px 0 0 0;">
+        Cache hit rate per hreflang language over each region's last 30 runs (URLs warmed in parentheses)
+      </p>
+    </div>
+    ` : ''}
+    
+    ${sortedSources.length > 0 ? `
+    <div style="margin-top: 30px; background: #1c2128; padding: 25px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.3); border: 1px solid #30363d; overflow-x: auto;">
+      <h2 style="margin: 0 0 20px 0;">🔗 Coverage by URL Source</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Region</th>
+            ${sortedSources.map(source => `<th>${escapeHtml(source)}<br><span style="color: #6e7681; font-weight: normal; font-size: 0.85em;">${(discoveredBySource[source] || 0).toLocaleString()} URLs</span></th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${siteRegions.map(region => `
+            <tr>
+              <td>${region}</td>
+              ${sortedSources.map(source => {
+                const coverage = sourceCoverage[region]?.[source];
+                if (!coverage || coverage.success === 0) return '<td style="color: #6e7681;">-</td>';
+                const rate = (coverage.cached / coverage.success) * 100;
+                const color = rate > 70 ? '#3fb950' : rate > 50 ? '#d29922' : '#f85149';
+                return `<td><span style="color: ${color}; font-weight: 600;">${rate.toFixed(1)}%</span> <span style="color: #6e7681; font-size: 0.85em;">(${coverage.success.toLocaleString()})</span></td>`;
+              }).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p style="color: #6e7681; font-size: 0.85em; margin: 10px 0 0 0;">
+        Cache hit rate per URL source over each region's last 30 runs (URLs warmed in parentheses); URL counts are from the last discovery
+      </p>
+    </div>
+    ` : ''}
+    
+    ${sortedDimensionOptions.length > 0 ? `
+    <div style="margin-top: 30px; background: #1c2128; padding: 25px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.3); border: 1px solid #30363d; overflow-x: auto;">
+      <h2 style="margin: 0 0 20px 0;">🧬 Coverage by Request Variant</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Region</th>
+            ${sortedDimensionOptions.map(option => {
+              const [dimension, name] = option.split(':');
+              return `<th>${escapeHtml(name)}<br><span style="color: #6e7681; font-weight: normal; font-size: 0.85em;">${escapeHtml(dimension)}</span></th>`;
+            }).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${siteRegions.map(region => `
+            <tr>
+              <td>${region}</td>
+              ${sortedDimensionOptions.map(option => {
+                const coverage = dimensionCoverage[region]?.[option];
+                if (!coverage || coverage.success === 0) return '<td style="color: #6e7681;">-</td>';
+                const rate = (coverage.cached / coverage.success) * 100;
+                const color = rate > 70 ? '#3fb950' : rate > 50 ? '#d29922' : '#f85149';
+                return `<td><span style="color: ${color}; font-weight: 600;">${rate.toFixed(1)}%</span> <span style="color: #6e7681; font-size: 0.85em;">(${coverage.success.toLocaleString()})</span></td>`;
+              }).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p style="color: #6e7681; font-size: 0.85em; margin: 10px 0 0 0;">
+        Cache hit rate per variant option over each region's last 30 runs (requests in parentheses); a cold column is a cache-key dimension visitors miss on
+      </p>
+    </div>
+    ` : ''}
+    
+    ${latencyRows.length > 0 ? `
+    <div style="margin-top: 30px; background: #1c2128; padding: 25px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.3); border: 1px solid #30363d; overflow-x: auto;">
+      <h2 style="margin: 0 0 20px 0;">⏱️ Page Latency by Cache Status</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Region</th>
+            <th>Cache Status</th>
+            <th>Pages</th>
+            <th>TTFB p50 / p90 / p99</th>
+            <th>Download p50 / p90 / p99</th>
+            <th>Size p50 / p90 / p99</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${latencyRows.map(({ region, cacheStatus, summary }) => {
+            const { ttfbMs, downloadMs, bytes } = summary;
+            const color = cacheStatus === 'HIT' ? '#3fb950' : cacheStatus === 'MISS' ? '#f85149' : '#d29922';
+            const width = ms => ((ms / latencyScaleMs) * 100).toFixed(1);
+            return `
+            <tr>
+              <td>${region}</td>
+              <td style="color: ${color}; font-weight: 600;">${escapeHtml(cacheStatus)}</td>
+              <td>${summary.count.toLocaleString()}</td>
+              <td>
+                <div class="latency-bar" title="p50 ${ttfbMs.p50}ms, p90 ${ttfbMs.p90}ms, p99 ${ttfbMs.p99}ms">
+                  <div style="width: ${width(ttfbMs.p99)}%; background: ${color}; opacity: 0.3;"></div>
+                  <div style="width: ${width(ttfbMs.p90)}%; background: ${color}; opacity: 0.6;"></div>
+                  <div style="width: ${width(ttfbMs.p50)}%; background: ${color};"></div>
+                </div>
+                <span style="color: #8b949e; font-size: 0.85em;">${ttfbMs.p50} / ${ttfbMs.p90} / ${ttfbMs.p99} ms</span>
+              </td>
+              <td>${downloadMs.p50} / ${downloadMs.p90} / ${downloadMs.p99} ms</td>
+              <td>${formatBytes(bytes.p50)} / ${formatBytes(bytes.p90)} / ${formatBytes(bytes.p99)}</td>
+            </tr>
+          `;
+          }).join('')}
+        </tbody>
+      </table>
+      <p style="color: #6e7681; font-size: 0.85em; margin: 10px 0 0 0;">
+        Each region's last run; the bar shades are p50, p90 and p99 time to first byte, scaled to the slowest p99 (${latencyScaleMs}ms)
+      </p>
+    </div>
+    ` : ''}
+    
+    ${auditedPages.length > 0 ? `
+    <div style="margin-top: 30px; background: #1c2128; padding: 25px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.3); border: 1px solid #30363d; overflow-x: auto;">
+      <h2 style="margin: 0 0 20px 0;">🔍 Cache Header Audit</h2>
+      <p style="color: #8b949e; margin: 0 0 15px 0;">
+        ${cacheAudits.filter(audit => audit.uncacheable > 0).map(audit => `${audit.region}: <strong>${audit.uncacheable}</strong> of ${audit.pagesWarmed} pages uncacheable (${escapeHtml(Object.entries(audit.byCause).map(([cause, count]) => cause + ' ' + count).join(', '))})`).join('<br>')}
+      </p>
+      <table>
+        <thead>
+          <tr>
+            <th>Region</th>
+            <th>URL</th>
+            <th>Status</th>
+            <th>Likely Cause</th>
+            <th>Cache-Control</th>
+            <th>Vary</th>
+            <th>Set-Cookie</th>
+            <th>Expires / Age</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${auditedPages.map(page => `
+            <tr>
+              <td>${page.region}</td>
+              <td style="word-break: break-all;">${escapeHtml(page.url)}</td>
+              <td>${escapeHtml(page.cacheStatus)}</td>
+              <td><strong style="color: #f85149;">${escapeHtml(page.likelyCause)}</strong>${page.causes.length > 1 ? `<br><span style="color: #6e7681; font-size: 0.85em;">also ${escapeHtml(page.causes.slice(1).join(', '))}</span>` : ''}</td>
+              <td style="color: #8b949e; font-size: 0.85em;">${escapeHtml(page.headers.cacheControl || '-')}</td>
+              <td style="color: #8b949e; font-size: 0.85em;">${escapeHtml(page.headers.vary || '-')}</td>
+              <td style="color: #8b949e; font-size: 0.85em;">${escapeHtml(page.headers.setCookie.join(', ') || '-')}</td>
+              <td style="color: #8b949e; font-size: 0.85em;">${escapeHtml(page.headers.expires || '-')} / ${escapeHtml(page.headers.age ?? '-')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p style="color: #6e7681; font-size: 0.85em; margin: 10px 0 0 0;">
+        Pages from each region's last run that the edge bypassed, or that missed with headers that stop them being stored; "bypass" alone points at a cache rule
+      </p>
+    </div>
+    ` : ''}
+    
+    ${failedPages.length > 0 ? `
+    <div style="margin-top: 30px; background: #1c2128; padding: 25px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.3); border: 1px solid #30363d; overflow-x: auto;">
+      <h2 style="margin: 0 0 20px 0;">🧾 Content Assertion Failures</h2>
+      <p style="color: #8b949e; margin: 0 0 15px 0;">
+        ${assertionReports.filter(report => report.failed > 0).map(report => `${report.region}: <strong>${report.failed}</strong> of ${report.checked} checked pages failed (${escapeHtml(Object.entries(report.byAssertion).map(([name, count]) => name + ' ' + count).join(', '))})`).join('<br>')}
+      </p>
+      <table>
+        <thead>
+          <tr>
+            <th>Region</th>
+            <th>URL</th>
+            <th>Status</th>
+            <th>Size</th>
+            <th>Failed Checks</th>
+            <th>Action</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${failedPages.map(page => `
+            <tr>
+              <td>${page.region}</td>
+              <td style="word-break: break-all;">${escapeHtml(page.url)}</td>
+              <td>${escapeHtml(page.status)} <span style="color: #6e7681;">(${escapeHtml(page.cacheStatus)})</span></td>
+              <td>${formatBytes(page.bytes)}</td>
+              <td style="font-size: 0.85em;">${page.failures.map(failure => `<strong>${escapeHtml(failure.assertion)}</strong>: ${escapeHtml(failure.message)}`).join('<br>')}</td>
+              <td>${page.quarantined ? `<span class="badge" style="background: #da3633;">${quarantine[page.url] ? 'quarantined' : 'released'}</span>` : '<span class="badge badge-warning">flagged</span>'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p style="color: #6e7681; font-size: 0.85em; margin: 10px 0 0 0;">
+        Pages from each region's last run whose body failed a check; quarantined pages count as failures and are not cached until a run finds them passing
+      </p>
+    </div>
+    ` : ''}
+    
+    ${redirectReport.total > 0 ? `
+    <div style="margin-top: 30px; background: #1c2128; padding: 25px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.3); border: 1px solid #30363d; overflow-x: auto;">
+      <h2 style="margin: 0 0 20px 0;">↪️ Redirecting URLs</h2>
+      <p style="color: #8b949e; margin: 0 0 15px 0;">
+        <strong>${redirectReport.total}</strong> warmed URLs redirect${redirectReport.loops > 0 ? `, <span style="color: #f85149;">${redirectReport.loops} in loops</span>` : ''}${redirectReport.longChains > 0 ? `, <span style="color: #d29922;">${redirectReport.longChains} through long chains</span>` : ''}.
+        Point the sitemap (or the links) at the final URL instead.
+      </p>
+      <table>
+        <thead>
+          <tr>
+            <th>URL</th>
+            <th>Source</th>
+            <th>Hops</th>
+            <th>Final URL</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${redirectReport.entries.slice(0, 100).map(entry => `
+            <tr>
+              <td style="word-break: break-all;">
+                ${escapeHtml(entry.url)}
+                ${entry.loop ? '<span class="badge" style="background: #da3633;">loop</span>' : ''}
+                ${entry.longChain ? '<span class="badge" style="background: #9e6a03;">long chain</span>' : ''}
+              </td>
+              <td>${escapeHtml(entry.source || '-')}</td>
+              <td style="font-size: 0.85em;">${entry.hops.map(hop => escapeHtml(hop.status) + ' <span style="color: #6e7681;">(' + escapeHtml(hop.cacheStatus) + ')</span>').join(' → ')}</td>
+              <td style="word-break: break-all; color: #8b949e;">${entry.loop ? '-' : `${escapeHtml(entry.finalUrl)} (${escapeHtml(entry.finalStatus ?? '-')})`}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p style="color: #6e7681; font-size: 0.85em; margin: 10px 0 0 0;">
+        From each region's last run; each hop's status with its cache status in parentheses${redirectReport.total > 100 ? ' (first 100 shown; see /redirects for all)' : ''}
+      </p>
+    </div>
+    ` : ''}
+    
+    ${verifyMisses.length > 0 ? `
+    <div style="margin-top: 30px; background: #1c2128; padding: 25px; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.3); border: 1px solid #30363d; overflow-x: auto;">
+      <h2 style="margin: 0 0 20px 0;">🧪 Pages Not Cached After Warming</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Region</th>
+            <th>URL</th>
+            <th>Warm → Re-check</th>
+            <th>Likely Cause</th>
+            <th>Cache-Control / Vary</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${verifyMisses.map(miss => `
+            <tr>
+              <td>${miss.region}</td>
+              <td style="word-break: break-all;">${escapeHtml(miss.url)}</td>
+              <td>${escapeHtml(miss.warmCacheStatus || '-')} → ${miss.error ? `<span style="color: #f85149;">${escapeHtml(miss.error)}</span>` : escapeHtml(miss.cacheStatus)}</td>
+              <td>${escapeHtml((miss.defeats || []).join(', ')) || '<span style="color: #6e7681;">none found</span>'}</td>
+              <td style="color: #8b949e; font-size: 0.85em;">${escapeHtml(miss.cacheControl || '-')}${miss.vary ? ` / ${escapeHtml(miss.vary)}` : ''}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p style="color: #6e7681; font-size: 0.85em; margin: 10px 0 0 0;">
+        Sampled pages that did not come back HIT when requested again after warming (each region's last run)
+      </p>
+    </div>
+    ` : ''}
+    
     <h2 style="margin: 30px 0 20px 0;">Regional Performance</h2>
     
     <div class="region-grid">
-      ${Object.keys(REGIONS).map(region => {
+      ${siteRegions.map(region => {
         const regionStats = status.regions[region] || {};
         const stats = regionStats?.stats || null;
         const progress = regionStats?.currentProgress || '0';
+        const pendingChanges = regionStats?.pendingChanges || 0;
         const totalUrls = stats?.totalUrls || 0;
         const progressPercent = totalUrls > 0 
           ? ((parseInt(progress) / totalUrls) * 100).toFixed(1)
@@ -783,6 +1267,7 @@ export async function generateDashboard(env) {
               <div class="progress-fill" style="width: ${progressPercent}%"></div>
             </div>
             <div class="stat-subtext">Progress: ${progress}/${totalUrls || '…'} URLs (${progressPercent}%)</div>
+            ${pendingChanges > 0 ? `<div class="stat-subtext">${pendingChanges} changed URLs queued ahead of rotation</div>` : ''}
             
             <div class="metrics">
               <div class="metric">
@@ -803,6 +1288,76 @@ export async function generateDashboard(env) {
               </div>
             </div>
             
+            ${stats.assets ? `
+              <div class="stat-subtext" style="margin-top: 12px;">
+                Subresources: ${stats.assets.success}/${stats.assets.discovered} warmed,
+                <span class="hit-rate">${stats.assets.hitRate}%</span> hit rate
+                (${Object.entries(stats.assets.byType || {}).map(([type, count]) => type + ' ' + count).join(', ') || 'none'})
+              </div>
+            ` : ''}
+            
+            ${stats.media ? `
+              <div class="stat-subtext">
+                Sitemap media: ${stats.media.success}/${stats.media.discovered} warmed,
+                <span class="hit-rate">${stats.media.hitRate}%</span> hit rate
+                (${Object.entries(stats.media.byType || {}).map(([type, count]) => type + ' ' + count).join(', ') || 'none'})
+              </div>
+            ` : ''}
+            
+            ${stats.failures > 0 ? `
+              <div class="stat-subtext">
+                Failures: ${stats.failures}
+                (${stats.retryableFailures || 0} retryable, ${stats.nonRetryableFailures || 0} non-retryable:
+                ${Object.entries(stats.failureKinds || {}).filter(([, count]) => count > 0).map(([kind, count]) => kind + ' ' + count).join(', ') || 'unclassified'})
+              </div>
+            ` : ''}
+            
+            ${stats.retries > 0 ? `
+              <div class="stat-subtext">Retries: ${stats.retries}, ${stats.recovered || 0} recovered</div>
+            ` : ''}
+            
+            ${stats.pacing ? `
+              <div class="stat-subtext">
+                Pacing: ${stats.pacing.requestsPerSecond} req/s, ${stats.pacing.averageConcurrency} avg concurrent
+                (${stats.pacing.initialConcurrency} → ${stats.pacing.finalConcurrency}, ${stats.pacing.backoffs} backoffs, ${stats.pacing.averageTtfbMs}ms avg TTFB)
+              </div>
+            ` : ''}
+            
+            ${Object.keys(stats.cacheStatuses || {}).length > 0 ? `
+              <div class="stat-subtext">
+                Cache statuses: ${escapeHtml(Object.entries(stats.cacheStatuses).sort((a, b) => b[1] - a[1]).map(([cacheStatus, count]) => cacheStatus + ' ' + count).join(', '))}
+              </div>
+            ` : ''}
+            
+            ${stats.contentAssertions?.failed > 0 ? `
+              <div class="stat-subtext">
+                Content checks: ${stats.contentAssertions.failed}/${stats.contentAssertions.checked} pages failed
+                (${stats.contentAssertions.quarantined} quarantined)
+              </div>
+            ` : ''}
+            
+            ${stats.redirects?.redirected > 0 ? `
+              <div class="stat-subtext">
+                Redirects: ${stats.redirects.redirected} pages over ${stats.redirects.hops} hops
+                (${stats.redirects.longChains} long chains, ${stats.redirects.loops} loops)
+              </div>
+            ` : ''}
+            
+            ${stats.verification ? `
+              <div class="stat-subtext">
+                Warm effectiveness: <span class="hit-rate">${stats.verification.effectiveness}%</span>
+                (${stats.verification.hits}/${stats.verification.success} sampled pages HIT on re-check${Object.entries(stats.verification.defeatedBy || {}).some(([, count]) => count > 0)
+                  ? '; misses with ' + Object.entries(stats.verification.defeatedBy).filter(([, count]) => count > 0).map(([defeat, count]) => defeat + ' ' + count).join(', ')
+                  : ''})
+              </div>
+            ` : ''}
+            
+            ${stats.latency ? `
+              <div class="stat-subtext">
+                TTFB p50: ${escapeHtml(Object.entries(stats.latency.byCacheStatus).map(([cacheStatus, { ttfbMs }]) => cacheStatus + ' ' + ttfbMs.p50 + 'ms').join(', '))}
+              </div>
+            ` : ''}
+            
             ${Object.keys(coloBreakdown).length > 0 ? `
               <div class="colo-breakdown">
                 <div class="colo-breakdown-title">📍 Colo Verification (Target: ${regionStats.coloCode || 'N/A'})</div>
@@ -876,6 +1431,8 @@ export async function generateDashboard(env) {
               duration: result?.duration || 0,
               success: result?.success || 0,
               failures: result?.failures || 0,
+              retryableFailures: result?.retryableFailures || 0,
+              nonRetryableFailures: result?.nonRetryableFailures || 0,
               hitRate: result?.hitRate || '0.00',
               coloMatchRate: result?.coloMatchRate || '0.00',
               cacheHit: result?.cacheHit || 0,
@@ -910,7 +1467,7 @@ export async function generateDashboard(env) {
               : '<span style="color: #6e7681;">-</span>';
             
             const failureBadge = safeResult.failures > 0 
-              ? '<span class="badge badge-warning">' + safeResult.failures + '</span>'
+              ? '<span class="badge badge-warning" title="' + safeResult.retryableFailures + ' retryable, ' + safeResult.nonRetryableFailures + ' non-retryable">' + safeResult.failures + '</span>'
               : '0';
             
             return `
@@ -937,10 +1494,27 @@ export async function generateDashboard(env) {
       <ul>
         <li><code>GET /dashboard</code> - This visual dashboard</li>
         <li><code>GET /status</code> - JSON status of all regions</li>
+        <li><code>GET /status/live?region=Canada</code> - Progress of each region's current job, with current URL and ETA</li>
+        <li><code>GET /config</code> - Effective configuration with validation errors and warnings</li>
         <li><code>GET /history</code> - Historical execution data</li>
         <li><code>GET /history?region=Canada&limit=100</code> - Filtered historical data</li>
+        <li><code>GET /history?region=Canada&policies=true</code> - Adds the cache policy each URL was warmed under</li>
+        <li><code>GET /cache-audit?region=Canada</code> - Pages the last run could not cache, with their cache headers and the likely cause</li>
+        <li><code>GET /assertions?region=Canada</code> - Pages failing content assertions, plus the URLs in quarantine</li>
+        <li><code>DELETE /quarantine?url=...</code> - Release a URL from quarantine (admin)</li>
+        <li><code>GET /alerts</code> - Alerts raised by warm runs, newest first</li>
+        <li><code>GET /redirects?region=Canada</code> - Warmed URLs that redirect, with every hop; loops and long chains flagged</li>
+        <li><code>GET /jobs?region=Canada</code> - Warm jobs in the regional Durable Objects, newest first</li>
+        <li><code>GET /jobs/&lt;id&gt;</code> - Job progress, with results once complete</li>
+        <li><code>POST /jobs/&lt;id|active&gt;/pause|resume|cancel</code> - Job control; <code>active</code> takes <code>?region=</code> (admin token required)</li>
+        <li><code>GET|POST|DELETE /kill-switch</code> - Check, engage or release the global kill switch (admin token to change)</li>
+        <li><code>GET /manifest</code> - URL manifest version and size</li>
+        <li><code>GET /manifest/diff?from=3&to=5</code> - URLs added/removed between manifest versions</li>
+        <li><code>GET|POST|DELETE /pinned</code> - List, pin or unpin URLs (<code>{"urls": [...]}</code>)</li>
         <li><code>GET /trigger</code> - Manual test trigger (5 URLs)</li>
-        <li><code>GET /trigger?test=false</code> - Manual full trigger (250 URLs)</li>
+        <li><code>GET /trigger?test=false</code> - Manual full trigger (${site.maxUrlsPerRun} URLs)</li>
+        <li><code>GET|PUT|DELETE /sites/&lt;id&gt;</code> - Manage site definitions (admin token required)</li>
+        <li>Add <code>?site=&lt;id&gt;</code> to any endpoint above to target another site</li>
       </ul>
     </div>
   </div>
@@ -949,6 +1523,15 @@ export async function generateDashboard(env) {
     // Track if an operation is in progress
     let operationInProgress = false;
     
+    // Site shown on this dashboard (null = default site)
+    const SITE_ID = ${JSON.stringify(siteParam)};
+    
+    // Add the site parameter to an API path
+    function withSite(path) {
+      if (!SITE_ID) return path;
+      return path + (path.includes('?') ? '&' : '?') + 'site=' + encodeURIComponent(SITE_ID);
+    }
+    
     // Enable/disable ALL action buttons
     // Prevents any interference with running operations
     function setButtonsEnabled(enabled) {
@@ -958,7 +1541,11 @@ export async function generateDashboard(env) {
         'statusBtn',
         'historyBtn',
         'filterHistoryBtn',
-        'refreshBtn'
+        'refreshBtn',
+        'pauseBtn',
+        'resumeBtn',
+        'cancelBtn',
+        'killSwitchBtn'
       ];
       
       buttons.forEach(btnId => {
@@ -983,6 +1570,30 @@ export async function generateDashboard(env) {
     }
     
     // Trigger test run (5 URLs)
+    // /trigger answers 202 with the job when a run outlasts the request;
+    // poll it and return its results in the same shape
+    async function pollJob(data) {
+      let job = data.job;
+      while (job.status === 'queued' || job.status === 'running') {
+        showLoading('⏳ Job ' + job.status + ': ' + job.processedItems + '/' + job.totalItems + ' URLs...');
+        await new Promise(r => setTimeout(r, 3000));
+        const response = await fetch(data.poll);
+        if (!response.ok) throw new Error('Job poll failed: ' + response.status);
+        job = await response.json();
+      }
+      if (job.status === 'failed') throw new Error('Job ' + job.id + ' failed: ' + job.error);
+      if (job.status !== 'complete') throw new Error('Job ' + job.id + ' ' + job.status + ' at ' + job.processedItems + '/' + job.totalItems + ' URLs');
+      return {
+        message: 'Cache warming completed',
+        site: data.site,
+        jobId: job.id,
+        urlsProcessed: job.results.success,
+        cacheStats: { hitRate: job.results.hitRate + '%' },
+        coloVerification: { matchRate: job.results.coloMatchRate + '%' },
+        ...job.results
+      };
+    }
+    
     async function triggerTest() {
       // Prevent multiple simultaneous requests
       if (operationInProgress) {
@@ -994,14 +1605,15 @@ export async function generateDashboard(env) {
       showLoading('🧪 Running test (5 URLs)...');
       
       try {
-        const response = await fetch('/trigger');
+        const response = await fetch(withSite('/trigger'));
         
         if (!response.ok) {
           const errorText = await response.text();
           throw new Error('Request failed: ' + response.status + ' - ' + errorText);
         }
         
-        const data = await response.json();
+        let data = await response.json();
+        if (response.status === 202) data = await pollJob(data);
         
         // Validate response structure
         if (!data || typeof data !== 'object') {
@@ -1098,14 +1710,15 @@ export async function generateDashboard(env) {
       showLoading('🔥 Running full cache warming (250 URLs)...');
       
       try {
-        const response = await fetch('/trigger?test=false');
+        const response = await fetch(withSite('/trigger?test=false'));
         
         if (!response.ok) {
           const errorText = await response.text();
           throw new Error('Request failed: ' + response.status + ' - ' + errorText);
         }
         
-        const data = await response.json();
+        let data = await response.json();
+        if (response.status === 202) data = await pollJob(data);
         
         // Validate response structure
         if (!data || typeof data !== 'object') {
@@ -1168,19 +1781,84 @@ export async function generateDashboard(env) {
       }
     }
     
+    // Job control and the kill switch need the admin token. It is asked for
+    // on every action and never stored, so nothing else on the page can read it
+    async function adminFetch(path, options = {}) {
+      const token = prompt('Admin token (ADMIN_TOKEN):');
+      if (!token) return null;
+      return fetch(path, {
+        ...options,
+        headers: { ...(options.headers || {}), 'Authorization': 'Bearer ' + token }
+      });
+    }
+    
+    // Pause, resume or cancel the active job in one region or all of them
+    async function controlJobs(action) {
+      if (operationInProgress) return;
+      
+      const regions = ${JSON.stringify(siteRegions)};
+      const region = prompt(action.charAt(0).toUpperCase() + action.slice(1) + ' the active job in which region?\\n\\n' + regions.join('\\n') + '\\n\\nOr leave blank for all regions:');
+      if (region === null) return; // User cancelled
+      if (action === 'cancel' && !confirm('Cancelled jobs cannot be resumed. Continue?')) return;
+      
+      setButtonsEnabled(false);
+      showLoading('⏳ Sending ' + action + '...');
+      try {
+        let path = '/jobs/active/' + action;
+        if (region.trim()) path += '?region=' + encodeURIComponent(region.trim());
+        const response = await adminFetch(withSite(path), { method: 'POST' });
+        if (!response) return;
+        
+        const data = await response.json();
+        const jobs = data.jobs || [data];
+        alert(jobs.map(job => job.id
+          ? job.regionName + ': ' + job.status + ' (' + job.processedItems + '/' + job.totalItems + ' URLs)'
+          : job.error).join('\\n'));
+        if (response.ok) location.reload();
+      } catch (error) {
+        alert('Error: ' + error.message);
+      } finally {
+        hideLoading();
+        setButtonsEnabled(true);
+      }
+    }
+    
+    async function toggleKillSwitch(engaged) {
+      if (operationInProgress) return;
+      
+      let options = { method: 'DELETE' };
+      if (!engaged) {
+        const reason = prompt('Engage the kill switch? Cron runs will dispatch nothing for any site until it is released.\\n\\nReason (optional):');
+        if (reason === null) return; // User cancelled
+        options = { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ reason: reason.trim() || null }) };
+      }
+      
+      setButtonsEnabled(false);
+      try {
+        const response = await adminFetch('/kill-switch', options);
+        if (!response) return;
+        if (!response.ok) throw new Error('Request failed: ' + response.status + ' - ' + await response.text());
+        location.reload();
+      } catch (error) {
+        alert('Error: ' + error.message);
+      } finally {
+        setButtonsEnabled(true);
+      }
+    }
+    
     // Open status JSON in new tab
     function openStatus() {
-      window.open('/status', '_blank');
+      window.open(withSite('/status'), '_blank');
     }
     
     // Open history JSON in new tab
     function openHistory() {
-      window.open('/history', '_blank');
+      window.open(withSite('/history'), '_blank');
     }
     
     // Open history with region filter
     function openHistoryFiltered() {
-      const regions = ${JSON.stringify(Object.keys(REGIONS))};
+      const regions = ${JSON.stringify(siteRegions)};
       const region = prompt('Enter region to filter by:\\n\\n' + regions.join('\\n') + '\\n\\nOr leave blank for all regions:');
       
       if (region === null) return; // User cancelled
@@ -1201,9 +1879,23 @@ export async function generateDashboard(env) {
         url += '?' + params.toString();
       }
       
-      window.open(url, '_blank');
+      window.open(withSite(url), '_blank');
     }
   </script>
 </body>
 </html>`;
-}
\ No newline at end of file
+}
+
+/**
+ * Text for an HTML body or attribute. URLs, headers and error messages come
+ * from origins, so anything not produced by this code goes through here.
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  if (bytes >= 1024) return (bytes / 1024).toFixed(1) + ' KB';
+  return bytes + ' B';
+}
@@ -0,0 +1,323 @@
+/**
+ * Effective configuration and its validation
+ *
+ * The configuration a run actually uses is config.js, overridden by env vars,
+ * plus the site definitions stored in KV (sites.js). validateConfig() checks
+ * the merged result: that the region tables agree with each other, that env
+ * vars parse, and that every site's sitemaps, sources, rules and regions are
+ * usable. Problems that would make a run fail are errors; values that are
+ * ignored or fall back to a default are warnings.
+ */
+
+import {
+  SITEMAP_FALLBACK_PATHS,
+  SITEMAP_FETCH,
+  CRAWL,
+  WARM_TRANSLATION_CLUSTERS,
+  SUBRESOURCE_WARMING,
+  MEDIA_WARMING,
+  REQUEST_VARIANTS,
+  WARM_PACING,
+  WARM_RETRY,
+  WARM_REDIRECTS,
+  WARM_VERIFY,
+  WARM_JOBS,
+  REGION_ORDER,
+  REGIONS,
+  DO_REGION_HINTS,
+  REGION_COLOS
+} from './config.js';
+import { DEFAULT_SITE_ID, getSites, getStoredSites, validateSite } from './sites.js';
+import { expandVariants } from './variants.js';
+import { FAILURE_KINDS } from './retry.js';
+
+// Cloudflare's per-invocation subrequest limit (paid plans)
+const SUBREQUEST_LIMIT = 1000;
+
+// Documented Durable Object locationHint values
+const LOCATION_HINTS = ['wnam', 'enam', 'sam', 'weur', 'eeur', 'apac', 'oc', 'afr', 'me'];
+
+const FLAG_VALUES = ['true', '1', 'yes', 'on', 'false', '0', 'no', 'off'];
+
+// Feature flags and the config.js defaults they override
+const ENV_FLAGS = {
+  WARM_SUBRESOURCES: SUBRESOURCE_WARMING.enabled,
+  WARM_MEDIA: MEDIA_WARMING.enabled,
+  WARM_VARIANTS: REQUEST_VARIANTS.enabled,
+  WARM_VERIFY: WARM_VERIFY.enabled,
+  WARM_TRANSLATION_CLUSTERS: WARM_TRANSLATION_CLUSTERS,
+  CRAWL_ENABLED: CRAWL.enabled
+};
+
+// Numeric env vars: minimum accepted value and what is used otherwise
+const ENV_NUMBERS = {
+  RATE_LIMIT_MS: { min: 0, fallback: 2000 },
+  MAX_URLS_PER_RUN: { min: 1, fallback: 250 },
+  MAX_URL_AGE_DAYS: { min: 0, fallback: 0 },
+  SITEMAP_CONCURRENCY: { min: 1, fallback: SITEMAP_FETCH.concurrency },
+  SITEMAP_TIMEOUT_MS: { min: 1, fallback: SITEMAP_FETCH.timeoutMs }
+};
+
+/**
+ * Boolean env var with a config.js fallback when unset.
+ */
+export function envFlag(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  return ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Validate the merged configuration. Returns { valid, errors, warnings },
+ * each problem as { path, message }.
+ */
+export async function validateConfig(env) {
+  const errors = [];
+  const warnings = [];
+  const reported = new Set();
+  // The same problem can surface through more than one check
+  const add = list => (path, message) => {
+    if (reported.has(`${path}\n${message}`)) return;
+    reported.add(`${path}\n${message}`);
+    list.push({ path, message });
+  };
+  const error = add(errors);
+  const warn = add(warnings);
+
+  checkRegionTables(error, warn);
+  checkEnv(env, error, warn);
+  checkPacing(error);
+  checkRetry(error);
+  checkRedirects(error);
+  checkVerify(error);
+
+  // Stored definitions as written, then every site as merged with its defaults
+  const stored = env.CACHE_WARMER_KV ? await getStoredSites(env) : {};
+  for (const [id, definition] of Object.entries(stored)) {
+    validateSite(id, definition).forEach(message => error(`sites.${id}`, message));
+  }
+  const sites = env.CACHE_WARMER_KV ? await getSites(env) : [];
+  for (const site of sites) {
+    const { id, ...fields } = site;
+    validateSite(id, fields).forEach(message => error(`sites.${id}`, message));
+    if (id === DEFAULT_SITE_ID) {
+      // Only checked for stored sites by validateSite
+      if (site.discovery === 'static' && site.sitemaps.length === 0) error(`sites.${id}`, 'static discovery needs at least one sitemap');
+      if (site.discovery === 'robots' && site.hosts.length === 0) error(`sites.${id}`, 'robots discovery needs at least one host');
+    }
+    if (!site.enabled) warn(`sites.${id}`, 'disabled; skipped by the scheduler');
+    const requestsPerRun = site.maxUrlsPerRun * siteVariants(site, env).length;
+    if (requestsPerRun > SUBREQUEST_LIMIT) {
+      warn(`sites.${id}.variants`, `${requestsPerRun} page requests per run (maxUrlsPerRun x variants) exceeds the ${SUBREQUEST_LIMIT} subrequest limit`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * REGION_ORDER, REGIONS, DO_REGION_HINTS and REGION_COLOS must describe the
+ * same regions; a label missing from any of them breaks that region's runs.
+ */
+function checkRegionTables(error, warn) {
+  const tables = { REGIONS, DO_REGION_HINTS, REGION_COLOS };
+  const seen = new Set();
+
+  if (REGION_ORDER.length === 0) error('REGION_ORDER', 'no regions to rotate through');
+
+  REGION_ORDER.forEach((region, index) => {
+    const path = `REGION_ORDER[${index}]`;
+    if (seen.has(region)) error(path, `"${region}" is listed more than once`);
+    seen.add(region);
+
+    for (const [name, table] of Object.entries(tables)) {
+      if (table[region] === undefined) {
+        const suggestion = closestLabel(region, Object.keys(table));
+        error(path, `"${region}" has no ${name} entry${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      }
+    }
+  });
+
+  for (const [name, table] of Object.entries(tables)) {
+    for (const region of Object.keys(table)) {
+      if (!seen.has(region)) warn(`${name}.${region}`, 'not in REGION_ORDER, so never warmed');
+    }
+  }
+
+  for (const [region, colo] of Object.entries(REGIONS)) {
+    if (!/^[A-Z]{3}$/.test(colo)) {
+      error(`REGIONS.${region}`, `"${colo}" is not a 3-letter IATA colo code`);
+    } else if (REGION_COLOS[region] && !REGION_COLOS[region].includes(colo)) {
+      warn(`REGIONS.${region}`, `target colo ${colo} is not in REGION_COLOS, so hits there count as region mismatches`);
+    }
+  }
+
+  for (const [region, hint] of Object.entries(DO_REGION_HINTS)) {
+    if (!LOCATION_HINTS.includes(hint)) {
+      error(`DO_REGION_HINTS.${region}`, `"${hint}" is not a Durable Object location hint (${LOCATION_HINTS.join(', ')})`);
+    }
+  }
+
+  const colosSeen = new Map();
+  for (const [region, colos] of Object.entries(REGION_COLOS)) {
+    for (const colo of colos) {
+      if (colosSeen.has(colo)) {
+        warn(`REGION_COLOS.${region}`, `${colo} is also listed under ${colosSeen.get(colo)}`);
+      } else {
+        colosSeen.set(colo, region);
+      }
+    }
+  }
+}
+
+/**
+ * Pacing bounds must leave the pacer some room to move.
+ */
+function checkPacing(error) {
+  const { concurrency, minConcurrency, maxConcurrency, minDelayMs, maxDelayMs, slowTtfbMs, fastTtfbMs } = WARM_PACING;
+  if (!(minConcurrency >= 1 && minConcurrency <= concurrency && concurrency <= maxConcurrency)) {
+    error('WARM_PACING', 'need 1 <= minConcurrency <= concurrency <= maxConcurrency');
+  }
+  if (!(minDelayMs >= 0 && minDelayMs <= maxDelayMs)) error('WARM_PACING', 'need 0 <= minDelayMs <= maxDelayMs');
+  if (!(fastTtfbMs < slowTtfbMs)) error('WARM_PACING', 'fastTtfbMs must be below slowTtfbMs');
+}
+
+/**
+ * Retry settings must give at least one attempt and name known failure classes.
+ */
+function checkRetry(error) {
+  const { maxAttempts, baseDelayMs, maxDelayMs, timeoutMs, retryOn, retryStatuses } = WARM_RETRY;
+  if (!(Number.isInteger(maxAttempts) && maxAttempts >= 1)) error('WARM_RETRY.maxAttempts', 'must be an integer >= 1');
+  if (!(baseDelayMs >= 0 && baseDelayMs <= maxDelayMs)) error('WARM_RETRY', 'need 0 <= baseDelayMs <= maxDelayMs');
+  if (!(timeoutMs > 0)) error('WARM_RETRY.timeoutMs', 'must be a positive number of milliseconds');
+  (retryOn || []).filter(kind => !FAILURE_KINDS.includes(kind)).forEach(kind => {
+    error('WARM_RETRY.retryOn', `"${kind}" is not a failure class (${FAILURE_KINDS.join(', ')})`);
+  });
+  (retryStatuses || []).filter(status => !(Number.isInteger(status) && status >= 400 && status <= 599)).forEach(status => {
+    error('WARM_RETRY.retryStatuses', `${status} is not a 4xx/5xx status code`);
+  });
+}
+
+/**
+ * Redirect chains may be flagged, but only before they are given up on.
+ */
+function checkRedirects(error) {
+  const { maxHops, followLimit, cacheTtlSeconds: redirectTtl } = WARM_REDIRECTS;
+  if (!(Number.isInteger(maxHops) && maxHops >= 1)) error('WARM_REDIRECTS.maxHops', 'must be an integer >= 1');
+  if (!(Number.isInteger(followLimit) && followLimit > maxHops)) error('WARM_REDIRECTS.followLimit', 'must be an integer above maxHops');
+  if (!(Number.isInteger(redirectTtl) && redirectTtl >= 0)) error('WARM_REDIRECTS.cacheTtlSeconds', 'must be an integer >= 0');
+}
+
+/**
+ * Verification needs a sample to take and non-negative delays.
+ */
+function checkVerify(error) {
+  const { sampleRate, maxUrls, delayMs, rateLimitMs } = WARM_VERIFY;
+  if (!(sampleRate > 0 && sampleRate <= 1)) error('WARM_VERIFY.sampleRate', 'must be above 0 and at most 1');
+  if (!(Number.isInteger(maxUrls) && maxUrls >= 1)) error('WARM_VERIFY.maxUrls', 'must be an integer >= 1');
+  if (!(delayMs >= 0 && rateLimitMs >= 0)) error('WARM_VERIFY', 'delayMs and rateLimitMs must be >= 0');
+}
+
+/**
+ * Env var overrides that will not parse fall back to defaults silently at
+ * runtime; surface them here instead.
+ */
+function checkEnv(env, error, warn) {
+  for (const [name, { min, fallback }] of Object.entries(ENV_NUMBERS)) {
+    const value = env[name];
+    if (value === undefined || value === '') continue;
+    if (!/^\d+$/.test(String(value).trim()) || parseInt(value) < min) {
+      warn(`env.${name}`, `"${value}" is not an integer >= ${min}; ${fallback} is used instead`);
+    }
+  }
+
+  for (const name of Object.keys(ENV_FLAGS)) {
+    const value = env[name];
+    if (value !== undefined && value !== '' && !FLAG_VALUES.includes(String(value).toLowerCase())) {
+      warn(`env.${name}`, `"${value}" is not a recognised flag value; treated as false`);
+    }
+  }
+
+  if (!env.ADMIN_TOKEN) warn('env.ADMIN_TOKEN', 'not set; /sites and POST/DELETE /pinned are disabled');
+  if (!env.CACHE_WARMER_KV) error('env.CACHE_WARMER_KV', 'KV binding is missing');
+  if (!env.CACHE_WARMER_DO) error('env.CACHE_WARMER_DO', 'Durable Object binding is missing');
+}
+
+/**
+ * Request variants a site's URLs are warmed under, baseline first
+ * (WARM_VARIANTS overrides the site's own enabled flag).
+ */
+export function siteVariants(site, env) {
+  const enabled = envFlag(env.WARM_VARIANTS, site.variants?.enabled ?? false);
+  return expandVariants(enabled && site.variants ? { ...site.variants, enabled } : null, site.userAgent);
+}
+
+/**
+ * Closest label within a small edit distance, to point out typos.
+ */
+function closestLabel(label, candidates) {
+  let best = null;
+  let bestDistance = 4;
+  for (const candidate of candidates) {
+    const distance = editDistance(label.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Effective configuration for one site, as a run would use it.
+ */
+export function getEffectiveConfig(env, site, sites) {
+  const envValues = {};
+  for (const name of [...Object.keys(ENV_NUMBERS), ...Object.keys(ENV_FLAGS), 'SITEMAP_DISCOVERY']) {
+    envValues[name] = env[name] ?? null;
+  }
+
+  return {
+    site,
+    sites: sites.map(({ id, name, enabled }) => ({ id, name, enabled })),
+    regions: site.regions.map(region => ({
+      name: region,
+      colo: REGIONS[region] || null,
+      locationHint: DO_REGION_HINTS[region] || null,
+      colos: REGION_COLOS[region] || []
+    })),
+    sitemapFetch: {
+      concurrency: parseInt(env.SITEMAP_CONCURRENCY) || SITEMAP_FETCH.concurrency,
+      timeoutMs: parseInt(env.SITEMAP_TIMEOUT_MS) || SITEMAP_FETCH.timeoutMs,
+      cacheTtlSeconds: SITEMAP_FETCH.cacheTtlSeconds,
+      fallbackPaths: SITEMAP_FALLBACK_PATHS
+    },
+    crawl: { ...CRAWL, enabled: envFlag(env.CRAWL_ENABLED, CRAWL.enabled), seeds: site.crawlSeeds },
+    translationClusters: envFlag(env.WARM_TRANSLATION_CLUSTERS, WARM_TRANSLATION_CLUSTERS),
+    subresources: { ...SUBRESOURCE_WARMING, enabled: envFlag(env.WARM_SUBRESOURCES, SUBRESOURCE_WARMING.enabled), zone: site.zone },
+    media: { ...MEDIA_WARMING, enabled: envFlag(env.WARM_MEDIA, MEDIA_WARMING.enabled), zone: site.zone },
+    variants: siteVariants(site, env),
+    pacing: { ...WARM_PACING, initialDelayMs: Math.min(WARM_PACING.maxDelayMs, Math.max(WARM_PACING.minDelayMs, site.rateLimitMs)) },
+    retry: WARM_RETRY,
+    redirects: WARM_REDIRECTS,
+    verify: { ...WARM_VERIFY, enabled: envFlag(env.WARM_VERIFY, WARM_VERIFY.enabled) },
+    jobs: WARM_JOBS,
+    env: envValues,
+    secrets: {
+      ADMIN_TOKEN: Boolean(env.ADMIN_TOKEN),
+      ALERT_WEBHOOK_URL: Boolean(env.ALERT_WEBHOOK_URL),
+      CF_API_TOKEN: Boolean(env.CF_API_TOKEN)
+    }
+  };
+}
@@ -4,11 +4,50 @@
  * 
  * Uses Durable Objects for regional cache warming.
  * Each DO instance runs in a specific region for better routing.
+ * Every site (see sites.js) is warmed on each cron run; HTTP endpoints take
+ * ?site=<id> and default to the S-5 site.
  */
 
-import { REGIONS, DO_REGION_HINTS, REGION_ORDER } from './config.js';
-import { getAllUrls } from './warmer.js';
-import { getNextRegion, logError, getStatus, getHistoricalData } from './storage.js';
+import {
+  REGIONS,
+  DO_REGION_HINTS,
+  WARM_TRANSLATION_CLUSTERS,
+  SUBRESOURCE_WARMING,
+  MEDIA_WARMING,
+  WARM_PACING,
+  WARM_RETRY,
+  WARM_REDIRECTS,
+  WARM_VERIFY,
+  WARM_JOBS,
+  CRAWL
+} from './config.js';
+import { discoverUrls, expandTranslationClusters, collectMediaItems } from './warmer.js';
+import { applyUrlRules } from './rules.js';
+import { QUARANTINE_POLICY, createPolicyResolver, quarantinePolicy } from './cache-policy.js';
+import { createAssertionResolver } from './assertions.js';
+import { getQuarantine, releaseQuarantine } from './quarantine.js';
+import { getAlerts } from './alerts.js';
+import {
+  getNextRegion,
+  logError,
+  getStatus,
+  getHistoricalData,
+  queueChangedUrls,
+  getPendingChanges,
+  setPendingChanges,
+  storeDiscoveryReport,
+  getUrlPolicies,
+  getCacheAudit,
+  getRedirectReport,
+  getAssertionReport,
+  getKillSwitch,
+  setKillSwitch,
+  clearKillSwitch
+} from './storage.js';
+import { getPinnedUrls, addPinnedUrls, removePinnedUrls } from './sources.js';
+import { updateManifest, getManifest, getManifestDiff, getRotationBatch, countWarmed } from './manifest.js';
+import { DEFAULT_SITE_ID, getSites, getSite, saveSite, deleteSite, siteEnv } from './sites.js';
+import { envFlag, validateConfig, getEffectiveConfig, siteVariants } from './effective-config.js';
 import { generateDashboard } from './dashboard.js';
 
 // Export Durable Object class directly for wrangler
@@ -16,10 +55,15 @@ import { generateDashboard } from './dashboard.js';
 export { CacheWarmerDO } from './warmer-do.js';
 
 /**
- * Call regional Durable Object for cache warming
+ * Start a warm job in the regional Durable Object
  * Uses location hints to ensure DO runs in the target region
+ * `urls` are URL strings or { url, lang, source, policy, assertions } items, and
+ * `policies` and `assertions` the tables they name (see buildWarmItems); `media` is the optional
+ * media tier from buildMediaTier(). `totalUrls` is the size of the site's warm set, for
+ * progress. Rate limit, TTL and user agent come from the site.
+ * Returns { stub, job } as soon as the DO has stored the batch; poll it with waitForJob().
  */
-async function callRegionalDO(env, regionName, urls, { testMode = false } = {}) {
+async function startRegionalJob(env, site, regionName, urls, { testMode = false, totalUrls = 0, media = null, policies = {}, assertions = {} } = {}) {
   const targetHint = DO_REGION_HINTS[regionName];
   const targetColo = REGIONS[regionName]; // Used only for UI display/comparison
 
@@ -36,13 +80,37 @@ async function callRegionalDO(env, regionName, urls, { testMode = false } = {})
 
   const body = {
     urls,
+    siteId: site.id,
     regionName,
     targetHint,
     targetColo,
-    totalUrls: env.__TOTAL_URLS__ || 0, // not used; we override below when known
-    rateLimitMs: parseInt(env.RATE_LIMIT_MS) || 2000,
-    cacheTtlSeconds: 14400,
-    userAgent: 'S5-Cache-Warmer/1.0'
+    totalUrls,
+    rateLimitMs: site.rateLimitMs,
+    cacheTtlSeconds: site.cacheTtlSeconds,
+    policies,
+    assertions,
+    zoneId: site.zoneId,
+    userAgent: site.userAgent,
+    variants: siteVariants(site, env),
+    pacing: WARM_PACING,
+    retry: WARM_RETRY,
+    redirects: WARM_REDIRECTS,
+    verify: envFlag(env.WARM_VERIFY, WARM_VERIFY.enabled)
+      ? {
+        sampleRate: WARM_VERIFY.sampleRate,
+        maxUrls: WARM_VERIFY.maxUrls,
+        delayMs: WARM_VERIFY.delayMs,
+        rateLimitMs: WARM_VERIFY.rateLimitMs
+      }
+      : null,
+    subresources: envFlag(env.WARM_SUBRESOURCES, SUBRESOURCE_WARMING.enabled)
+      ? {
+        zone: site.zone,
+        maxAssets: SUBRESOURCE_WARMING.maxAssets,
+        rateLimitMs: SUBRESOURCE_WARMING.rateLimitMs
+      }
+      : null,
+    media
   };
 
   const res = await stub.fetch('https://do/warm', {
@@ -56,16 +124,81 @@ async function callRegionalDO(env, regionName, urls, { testMode = false } = {})
     throw new Error(`DO warm failed (${regionName}/${targetHint}): ${res.status} - ${errorText}`);
   }
 
-  let results;
+  const job = await res.json();
+  console.log(`Started warm job ${job.id}: ${job.totalItems} URLs in ${job.chunks} chunks`);
+  return { stub, job };
+}
+
+/**
+ * Durable Object stub for a job ID (IDs start with their DO's location hint),
+ * or null when the ID names no known hint.
+ */
+function jobStub(env, jobId) {
+  const targetHint = jobId.split('-')[0];
+  if (!Object.values(DO_REGION_HINTS).includes(targetHint)) return null;
+  return env.CACHE_WARMER_DO.get(env.CACHE_WARMER_DO.idFromName(`warm:${targetHint}`), { locationHint: targetHint });
+}
+
+/**
+ * A job route's answer from the DO as { code, body }. Error answers that are
+ * not JSON (an exception in the DO, say) become { error } with their text.
+ */
+async function jobReply(res) {
+  if (res.ok) return { code: res.status, body: await res.json() };
+  const errorText = await res.text();
   try {
-    results = await res.json();
-  } catch (parseError) {
-    const text = await res.text();
-    throw new Error(`Failed to parse DO response as JSON: ${parseError.message}. Response: ${text.substring(0, 200)}`);
+    return { code: res.status, body: JSON.parse(errorText) };
+  } catch {
+    return { code: res.status, body: { error: `${res.status} - ${errorText}` } };
   }
-  
+}
+
+/**
+ * 404 for a job ID that no Durable Object could have issued.
+ */
+function unknownJob(jobId) {
+  return new Response(JSON.stringify({ error: `Unknown job: ${jobId}` }), {
+    status: 404,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-cache'
+    }
+  });
+}
+
+/**
+ * Durable Object stubs for a site's regions (or just `region`), one per
+ * location hint.
+ */
+function regionStubs(env, site, region = null) {
+  const hints = [...new Set((region ? [region] : site.regions).map(name => DO_REGION_HINTS[name]).filter(Boolean))];
+  return hints.map(hint => env.CACHE_WARMER_DO.get(env.CACHE_WARMER_DO.idFromName(`warm:${hint}`), { locationHint: hint }));
+}
+
+/**
+ * Poll a job until it completes, fails, is cancelled or `waitMs` has passed, and return
+ * its last state (with results once complete).
+ */
+async function waitForJob(stub, jobId, waitMs) {
+  const deadline = Date.now() + waitMs;
+  for (;;) {
+    const res = await stub.fetch(`https://do/jobs/${encodeURIComponent(jobId)}`);
+    if (!res.ok) {
+      const errorText = await res.text();
+      throw new Error(`Job lookup failed (${jobId}): ${res.status} - ${errorText}`);
+    }
+    const job = await res.json();
+    if (['complete', 'failed', 'cancelled'].includes(job.status) || Date.now() >= deadline) return job;
+    await new Promise(r => setTimeout(r, Math.min(WARM_JOBS.pollIntervalMs, deadline - Date.now())));
+  }
+}
+
+/**
+ * Results of a completed job with every field the summary needs
+ */
+function normalizeResults(results, regionName, targetColo) {
   if (!results || typeof results !== 'object') {
-    throw new Error(`Invalid DO response: expected object, got ${typeof results}`);
+    throw new Error(`Invalid job results: expected object, got ${typeof results}`);
   }
   
   // Ensure all required properties exist with fallbacks
@@ -76,22 +209,225 @@ async function callRegionalDO(env, regionName, urls, { testMode = false } = {})
     cacheMiss: results.cacheMiss ?? 0,
     cacheExpired: results.cacheExpired ?? 0,
     cacheOther: results.cacheOther ?? 0,
+    cacheStatuses: results.cacheStatuses ?? {},
     coloMatched: results.coloMatched ?? 0,
     coloMismatched: results.coloMismatched ?? 0,
     hitRate: results.hitRate ?? '0.00',
     coloMatchRate: results.coloMatchRate ?? '0.00',
     coloBreakdown: results.coloBreakdown ?? {},
+    languageBreakdown: results.languageBreakdown ?? {},
+    sourceBreakdown: results.sourceBreakdown ?? {},
+    policyBreakdown: results.policyBreakdown ?? {},
+    variantBreakdown: results.variantBreakdown ?? {},
+    dimensionBreakdown: results.dimensionBreakdown ?? {},
+    pacing: results.pacing ?? null,
+    latency: results.latency ?? null,
+    verification: results.verification ?? null,
+    cacheAudit: results.cacheAudit ?? null,
+    redirectStats: results.redirectStats ?? null,
+    assertionStats: results.assertionStats ?? null,
+    quarantine: results.quarantine ?? null,
+    failureStats: results.failureStats ?? null,
+    assets: results.assets ?? null,
+    media: results.media ?? null,
     region: results.region ?? regionName,
     targetColo: results.targetColo ?? targetColo,
-    duration: results.duration ?? '0.00s',
-    urls: results.urls ?? [] // Include URLs if present
+    duration: results.duration ?? '0.00s'
   };
 }
 
+/**
+ * DO work items for a batch: each URL with its language and source (for
+ * coverage reporting), the cache policy it matches and the content assertions
+ * that apply, plus the policy and assertion tables.
+ */
+function buildWarmItems(urls, entries, site) {
+  const resolver = createPolicyResolver(site.cachePolicies, site.cacheTtlSeconds);
+  const assertionResolver = createAssertionResolver(site.contentAssertions);
+  const entryByUrl = new Map(entries.map(entry => [entry.loc, entry]));
+  const items = urls.map(u => {
+    const entry = entryByUrl.get(u);
+    return {
+      url: u,
+      lang: entry?.lang || null,
+      source: entry?.source || null,
+      policy: resolver.resolve(entry || u),
+      assertions: assertionResolver.resolve(entry || u)
+    };
+  });
+  return {
+    items,
+    policies: { ...resolver.policies, [QUARANTINE_POLICY]: quarantinePolicy() },
+    assertions: assertionResolver.assertions
+  };
+}
+
+/**
+ * Apply the site's include/exclude rules and lastmod age limit
+ */
+function filterEntries(entries, site) {
+  return applyUrlRules(entries, { rules: site.urlRules, maxAgeDays: site.maxUrlAgeDays });
+}
+
+/**
+ * Media tier for a batch: same-zone image/video URLs listed in the sitemap
+ * entries of the pages being warmed, or null when media warming is off
+ * (WARM_MEDIA env var overrides the config default)
+ */
+function buildMediaTier(pageUrls, entries, env, site) {
+  if (!envFlag(env.WARM_MEDIA, MEDIA_WARMING.enabled)) return null;
+  return {
+    items: collectMediaItems(pageUrls, entries, { ...MEDIA_WARMING, zone: site.zone }),
+    cacheTtlSeconds: MEDIA_WARMING.cacheTtlSeconds,
+    rateLimitMs: MEDIA_WARMING.rateLimitMs,
+    maxItems: MEDIA_WARMING.maxPerRun
+  };
+}
+
+/**
+ * Validate the merged configuration and log every problem found.
+ * Runs once per isolate at startup, on each cron run and after /sites changes.
+ */
+async function checkConfig(env, reason) {
+  const validation = await validateConfig(env);
+  validation.errors.forEach(({ path, message }) => console.error(`[config] ${path}: ${message}`));
+  validation.warnings.forEach(({ path, message }) => console.warn(`[config] ${path}: ${message}`));
+  console.log(`[config] Checked (${reason}): ${validation.errors.length} errors, ${validation.warnings.length} warnings`);
+  return validation;
+}
+
+let startupCheck = null;
+
+/**
+ * Admin check for endpoints that change configuration: requires
+ * `Authorization: Bearer <ADMIN_TOKEN>`. Returns an error Response, or null
+ * when the request may proceed. Without an ADMIN_TOKEN secret they are disabled.
+ */
+async function requireAdmin(request, env) {
+  if (!env.ADMIN_TOKEN) {
+    return new Response(JSON.stringify({
+      error: 'Admin endpoints are disabled: set the ADMIN_TOKEN secret to enable them'
+    }, null, 2), {
+      status: 403,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  const header = request.headers.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const encoder = new TextEncoder();
+  const given = encoder.encode(token);
+  const expected = encoder.encode(env.ADMIN_TOKEN);
+  if (given.byteLength === expected.byteLength && crypto.subtle.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  return new Response(JSON.stringify({ error: 'Unauthorized' }, null, 2), {
+    status: 401,
+    headers: {
+      'Content-Type': 'application/json',
+      'WWW-Authenticate': 'Bearer'
+    }
+  });
+}
+
+/**
+ * One cron run for a site: discover, update its manifest and change queues,
+ * then warm the next batch in the site's next region.
+ * `env` must already be scoped to the site (see siteEnv).
+ */
+async function warmSite(site, env) {
+  const region = await getNextRegion(env, site);
+  const coloCode = REGIONS[region];
+  
+  console.log(`Site: ${site.id}, target region: ${region} (${coloCode})`);
+  
+  // Get all URLs (in main Worker)
+  const discovery = await discoverUrls(env, { site, crawl: envFlag(env.CRAWL_ENABLED, CRAWL.enabled) });
+  console.log(`Total URLs discovered: ${discovery.entries.length} from ${discovery.sitemaps.length} sitemaps (${discovery.mode} mode) and ${discovery.sources.length} other sources`);
+  if (discovery.failed.length > 0) {
+    console.warn(`Discovery incomplete, URLs from these are kept until they can be read: ${discovery.failed.join(', ')}`);
+  }
+  
+  // Apply include/exclude rules before anything is queued or batched
+  const filtered = filterEntries(discovery.entries, site);
+  const allEntries = filtered.entries;
+  console.log(`URLs after filter rules: ${allEntries.length} (${discovery.entries.length - allEntries.length} filtered out)`);
+  await storeDiscoveryReport({ ...discovery, filters: filtered.report }, env);
+  
+  // Fold discovery into the versioned manifest (stable IDs per URL) and
+  // queue URLs that are new or whose lastmod changed (for every region)
+  const { manifest, changed } = await updateManifest(allEntries, env, discovery.failed.length > 0 ? discovery.readOrigins : null);
+  const totalUrls = Object.keys(manifest.urls).length;
+  if (changed.length > 0) {
+    console.log(`Detected ${changed.length} changed URLs since last discovery`);
+    await queueChangedUrls(changed, env, site);
+  }
+  
+  // Changed URLs go first; drop any that have since left the manifest
+  const maxUrls = site.maxUrlsPerRun;
+  const pendingChanges = (await getPendingChanges(region, env)).filter(u => manifest.urls[u]);
+  const changedUrls = pendingChanges.slice(0, maxUrls);
+  
+  // Track progress in KV as the highest manifest ID warmed this cycle
+  const progressKey = `progress_${region}`;
+  const cursor = parseInt(await env.CACHE_WARMER_KV.get(progressKey) || '0');
+  
+  // Fill the remaining slots from the normal rotation
+  const rotation = getRotationBatch(manifest, cursor, maxUrls - changedUrls.length, new Set(changedUrls));
+  let urlsToWarm = [...changedUrls, ...rotation.urls];
+  
+  // Optionally warm every translation of each selected page alongside it
+  if (envFlag(env.WARM_TRANSLATION_CLUSTERS, WARM_TRANSLATION_CLUSTERS)) {
+    const batchSize = urlsToWarm.length;
+    urlsToWarm = expandTranslationClusters(urlsToWarm, allEntries);
+    console.log(`Translation clusters added ${urlsToWarm.length - batchSize} sibling URLs`);
+  }
+  
+  const warmedCount = countWarmed(manifest, rotation.cycleComplete ? Infinity : rotation.nextCursor);
+  const progress = ((warmedCount / totalUrls) * 100).toFixed(1);
+  if (changedUrls.length > 0) {
+    console.log(`Warming ${changedUrls.length} changed URLs first (${pendingChanges.length - changedUrls.length} still queued)`);
+  }
+  console.log(`Processing ${rotation.urls.length} rotation URLs, ${warmedCount} of ${totalUrls} warmed this cycle (${progress}% complete)`);
+  
+  const { items, policies, assertions } = buildWarmItems(urlsToWarm, allEntries, site);
+  
+  const media = buildMediaTier(urlsToWarm, allEntries, env, site);
+  if (media) {
+    console.log(`Queued ${media.items.length} media URLs from the batch's sitemap entries`);
+  }
+  
+  // Route to Durable Object with location hint for regional placement
+  let started;
+  try {
+    started = await startRegionalJob(env, site, region, items, { totalUrls, media, policies, assertions });
+  } catch (error) {
+    console.error(`Error calling DO for region ${region}:`, error);
+    throw error;
+  }
+  
+  // Update progress: the DO has stored the batch and will finish it even if
+  // it restarts, so the rotation can move on now
+  await env.CACHE_WARMER_KV.put(progressKey, rotation.nextCursor.toString());
+  await setPendingChanges(region, pendingChanges.slice(changedUrls.length), env);
+  
+  if (rotation.cycleComplete) {
+    console.log(`✓ Completed full cycle for ${region}, resetting to start`);
+  }
+  
+  // The DO works through the job in its own alarms and logs its summary when
+  // it finishes; waiting for it here would let the cron's time limit cut off
+  // the sites after this one
+  console.log(`Job ${started.job.id} dispatched; poll /jobs/${started.job.id}?site=${site.id}`);
+}
+
 export default {
   /**
    * Scheduled handler - runs on cron trigger
-   * Routes cache warming to the appropriate Durable Object based on region
+   * Dispatches a job for every enabled site in turn, routing each to the
+   * Durable Object for its next region, without waiting for any of them. One
+   * site failing does not stop the others.
    */
   async scheduled(event, env, ctx) {
     const startTime = Date.now();
@@ -99,68 +435,40 @@ export default {
     console.log('Trigger time:', new Date(event.scheduledTime).toISOString());
     console.log('Cron pattern:', event.cron);
     
-    try {
-      const region = await getNextRegion(env);
-      const coloCode = REGIONS[region];
-      
-      console.log(`Target region: ${region} (${coloCode})`);
-      
-      // Get all URLs (in main Worker)
-      const allUrls = await getAllUrls();
-      console.log(`Total URLs discovered: ${allUrls.length}`);
-      
-      // Stash total URL count for DO to compute progress correctly
-      env.__TOTAL_URLS__ = allUrls.length;
-      
-      // Track progress in KV
-      const progressKey = `progress_${region}`;
-      const lastIndex = parseInt(await env.CACHE_WARMER_KV.get(progressKey) || '0');
-      
-      const startIndex = lastIndex;
-      const endIndex = Math.min(startIndex + parseInt(env.MAX_URLS_PER_RUN), allUrls.length);
-      const urlsToWarm = allUrls.slice(startIndex, endIndex);
-      
-      const progress = ((endIndex / allUrls.length) * 100).toFixed(1);
-      console.log(`Processing URLs ${startIndex + 1}-${endIndex} of ${allUrls.length} (${progress}% complete)`);
-      
-      // Route to Durable Object with location hint for regional placement
-      let results;
+    // Problems are logged and recorded, not fatal: a bad region label only
+    // breaks that region's runs, so the rest keep warming
+    const validation = await checkConfig(env, 'cron run');
+    if (!validation.valid) {
+      const summary = validation.errors.map(({ path, message }) => `${path}: ${message}`).join('; ');
+      await logError('config', new Error(`Invalid configuration: ${summary}`), env);
+    }
+    
+    // Engaged from /kill-switch (e.g. during origin maintenance)
+    const killSwitch = await getKillSwitch(env);
+    if (killSwitch) {
+      console.warn(`Kill switch engaged since ${killSwitch.since || 'unknown'}${killSwitch.reason ? ` (${killSwitch.reason})` : ''}; no sites dispatched`);
+      return;
+    }
+    
+    const sites = (await getSites(env)).filter(site => site.enabled);
+    const failures = [];
+    
+    for (const site of sites) {
+      const scopedEnv = siteEnv(env, site.id);
       try {
-        results = await callRegionalDO(env, region, urlsToWarm);
+        await warmSite(site, scopedEnv);
       } catch (error) {
-        console.error(`Error calling DO for region ${region}:`, error);
-        throw error;
-      }
-      
-      // Validate results structure (after normalization, hitRate should always exist)
-      if (!results) {
-        console.error('No results returned from DO');
-        throw new Error(`Durable Object returned no results`);
-      }
-      
-      // Update progress
-      const newIndex = endIndex >= allUrls.length ? 0 : endIndex;
-      await env.CACHE_WARMER_KV.put(progressKey, newIndex.toString());
-      
-      if (newIndex === 0) {
-        console.log(`✓ Completed full cycle for ${region}, resetting to start`);
+        console.error(`!!! Fatal Error in Cache Warmer (site ${site.id}) !!!`);
+        console.error('Error:', error.message);
+        console.error('Stack:', error.stack);
+        
+        await logError('system', error, scopedEnv);
+        failures.push(`${site.id}: ${error.message}`);
       }
-      
-      console.log('=== Execution Summary ===');
-      console.log(`Duration: ${results.duration || 'N/A'}`);
-      console.log(`Success: ${results.success}, Failures: ${results.failures}`);
-      console.log(`Cache Status - HIT: ${results.cacheHit}, MISS: ${results.cacheMiss}, EXPIRED: ${results.cacheExpired}`);
-      console.log(`Hit Rate: ${results.hitRate}%`);
-      console.log(`Colo Verification - Matched: ${results.coloMatched}, Mismatched: ${results.coloMismatched}`);
-      console.log(`Colo Match Rate: ${results.coloMatchRate}%`);
-      
-    } catch (error) {
-      console.error('!!! Fatal Error in Cache Warmer !!!');
-      console.error('Error:', error.message);
-      console.error('Stack:', error.stack);
-      
-      await logError('system', error, env);
-      throw error;
+    }
+    
+    if (failures.length > 0) {
+      throw new Error(`Cache warming failed for ${failures.length} of ${sites.length} sites: ${failures.join('; ')}`);
     }
   },
   
@@ -170,9 +478,113 @@ export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
     
+    // A check that throws (KV unavailable, say) is logged, not cached: the
+    // next request tries again
+    startupCheck ||= checkConfig(env, 'startup').catch(error => {
+      console.error('[config] Startup check failed:', error);
+      startupCheck = null;
+    });
+    await startupCheck;
+    
+    // Site definitions - admin API
+    const sitesMatch = url.pathname.match(/^\/sites(?:\/([^/]+))?\/?$/);
+    if (sitesMatch) {
+      const siteId = sitesMatch[1] ? decodeURIComponent(sitesMatch[1]) : null;
+      const denied = await requireAdmin(request, env);
+      if (denied) return denied;
+      
+      try {
+        let result;
+        let status = 200;
+        if (request.method === 'GET') {
+          result = siteId ? await getSite(env, siteId) : { sites: await getSites(env) };
+          if (!result) status = 404;
+        } else if (siteId && request.method === 'PUT') {
+          const definition = await request.json().catch(() => null);
+          const site = await saveSite(env, siteId, definition);
+          result = { site, validation: await checkConfig(env, `site "${siteId}" saved`) };
+        } else if (siteId && request.method === 'DELETE') {
+          const deleted = await deleteSite(env, siteId);
+          if (!deleted) status = 404;
+          result = { deleted, validation: deleted ? await checkConfig(env, `site "${siteId}" deleted`) : undefined };
+        } else {
+          return new Response('Method not allowed', { status: 405 });
+        }
+        return new Response(JSON.stringify(result || { error: `Unknown site "${siteId}"` }, null, 2), {
+          status,
+          headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache'
+          }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({
+          error: error.message
+        }, null, 2), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    }
+    
+    // Global kill switch - read by anyone, changed by admins
+    if (url.pathname === '/kill-switch') {
+      if (request.method !== 'GET') {
+        const denied = await requireAdmin(request, env);
+        if (denied) return denied;
+      }
+      let killSwitch;
+      if (request.method === 'GET') {
+        killSwitch = await getKillSwitch(env);
+      } else if (request.method === 'POST') {
+        const body = await request.json().catch(() => ({}));
+        killSwitch = await setKillSwitch(env, body.reason || url.searchParams.get('reason') || null);
+        console.warn(`Kill switch engaged${killSwitch.reason ? ` (${killSwitch.reason})` : ''}`);
+      } else if (request.method === 'DELETE') {
+        await clearKillSwitch(env);
+        killSwitch = null;
+        console.log('Kill switch released');
+      } else {
+        return new Response('Method not allowed', { status: 405 });
+      }
+      return new Response(JSON.stringify({ engaged: Boolean(killSwitch), ...killSwitch }, null, 2), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+    
+    // Everything below works on one site (?site=, default S-5) and its KV data
+    const site = await getSite(env, url.searchParams.get('site') || DEFAULT_SITE_ID);
+    if (!site) {
+      return new Response(JSON.stringify({
+        error: `Unknown site "${url.searchParams.get('site')}"`
+      }, null, 2), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    const sites = await getSites(env);
+    const rootEnv = env;
+    env = siteEnv(env, site.id);
+    
+    // Effective configuration for the site plus validation of the whole config
+    if (url.pathname === '/config') {
+      return new Response(JSON.stringify({
+        ...getEffectiveConfig(env, site, sites),
+        validation: await validateConfig(rootEnv)
+      }, null, 2), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+    
     // Dashboard - visual interface
     if (url.pathname === '/dashboard') {
-      const html = await generateDashboard(env);
+      const html = await generateDashboard(env, site, sites, await validateConfig(rootEnv), await getKillSwitch(rootEnv));
       return new Response(html, {
         headers: { 
           'Content-Type': 'text/html',
@@ -183,7 +595,8 @@ export default {
     
     // Status - JSON API
     if (url.pathname === '/status') {
-      const status = await getStatus(env);
+      const status = await getStatus(env, site);
+      status.killSwitch = await getKillSwitch(rootEnv);
       return new Response(JSON.stringify(status, null, 2), {
         headers: { 
           'Content-Type': 'application/json',
@@ -192,11 +605,36 @@ export default {
       });
     }
     
+    // Live progress of each region's current job for this site, straight
+    // from the DOs (the KV status above only changes when a job finishes)
+    if (url.pathname === '/status/live') {
+      const region = url.searchParams.get('region');
+      const regionNames = [...new Set(region ? [region] : site.regions)].filter(name => DO_REGION_HINTS[name]);
+      // Hints map one-to-one to regions, so each DO reports on one region
+      const regions = Object.fromEntries(await Promise.all(regionNames.map(async name => {
+        const [stub] = regionStubs(env, site, name);
+        const res = await stub.fetch(`https://do/status?site=${encodeURIComponent(site.id)}`);
+        return [name, res.ok ? (await res.json()).job : { error: `DO status failed: ${res.status}` }];
+      })));
+      return new Response(JSON.stringify({ site: site.id, timestamp: new Date().toISOString(), regions }, null, 2), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+    
     // Historical data API
     if (url.pathname === '/history') {
       const region = url.searchParams.get('region');
       const limit = parseInt(url.searchParams.get('limit') || '100');
-      const history = await getHistoricalData(env, region, limit);
+      const history = await getHistoricalData(env, region, limit, site);
+      // Per-URL cache policies live in separate keys; only read them for one region
+      if (region && url.searchParams.get('policies') === 'true') {
+        await Promise.all(history.results.map(async result => {
+          result.urlPolicies = await getUrlPolicies(env, result.region, result.timestamp);
+        }));
+      }
       return new Response(JSON.stringify(history, null, 2), {
         headers: { 
           'Content-Type': 'application/json',
@@ -205,42 +643,288 @@ export default {
       });
     }
     
+    // Pages the last run in each region could not cache, with the header most
+    // likely to blame
+    if (url.pathname === '/cache-audit') {
+      const region = url.searchParams.get('region');
+      const audits = await Promise.all((region ? [region] : site.regions).map(name => getCacheAudit(env, name)));
+      const regions = Object.fromEntries(audits.filter(Boolean).map(audit => [audit.region, audit]));
+      return new Response(JSON.stringify({ site: site.id, regions }, null, 2), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+    
+    // URLs that redirect (from each region's last run), to clean up at the source
+    if (url.pathname === '/redirects') {
+      const report = await getRedirectReport(env, site, url.searchParams.get('region'));
+      return new Response(JSON.stringify({ site: site.id, maxHops: WARM_REDIRECTS.maxHops, ...report }, null, 2), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+    
+    // Pages failing content assertions in each region's last run, and the quarantine
+    if (url.pathname === '/assertions') {
+      const region = url.searchParams.get('region');
+      const reports = await Promise.all((region ? [region] : site.regions).map(name => getAssertionReport(env, name)));
+      const regions = Object.fromEntries(reports.filter(Boolean).map(report => [report.region, report]));
+      return new Response(JSON.stringify({ site: site.id, quarantine: await getQuarantine(env), regions }, null, 2), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+    
+    // Quarantined URLs (warmed without being cached until their assertions pass)
+    if (url.pathname === '/quarantine') {
+      try {
+        let result;
+        if (request.method === 'GET') {
+          result = { quarantine: await getQuarantine(env) };
+        } else if (request.method === 'DELETE') {
+          const denied = await requireAdmin(request, env);
+          if (denied) return denied;
+          const body = await request.json().catch(() => ({}));
+          const urls = Array.isArray(body.urls) ? body.urls : url.searchParams.getAll('url');
+          if (urls.length === 0) {
+            throw new Error('Provide URLs as {"urls": [...]} or ?url=');
+          }
+          result = await releaseQuarantine(env, urls);
+        } else {
+          return new Response('Method not allowed', { status: 405 });
+        }
+        return new Response(JSON.stringify(result, null, 2), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache'
+          }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({
+          error: error.message
+        }, null, 2), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    }
+    
+    // Alerts raised by warm runs, newest first
+    if (url.pathname === '/alerts') {
+      return new Response(JSON.stringify({ site: site.id, alerts: await getAlerts(env) }, null, 2), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+    
+    // Warm jobs held by the regional DOs (newest first)
+    if (url.pathname === '/jobs') {
+      const region = url.searchParams.get('region');
+      const lists = await Promise.all(regionStubs(env, site, region).map(async stub => {
+        const res = await stub.fetch(`https://do/jobs?site=${encodeURIComponent(site.id)}`);
+        return res.ok ? (await res.json()).jobs : [];
+      }));
+      const jobs = lists.flat()
+        .filter(job => !region || job.regionName === region)
+        .sort((a, b) => b.createdAt - a.createdAt);
+      return new Response(JSON.stringify({ site: site.id, jobs }, null, 2), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+
+    // Pause, resume or cancel a job (admin). "active" means each region's
+    // current job for this site: ?region= for one region, otherwise all of them
+    const controlMatch = url.pathname.match(/^\/jobs\/([^/]+)\/(pause|resume|cancel)$/);
+    if (controlMatch) {
+      if (request.method !== 'POST') return new Response('Method not allowed', { status: 405 });
+      const denied = await requireAdmin(request, env);
+      if (denied) return denied;
+      
+      const [, jobId, action] = controlMatch;
+      const region = url.searchParams.get('region');
+      const stubs = jobId === 'active'
+        ? regionStubs(env, site, region)
+        : [jobStub(env, decodeURIComponent(jobId))];
+      if (stubs[0] === null) return unknownJob(decodeURIComponent(jobId));
+      const outcomes = await Promise.all(stubs.map(async stub => {
+        const res = await stub.fetch(`https://do/jobs/${jobId}/${action}?site=${encodeURIComponent(site.id)}`, { method: 'POST' });
+        return jobReply(res);
+      }));
+      // One job: pass its answer through; several: 200 if any of them changed
+      const status = outcomes.length === 1 ? outcomes[0].code : (outcomes.some(({ code }) => code === 200) ? 200 : 404);
+      return new Response(JSON.stringify(outcomes.length === 1 ? outcomes[0].body : { action, jobs: outcomes.map(({ body }) => body) }, null, 2), {
+        status,
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+    
+    // One job's progress, and its results once complete
+    if (url.pathname.startsWith('/jobs/')) {
+      const jobId = decodeURIComponent(url.pathname.slice('/jobs/'.length));
+      const stub = jobStub(env, jobId);
+      if (!stub) return unknownJob(jobId);
+      const { code, body } = await jobReply(await stub.fetch(`https://do/jobs/${encodeURIComponent(jobId)}`));
+      return new Response(JSON.stringify(body, null, 2), {
+        status: code,
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+    
+    // URL manifest summary (stable IDs, current version)
+    if (url.pathname === '/manifest') {
+      const manifest = await getManifest(env);
+      const includeUrls = url.searchParams.get('urls') === 'true';
+      return new Response(JSON.stringify({
+        version: manifest.version,
+        updatedAt: manifest.updatedAt,
+        urlCount: Object.keys(manifest.urls).length,
+        nextId: manifest.nextId,
+        ...(includeUrls ? { urls: manifest.urls } : {})
+      }, null, 2), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache'
+        }
+      });
+    }
+
+    // Added/removed URLs between two manifest versions
+    if (url.pathname === '/manifest/diff') {
+      try {
+        const manifest = await getManifest(env);
+        const to = parseInt(url.searchParams.get('to') || String(manifest.version), 10);
+        const from = parseInt(url.searchParams.get('from') || String(Math.max(0, to - 1)), 10);
+        const diff = await getManifestDiff(env, from, to);
+        return new Response(JSON.stringify(diff, null, 2), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache'
+          }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({
+          error: error.message
+        }, null, 2), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // Pinned URLs (always merged into discovery as the 'pinned' source)
+    if (url.pathname === '/pinned') {
+      try {
+        let result;
+        if (request.method === 'GET') {
+          result = { pinned: await getPinnedUrls(env) };
+        } else if (request.method === 'POST' || request.method === 'DELETE') {
+          const denied = await requireAdmin(request, env);
+          if (denied) return denied;
+          const body = await request.json().catch(() => ({}));
+          const urls = Array.isArray(body.urls) ? body.urls : url.searchParams.getAll('url');
+          if (urls.length === 0) {
+            throw new Error('Provide URLs as {"urls": [...]} or ?url=');
+          }
+          result = request.method === 'POST' ? await addPinnedUrls(urls, env) : await removePinnedUrls(urls, env);
+        } else {
+          return new Response('Method not allowed', { status: 405 });
+        }
+        return new Response(JSON.stringify(result, null, 2), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-cache'
+          }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({
+          error: error.message
+        }, null, 2), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
     // Manual trigger for testing (processes fewer URLs to avoid timeout)
     if (url.pathname === '/trigger') {
       const testMode = url.searchParams.get('test') !== 'false'; // Default to test mode
-      const urlCount = testMode ? 5 : parseInt(env.MAX_URLS_PER_RUN);
+      const urlCount = testMode ? 5 : site.maxUrlsPerRun;
+      
+      const killSwitch = await getKillSwitch(rootEnv);
+      if (killSwitch) {
+        return new Response(JSON.stringify({
+          error: 'Kill switch engaged; release it with DELETE /kill-switch first',
+          killSwitch
+        }, null, 2), {
+          status: 409,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
       
       console.log(`Manual trigger initiated (${testMode ? 'TEST' : 'FULL'} mode - ${urlCount} URLs)`);
       
       try {
-        const region = await getNextRegion(env);
+        const region = await getNextRegion(env, site);
         const coloCode = REGIONS[region];
         
-        console.log(`Target region: ${region} (${coloCode})`);
+        console.log(`Site: ${site.id}, target region: ${region} (${coloCode})`);
         
-        const allUrls = await getAllUrls();
+        const discovery = await discoverUrls(env, { site, crawl: envFlag(env.CRAWL_ENABLED, CRAWL.enabled) });
+        const allEntries = filterEntries(discovery.entries, site).entries;
         
-        // Stash total URL count for DO to compute progress correctly
-        env.__TOTAL_URLS__ = allUrls.length;
-        
-        const urlsToWarm = allUrls.slice(0, urlCount);
+        const batch = allEntries.slice(0, urlCount);
+        const { items: urlsToWarm, policies, assertions } = buildWarmItems(batch.map(entry => entry.loc), batch, site);
+        const media = buildMediaTier(batch.map(entry => entry.loc), batch, env, site);
         
         console.log(`Processing ${urlsToWarm.length} URLs for verification via Durable Object`);
         
         // Route to Durable Object with location hint for regional placement
-        let results;
+        let started;
         try {
-          results = await callRegionalDO(env, region, urlsToWarm, { testMode });
+          started = await startRegionalJob(env, site, region, urlsToWarm, { testMode, totalUrls: allEntries.length, media, policies, assertions });
         } catch (error) {
           console.error(`Error calling DO for region ${region}:`, error);
           throw error;
         }
         
-        // Validate results structure (after normalization, hitRate should always exist)
-        if (!results) {
-          console.error('No results returned from DO');
-          throw new Error(`Durable Object returned no results`);
+        // Answer with the job to poll if it takes longer than a request should
+        const job = await waitForJob(started.stub, started.job.id, WARM_JOBS.triggerWaitMs);
+        if (job.status === 'failed') {
+          throw new Error(`Warm job ${job.id} failed: ${job.error}`);
+        }
+        if (job.status === 'cancelled') {
+          throw new Error(`Warm job ${job.id} was cancelled`);
         }
+        if (job.status !== 'complete') {
+          return new Response(JSON.stringify({
+            message: 'Cache warming job still running',
+            site: site.id,
+            region,
+            job,
+            poll: `/jobs/${job.id}?site=${site.id}`
+          }, null, 2), {
+            status: 202,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        const results = normalizeResults(job.results, region, coloCode);
         
         // Ensure all fields exist with safe defaults
         const safeResults = {
@@ -258,6 +942,8 @@ export default {
         
         return new Response(JSON.stringify({
           message: 'Cache warming completed',
+          site: site.id,
+          jobId: job.id,
           region: results.region || region,
           targetColo: results.targetColo || REGIONS[region],
           duration: safeResults.duration,
@@ -274,7 +960,32 @@ export default {
             matchRate: typeof safeResults.coloMatchRate === 'string' ? safeResults.coloMatchRate : safeResults.coloMatchRate + '%',
             breakdown: safeResults.coloBreakdown
           },
-          note: testMode ? `Test mode - 5 URLs` : `Full run (${env.MAX_URLS_PER_RUN})`
+          assetStats: results.assets ? {
+            discovered: results.assets.discovered,
+            warmed: results.assets.success,
+            failures: results.assets.failures,
+            hitRate: results.assets.hitRate,
+            byType: results.assets.byType
+          } : null,
+          policyBreakdown: results.policyBreakdown,
+          variantBreakdown: results.variantBreakdown,
+          pacing: results.pacing,
+          latency: results.latency,
+          verification: results.verification,
+          cacheStatuses: results.cacheStatuses,
+          cacheAudit: results.cacheAudit,
+          redirectStats: results.redirectStats,
+          assertionStats: results.assertionStats,
+          quarantine: results.quarantine,
+          failureStats: results.failureStats,
+          mediaStats: results.media ? {
+            discovered: results.media.discovered,
+            warmed: results.media.success,
+            failures: results.media.failures,
+            hitRate: results.media.hitRate,
+            byType: results.media.byType
+          } : null,
+          note: testMode ? `Test mode - 5 URLs` : `Full run (${site.maxUrlsPerRun})`
         }, null, 2), {
           status: 200,
           headers: { 'Content-Type': 'application/json' }
@@ -297,7 +1008,8 @@ export default {
            await env.CACHE_WARMER_KV.put('last_region_index', '-1');
            return new Response(JSON.stringify({
              message: 'Region rotation reset to start',
-             nextRegion: REGION_ORDER[0] || 'Western North America'
+             site: site.id,
+             nextRegion: site.regions[0] || 'Western North America'
            }, null, 2), {
              headers: { 'Content-Type': 'application/json' }
            });
@@ -315,22 +1027,63 @@ export default {
        return new Response(`
 S-5 Cache Warmer API
 
-Endpoints:
+Endpoints (all but /sites take ?site=<id>, default "${DEFAULT_SITE_ID}"):
   GET /dashboard           Visual dashboard with charts and statistics
-  GET /status              JSON status of all regions
+  GET /status              JSON status of all regions + sitemap discovery report
+  GET /status/live         Current job progress per region: URLs done/left, current URL, hits, failures, ETA (?region=)
+  GET /config              Effective configuration and validation errors/warnings
   GET /history             Historical execution data
     ?region=Canada         Filter by region
     &limit=100             Number of results (default: 100)
-  GET /trigger             Manual trigger for testing (5 URLs by default)
+    &policies=true         With region: the cache policy each URL was warmed under
+  GET /cache-audit         Uncacheable pages from each region's last run, with cache headers and likely cause (?region=)
+  GET /redirects           URLs that redirect, with every hop, loops and chains over ${WARM_REDIRECTS.maxHops} hops flagged (?region=)
+  GET /assertions          Pages failing content assertions in each region's last run, plus the quarantine (?region=)
+  GET /quarantine          URLs warmed without caching until they pass their content assertions again
+  DELETE /quarantine       Release URLs from quarantine: {"urls": [...]} or ?url= (admin)
+  GET /alerts              Alerts raised by warm runs (quarantined pages), newest first
+  GET /jobs                Warm jobs in the site's regional DOs, newest first
+    ?region=Canada         Only that region's jobs
+  GET /jobs/<id>           Job progress, with results once complete
+  POST /jobs/<id>/pause    Pause a job after its current chunk (admin; also /resume, /cancel)
+  POST /jobs/active/pause  Same for each region's current job (?region= for one region)
+  GET /manifest            URL manifest version and size
+    ?urls=true             Include every URL with its stable ID
+  GET /manifest/diff       URLs added/removed between manifest versions
+    ?from=3&to=5           Version range (default: previous -> current)
+  GET /pinned              Pinned URLs (warmed alongside sitemap URLs)
+  POST /pinned             Pin URLs: {"urls": [...]} or ?url=
+  DELETE /pinned           Unpin URLs: {"urls": [...]} or ?url=
+  GET /trigger             Manual trigger for testing (5 URLs by default; 202 + job ID if still running)
   GET /trigger?test=false  Full run (${env.MAX_URLS_PER_RUN} URLs - may timeout on HTTP)
   GET /reset-region        Reset region rotation to start from Canada
+  GET /kill-switch         Whether the global kill switch is engaged
+  POST /kill-switch        Stop cron runs from dispatching for every site: {"reason": "..."} (admin)
+  DELETE /kill-switch      Release the kill switch (admin)
+  GET /sites               Site definitions (admin)
+  GET /sites/<id>          One site definition (admin)
+  PUT /sites/<id>          Create or replace a site: JSON definition (admin)
+  DELETE /sites/<id>       Delete a site (admin; "default" reverts to config.js)
+
+Admin endpoints (/sites, POST/DELETE /pinned, DELETE /quarantine, job control, kill switch changes) need "Authorization: Bearer <ADMIN_TOKEN>".
+
+Sites: ${sites.map(({ id, name, enabled }) => `${id} (${name || id}${enabled ? '' : ', disabled'})`).join(', ')}
 
-Regions: ${Object.keys(REGIONS).join(', ')}
+Regions (${site.id}): ${site.regions.join(', ')}
 
-Configuration:
-  - Cron: Runs every 6 hours automatically
-  - Processes ${env.MAX_URLS_PER_RUN} URLs per cron execution
-  - Rate limit: ${env.RATE_LIMIT_MS}ms between requests
+Configuration (${site.id}):
+  - Cron: Runs every 6 hours automatically, warming every enabled site
+  - Processes ${site.maxUrlsPerRun} URLs per cron execution
+  - Rate limit: ${site.rateLimitMs}ms between requests to start, adapting within ${WARM_PACING.minDelayMs}-${WARM_PACING.maxDelayMs}ms and ${WARM_PACING.minConcurrency}-${WARM_PACING.maxConcurrency} concurrent
+  - Retries: up to ${WARM_RETRY.maxAttempts} attempts for ${[...WARM_RETRY.retryOn, ...WARM_RETRY.retryStatuses.map(String)].join(', ')} failures (backoff from ${WARM_RETRY.baseDelayMs}ms, ${WARM_RETRY.timeoutMs}ms timeout)
+  - Redirects: followed hop by hop and each hop warmed; chains over ${WARM_REDIRECTS.maxHops} hops flagged, given up after ${WARM_REDIRECTS.followLimit}; permanent redirects cached ${Math.min(WARM_REDIRECTS.cacheTtlSeconds, site.cacheTtlSeconds)}s
+  - Warm-then-verify: ${envFlag(env.WARM_VERIFY, WARM_VERIFY.enabled) ? `on (${WARM_VERIFY.sampleRate * 100}% of pages, max ${WARM_VERIFY.maxUrls}, after ${WARM_VERIFY.delayMs / 1000}s)` : 'off'}
+  - Request variants: ${siteVariants(site, env).map(variant => variant.name).join(', ')}
+  - Cache policies: ${[...site.cachePolicies.map(policy => `${policy.name} (${policy.cacheTtlByStatus['200-299'] ?? site.cacheTtlSeconds}s)`), `default (${site.cacheTtlSeconds}s)`].join(', ')}
+  - Content assertions: ${site.contentAssertions.map(assertion => `${assertion.name}${assertion.quarantine ? ' (quarantine)' : ''}`).join(', ') || 'none'}; alerts ${env.ALERT_WEBHOOK_URL ? 'sent to the webhook' : 'recorded only'}, purge ${env.CF_API_TOKEN && site.zoneId ? `from zone ${site.zoneId}` : 'off'}
+  - Sitemap discovery: ${site.discovery} (${site.discovery === 'static' ? site.sitemaps.join(', ') : site.hosts.join(', ')})
+  - Other URL sources: ${[...site.urlSources.map(source => `${source.name} (${source.type})`), 'pinned'].join(', ')}
+  - Link crawl: ${envFlag(env.CRAWL_ENABLED, CRAWL.enabled) ? `on (depth ${CRAWL.maxDepth}, max ${CRAWL.maxPages} URLs, labelled crawl-discovered)` : 'off'}
   - Test mode: Processes 5 URLs for quick verification
 
 Note: For production use, rely on the cron trigger. Manual /trigger is for testing only.
@@ -0,0 +1,198 @@
+/**
+ * Versioned URL manifest for S-5 Cache Warmer
+ *
+ * Every discovered URL gets a stable numeric ID the first time it is seen.
+ * IDs are never reused, so a region's progress cursor ("highest ID warmed this
+ * cycle") keeps its meaning when sitemaps gain, lose or reorder entries.
+ * Membership changes bump the manifest version and are recorded as a diff.
+ * Each URL also records its origin (the sitemap or source it came from), so a
+ * sitemap that fails to load does not look like its URLs were removed.
+ */
+
+const MANIFEST_KEY = 'url_manifest';
+const DIFF_TTL_SECONDS = 60 * 60 * 24 * 30;
+const MAX_DIFF_SPAN = 100;
+
+/**
+ * Load the current manifest (an empty version-0 manifest if none exists yet).
+ */
+export async function getManifest(env) {
+  const json = await env.CACHE_WARMER_KV.get(MANIFEST_KEY);
+  if (json) {
+    try {
+      return JSON.parse(json);
+    } catch (parseErr) {
+      console.error('Failed to parse URL manifest; starting a new one:', parseErr);
+    }
+  }
+  return { version: 0, nextId: 1, updatedAt: null, urls: {} };
+}
+
+/**
+ * Merge freshly discovered sitemap entries into the manifest.
+ * New URLs are assigned IDs in discovery order; URLs no longer discovered are
+ * dropped. When discovery was incomplete, `readOrigins` lists the sitemaps
+ * and sources it read in full (see discoverUrls): only URLs from those can be
+ * dropped, the rest are kept as they were, and if nothing was discovered at
+ * all the manifest is left alone. Returns the updated manifest plus what changed:
+ * - added / removed: membership changes (recorded as this version's diff)
+ * - changed: URLs that are new or whose lastmod moved, newest lastmod first.
+ *   Empty on the very first build, otherwise the whole site would count as new,
+ *   and never a URL whose own sitemap or source failed this time.
+ */
+export async function updateManifest(entries, env, readOrigins = null) {
+  const previous = await getManifest(env);
+  const isFirstBuild = previous.version === 0;
+
+  if (readOrigins && entries.length === 0 && !isFirstBuild) {
+    console.warn(`Discovery found no URLs and was incomplete; keeping URL manifest v${previous.version}`);
+    return { manifest: previous, added: [], removed: [], changed: [] };
+  }
+  const wasRead = readOrigins ? new Set(readOrigins) : null;
+
+  const urls = {};
+  const added = [];
+  const changed = [];
+  let nextId = previous.nextId;
+  let lastmodChanged = false;
+
+  for (const entry of entries) {
+    if (urls[entry.loc]) continue;
+
+    const existing = previous.urls[entry.loc];
+    const origin = entry.sitemap || entry.source || null;
+    if (existing && wasRead && existing.origin !== origin && !wasRead.has(existing.origin)) {
+      // Found through another source while its own failed; that source's
+      // lastmod (often none) says nothing about whether the page changed
+      urls[entry.loc] = existing;
+    } else if (existing) {
+      urls[entry.loc] = { id: existing.id, lastmod: entry.lastmod, origin };
+      if (existing.lastmod !== entry.lastmod) {
+        changed.push(entry);
+        lastmodChanged = true;
+      }
+    } else {
+      urls[entry.loc] = { id: nextId++, lastmod: entry.lastmod, origin };
+      added.push(entry.loc);
+      if (!isFirstBuild) changed.push(entry);
+    }
+  }
+
+  // Missing because their sitemap or source failed, not because they were removed
+  let kept = 0;
+  if (wasRead) {
+    for (const [url, record] of Object.entries(previous.urls)) {
+      if (urls[url] || wasRead.has(record.origin)) continue;
+      urls[url] = record;
+      kept++;
+    }
+  }
+  if (kept > 0) console.log(`Kept ${kept} URLs whose sitemap or source could not be read`);
+
+  const removed = Object.keys(previous.urls).filter(url => !urls[url]);
+  const membershipChanged = added.length > 0 || removed.length > 0;
+
+  changed.sort((a, b) => (b.lastmod || '').localeCompare(a.lastmod || ''));
+
+  if (!membershipChanged && !lastmodChanged) {
+    return { manifest: previous, added, removed, changed: [] };
+  }
+
+  const manifest = {
+    version: membershipChanged ? previous.version + 1 : previous.version,
+    nextId,
+    updatedAt: new Date().toISOString(),
+    urls
+  };
+
+  if (membershipChanged) {
+    const diff = {
+      version: manifest.version,
+      previousVersion: previous.version,
+      timestamp: Date.now(),
+      added,
+      removed
+    };
+    await env.CACHE_WARMER_KV.put(`manifest_diff_${manifest.version}`, JSON.stringify(diff), { expirationTtl: DIFF_TTL_SECONDS });
+    console.log(`URL manifest v${manifest.version}: +${added.length} / -${removed.length} URLs`);
+  }
+
+  await env.CACHE_WARMER_KV.put(MANIFEST_KEY, JSON.stringify(manifest));
+
+  return { manifest, added, removed, changed: changed.map(entry => entry.loc) };
+}
+
+/**
+ * Manifest members in stable ID order.
+ */
+export function getOrderedUrls(manifest) {
+  return Object.entries(manifest.urls)
+    .map(([url, { id, lastmod }]) => ({ url, id, lastmod }))
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Number of current manifest members a region has already warmed this cycle.
+ */
+export function countWarmed(manifest, cursor) {
+  return Object.values(manifest.urls).filter(({ id }) => id <= cursor).length;
+}
+
+/**
+ * Pick the next rotation batch for a region.
+ * Takes up to `limit` members with an ID above `cursor`, skipping any URL in
+ * `exclude` (already being warmed for another reason). `nextCursor` is 0 once
+ * the batch reaches the end of the manifest, which starts a new cycle.
+ */
+export function getRotationBatch(manifest, cursor, limit, exclude = new Set()) {
+  const remaining = getOrderedUrls(manifest).filter(({ id, url }) => id > cursor && !exclude.has(url));
+  const batch = remaining.slice(0, Math.max(0, limit));
+
+  const cycleComplete = batch.length === remaining.length;
+  const nextCursor = cycleComplete ? 0 : (batch.length > 0 ? batch[batch.length - 1].id : cursor);
+
+  return { urls: batch.map(({ url }) => url), nextCursor, cycleComplete };
+}
+
+/**
+ * Net URL membership change between two manifest versions.
+ * Composes the stored per-version diffs, so a URL that was removed and later
+ * re-added does not show up at all. Diffs expire after 30 days; versions
+ * whose diff is gone are listed in `missingVersions`.
+ */
+export async function getManifestDiff(env, fromVersion, toVersion) {
+  if (!Number.isInteger(fromVersion) || !Number.isInteger(toVersion) || fromVersion < 0 || fromVersion > toVersion) {
+    throw new Error(`Invalid version range: ${fromVersion}..${toVersion}`);
+  }
+  if (toVersion - fromVersion > MAX_DIFF_SPAN) {
+    throw new Error(`Version range too large (max ${MAX_DIFF_SPAN} versions)`);
+  }
+
+  const added = new Set();
+  const removed = new Set();
+  const missingVersions = [];
+
+  for (let version = fromVersion + 1; version <= toVersion; version++) {
+    const json = await env.CACHE_WARMER_KV.get(`manifest_diff_${version}`);
+    if (!json) {
+      missingVersions.push(version);
+      continue;
+    }
+
+    const diff = JSON.parse(json);
+    for (const url of diff.added || []) {
+      removed.has(url) ? removed.delete(url) : added.add(url);
+    }
+    for (const url of diff.removed || []) {
+      added.has(url) ? added.delete(url) : removed.add(url);
+    }
+  }
+
+  return {
+    from: fromVersion,
+    to: toVersion,
+    added: Array.from(added),
+    removed: Array.from(removed),
+    missingVersions
+  };
+}
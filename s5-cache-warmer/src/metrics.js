@@ -0,0 +1,57 @@
+/**
+ * Latency and size percentiles for warmed pages
+ *
+ * Each page fetch records three measurements:
+ * - ttfbMs: time until the response headers arrived
+ * - downloadMs: time until the body was fully read
+ * - bytes: body size as received (after any content decoding)
+ * A run summarizes them as p50/p90/p99 over all pages and per cache status,
+ * which is where a HIT and a MISS from the same colo can be compared.
+ */
+
+export const LATENCY_METRICS = ['ttfbMs', 'downloadMs', 'bytes'];
+export const PERCENTILES = [50, 90, 99];
+
+/**
+ * Nearest-rank percentiles of a list of numbers: { count, min, p50, p90,
+ * p99, max }, or null for an empty list.
+ */
+export function percentiles(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const summary = { count: sorted.length, min: sorted[0] };
+  PERCENTILES.forEach(p => {
+    summary[`p${p}`] = sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+  });
+  summary.max = sorted[sorted.length - 1];
+  return summary;
+}
+
+/**
+ * Percentiles of each metric over successful page records, overall and per
+ * cache status: { all: { count, ttfbMs, downloadMs, bytes }, byCacheStatus:
+ * { HIT: {...}, MISS: {...} } }. Records without timings (failures, or runs
+ * from before they were measured) are skipped; null when none are left.
+ */
+export function summarizeLatency(records) {
+  const measured = records.filter(record => typeof record.downloadMs === 'number');
+  if (measured.length === 0) return null;
+
+  const byCacheStatus = {};
+  measured.forEach(record => {
+    (byCacheStatus[record.cacheStatus || 'UNKNOWN'] ||= []).push(record);
+  });
+
+  return {
+    all: summarizeGroup(measured),
+    byCacheStatus: Object.fromEntries(Object.entries(byCacheStatus).map(([status, group]) => [status, summarizeGroup(group)]))
+  };
+}
+
+function summarizeGroup(records) {
+  const summary = { count: records.length };
+  LATENCY_METRICS.forEach(metric => {
+    summary[metric] = percentiles(records.map(record => record[metric]));
+  });
+  return summary;
+}
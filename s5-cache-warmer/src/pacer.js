@@ -0,0 +1,260 @@
+/**
+ * Adaptive request pacing for the Durable Object's warm loop
+ *
+ * Every page request passes through a gate that bounds how many are in
+ * flight and spaces out their start times. Both limits follow the origin:
+ * - 429 / 503: concurrency halves and the delay doubles; a Retry-After
+ *   header also holds back every new request until it has passed
+ * - slow first byte, other 5xx or a network error: one slot fewer, delay x1.5
+ * - a run of fast cache HITs (one per slot): one slot more, delay x0.8
+ * Only responses to requests started after the last slowdown count towards
+ * the next one, so a burst of 429s from one wave backs off once.
+ * Each change is kept in a timeline so runs can be compared afterwards.
+ */
+
+const MAX_TIMELINE = 60;
+
+/**
+ * Gate for a run. `delayMs` is the starting gap between request starts
+ * (the site's rate limit).
+ */
+export function createPacer({
+  concurrency = 1,
+  minConcurrency = 1,
+  maxConcurrency = 1,
+  delayMs = 2000,
+  minDelayMs = delayMs,
+  maxDelayMs = 30000,
+  slowTtfbMs = 1500,
+  fastTtfbMs = 300,
+  maxRetryAfterMs = 60000
+} = {}) {
+  const startedAt = Date.now();
+  const state = {
+    concurrency: clamp(concurrency, minConcurrency, maxConcurrency),
+    delayMs: clamp(delayMs, minDelayMs, maxDelayMs),
+    inFlight: 0,
+    nextStartAt: 0,
+    pausedUntil: 0,
+    fastStreak: 0,
+    lastSlowdownAt: 0,
+    // For the time-weighted average concurrency
+    changedAt: startedAt,
+    concurrencyMs: 0
+  };
+  const waiting = [];
+  const stats = {
+    requests: 0,
+    ttfbSamples: 0,   // responses with a first byte (not errors or timeouts)
+    ttfbTotalMs: 0,
+    backoffs: 0,
+    slowdowns: 0,
+    speedups: 0,
+    retryAfterWaits: 0,
+    pausedMs: 0,
+    peakConcurrency: state.concurrency,
+    lowestConcurrency: state.concurrency
+  };
+  let timeline = [{ atMs: 0, concurrency: state.concurrency, delayMs: state.delayMs, reason: 'start' }];
+
+  const setRate = (nextConcurrency, nextDelayMs, reason) => {
+    const now = Date.now();
+    const concurrencyNow = clamp(nextConcurrency, minConcurrency, maxConcurrency);
+    const delayNow = Math.round(clamp(nextDelayMs, minDelayMs, maxDelayMs));
+    if (concurrencyNow === state.concurrency && delayNow === state.delayMs) return;
+
+    state.concurrencyMs += state.concurrency * (now - state.changedAt);
+    state.changedAt = now;
+    state.concurrency = concurrencyNow;
+    state.delayMs = delayNow;
+    stats.peakConcurrency = Math.max(stats.peakConcurrency, concurrencyNow);
+    stats.lowestConcurrency = Math.min(stats.lowestConcurrency, concurrencyNow);
+
+    timeline = thinTimeline([...timeline, { atMs: now - startedAt, concurrency: concurrencyNow, delayMs: delayNow, reason }]);
+    wake();
+  };
+
+  const wake = () => {
+    let free = state.concurrency - state.inFlight;
+    while (free-- > 0 && waiting.length > 0) waiting.shift()();
+  };
+
+  const adapt = (requestStartedAt, { status = 0, ttfbMs = 0, cacheStatus = null, retryAfterMs = 0, error = false }) => {
+    if (status === 429 || status === 503) {
+      if (retryAfterMs > 0) {
+        const now = Date.now();
+        const until = now + Math.min(retryAfterMs, maxRetryAfterMs);
+        // Wall-clock pause, so overlapping Retry-Afters are only counted once
+        stats.pausedMs += Math.max(0, until - Math.max(state.pausedUntil, now));
+        state.pausedUntil = Math.max(state.pausedUntil, until);
+        stats.retryAfterWaits++;
+      }
+      state.fastStreak = 0;
+      if (requestStartedAt < state.lastSlowdownAt) return;
+      state.lastSlowdownAt = Date.now();
+      stats.backoffs++;
+      setRate(Math.floor(state.concurrency / 2), state.delayMs * 2, `HTTP ${status}${retryAfterMs ? `, Retry-After ${Math.round(retryAfterMs / 1000)}s` : ''}`);
+    } else if (error || status >= 500 || ttfbMs > slowTtfbMs) {
+      state.fastStreak = 0;
+      if (requestStartedAt < state.lastSlowdownAt) return;
+      state.lastSlowdownAt = Date.now();
+      stats.slowdowns++;
+      setRate(state.concurrency - 1, state.delayMs * 1.5, error ? 'network error' : status >= 500 ? `HTTP ${status}` : `slow TTFB ${ttfbMs}ms`);
+    } else if (cacheStatus === 'HIT' && ttfbMs <= fastTtfbMs) {
+      if (++state.fastStreak >= state.concurrency) {
+        state.fastStreak = 0;
+        stats.speedups++;
+        setRate(state.concurrency + 1, state.delayMs * 0.8, 'fast HITs');
+      }
+    } else {
+      state.fastStreak = 0;
+    }
+  };
+
+  return {
+    /**
+     * Wait for a free slot and this request's start time. Returns a release
+     * function to call with the outcome once the response has been read.
+     */
+    async acquire() {
+      while (state.inFlight >= state.concurrency) {
+        await new Promise(resolve => waiting.push(resolve));
+      }
+      state.inFlight++;
+
+      const now = Date.now();
+      const startAt = Math.max(now, state.nextStartAt);
+      state.nextStartAt = startAt + state.delayMs;
+      if (startAt > now) await sleep(startAt - now);
+
+      // A Retry-After may have arrived while this request was queued
+      while (state.pausedUntil > Date.now()) {
+        await sleep(state.pausedUntil - Date.now());
+      }
+
+      const requestStartedAt = Date.now();
+      stats.requests++;
+      let released = false;
+      return (outcome = {}) => {
+        if (released) return;
+        released = true;
+        state.inFlight--;
+        if (outcome.ttfbMs !== undefined) {
+          stats.ttfbSamples++;
+          stats.ttfbTotalMs += outcome.ttfbMs;
+        }
+        adapt(requestStartedAt, outcome);
+        wake();
+      };
+    },
+
+    /**
+     * How the run was paced: final and average settings, counts of each
+     * adjustment and the timeline of changes.
+     */
+    summary() {
+      const now = Date.now();
+      const elapsedMs = Math.max(1, now - startedAt);
+      const concurrencyMs = state.concurrencyMs + state.concurrency * (now - state.changedAt);
+      return {
+        initialConcurrency: timeline[0].concurrency,
+        finalConcurrency: state.concurrency,
+        averageConcurrency: (concurrencyMs / elapsedMs).toFixed(2),
+        peakConcurrency: stats.peakConcurrency,
+        lowestConcurrency: stats.lowestConcurrency,
+        initialDelayMs: timeline[0].delayMs,
+        finalDelayMs: state.delayMs,
+        requests: stats.requests,
+        requestsPerSecond: ((stats.requests / elapsedMs) * 1000).toFixed(2),
+        ttfbSamples: stats.ttfbSamples,
+        averageTtfbMs: stats.ttfbSamples ? Math.round(stats.ttfbTotalMs / stats.ttfbSamples) : 0,
+        backoffs: stats.backoffs,
+        slowdowns: stats.slowdowns,
+        speedups: stats.speedups,
+        retryAfterWaits: stats.retryAfterWaits,
+        pausedMs: stats.pausedMs,
+        elapsedMs,
+        timeline: [...timeline, { atMs: now - startedAt, concurrency: state.concurrency, delayMs: state.delayMs, reason: 'end' }]
+      };
+    }
+  };
+}
+
+/**
+ * Combine the summaries of consecutive pacers (one per chunk of a job) into
+ * one for the whole run. Time between chunks is left out.
+ */
+export function mergePacingSummaries(previous, next) {
+  if (!previous) return next;
+  const elapsedMs = previous.elapsedMs + next.elapsedMs;
+  const requests = previous.requests + next.requests;
+  // Summaries saved before ttfbSamples existed averaged over every request
+  const previousSamples = previous.ttfbSamples ?? previous.requests;
+  const weighted = (a, b, weightA, weightB) => (weightA + weightB ? (a * weightA + b * weightB) / (weightA + weightB) : 0);
+  // The next pacer starts where the previous one ended, so drop that pair
+  const timeline = [
+    ...previous.timeline.slice(0, -1),
+    ...next.timeline.slice(1).map(point => ({ ...point, atMs: point.atMs + previous.elapsedMs }))
+  ];
+
+  return {
+    initialConcurrency: previous.initialConcurrency,
+    finalConcurrency: next.finalConcurrency,
+    averageConcurrency: weighted(parseFloat(previous.averageConcurrency), parseFloat(next.averageConcurrency), previous.elapsedMs, next.elapsedMs).toFixed(2),
+    peakConcurrency: Math.max(previous.peakConcurrency, next.peakConcurrency),
+    lowestConcurrency: Math.min(previous.lowestConcurrency, next.lowestConcurrency),
+    initialDelayMs: previous.initialDelayMs,
+    finalDelayMs: next.finalDelayMs,
+    requests,
+    requestsPerSecond: ((requests / Math.max(1, elapsedMs)) * 1000).toFixed(2),
+    ttfbSamples: previousSamples + next.ttfbSamples,
+    averageTtfbMs: Math.round(weighted(previous.averageTtfbMs, next.averageTtfbMs, previousSamples, next.ttfbSamples)),
+    backoffs: previous.backoffs + next.backoffs,
+    slowdowns: previous.slowdowns + next.slowdowns,
+    speedups: previous.speedups + next.speedups,
+    retryAfterWaits: previous.retryAfterWaits + next.retryAfterWaits,
+    pausedMs: previous.pausedMs + next.pausedMs,
+    elapsedMs,
+    timeline: thinTimeline(timeline)
+  };
+}
+
+/**
+ * Run `worker` over `items` with at most `size` running at once.
+ */
+export async function runPool(items, size, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(Math.max(1, size), items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+/**
+ * Retry-After header as milliseconds (seconds or an HTTP date), 0 if absent.
+ */
+export function retryAfterMs(response) {
+  const value = response.headers.get('Retry-After');
+  if (!value) return 0;
+  if (/^\d+$/.test(value.trim())) return parseInt(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+// Thin out rather than truncate so the whole run stays visible
+function thinTimeline(timeline) {
+  while (timeline.length > MAX_TIMELINE) {
+    timeline = timeline.filter((point, index) => index % 2 === 0 || index === timeline.length - 1);
+  }
+  return timeline;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,120 @@
+/**
+ * Quarantine for pages failing a content assertion with `quarantine: true`
+ *
+ * Pages with such an assertion are checked under the "quarantine" cache
+ * policy, which stores nothing, and warmed only when they pass, so a broken
+ * page is never cached by the warmer. A failing URL stays quarantined (listed,
+ * alerted on once) until a run in every region it failed in finds it passing,
+ * as regional jobs finish in any order. A page that breaks between
+ * its check and its warm fetch is purged from the site's zone (its `zoneId`)
+ * when the CF_API_TOKEN secret is set.
+ * Kept per site under the `quarantine` KV key as { url: entry }.
+ */
+
+const QUARANTINE_KEY = 'quarantine';
+
+// Files per purge request (the Cloudflare API limit on most plans)
+const PURGE_BATCH_SIZE = 30;
+
+/**
+ * Quarantined URLs as { url: { assertions, failures, region, regions, since,
+ * lastFailedAt } }: `region` failed last, `regions` still fail.
+ */
+export async function getQuarantine(env) {
+  const json = await env.CACHE_WARMER_KV.get(QUARANTINE_KEY);
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (parseErr) {
+    console.error('Failed to parse quarantine:', parseErr);
+    return {};
+  }
+}
+
+/**
+ * Apply one region's assertion results: quarantine the records that failed
+ * (`failed`, with assertionFailures) and clear the region from the `passed`
+ * URLs, releasing those no other region still fails. Returns { added,
+ * released, quarantine }; URLs already quarantined are updated but not
+ * counted as added.
+ */
+export async function updateQuarantine(env, region, { failed = [], passed = [] }) {
+  const quarantine = await getQuarantine(env);
+  const now = new Date().toISOString();
+  const added = [];
+  const released = [];
+  let changed = false;
+
+  passed.filter(url => quarantine[url]).forEach(url => {
+    // Entries from before `regions` was kept name only their last region
+    const regions = (quarantine[url].regions || [quarantine[url].region]).filter(name => name !== region);
+    if (regions.length > 0) {
+      quarantine[url].regions = regions;
+    } else {
+      delete quarantine[url];
+      released.push(url);
+    }
+    changed = true;
+  });
+  failed.forEach(({ url, assertionFailures }) => {
+    if (!quarantine[url]) added.push(url);
+    const regions = quarantine[url] ? quarantine[url].regions || [quarantine[url].region] : [];
+    quarantine[url] = {
+      assertions: [...new Set(assertionFailures.map(failure => failure.assertion))],
+      failures: assertionFailures.map(failure => failure.message),
+      region,
+      regions: [...new Set([...regions, region])],
+      since: quarantine[url]?.since || now,
+      lastFailedAt: now
+    };
+    changed = true;
+  });
+
+  if (changed) {
+    await env.CACHE_WARMER_KV.put(QUARANTINE_KEY, JSON.stringify(quarantine));
+  }
+  return { added, released, quarantine };
+}
+
+/**
+ * Release URLs by hand (the next run warms them normally, and quarantines
+ * them again if they still fail). Returns { released, quarantine }.
+ */
+export async function releaseQuarantine(env, urls) {
+  const quarantine = await getQuarantine(env);
+  const released = urls.filter(url => quarantine[url]);
+  if (released.length === 0) return { released, quarantine };
+
+  released.forEach(url => delete quarantine[url]);
+  await env.CACHE_WARMER_KV.put(QUARANTINE_KEY, JSON.stringify(quarantine));
+  return { released, quarantine };
+}
+
+/**
+ * Purge URLs from a zone's cache through the Cloudflare API. Resolves to the
+ * number purged, or null when there is no zone or no CF_API_TOKEN secret.
+ * Failed batches are logged and left out of the count.
+ */
+export async function purgeUrls(env, zoneId, urls) {
+  if (!env.CF_API_TOKEN || !zoneId) return null;
+
+  let purged = 0;
+  for (let i = 0; i < urls.length; i += PURGE_BATCH_SIZE) {
+    const files = urls.slice(i, i + PURGE_BATCH_SIZE);
+    try {
+      const response = await fetch(`https://api.cloudflare.com/client/v4/zones/${zoneId}/purge_cache`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${env.CF_API_TOKEN}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ files })
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+      purged += files.length;
+    } catch (purgeErr) {
+      console.error(`Failed to purge ${files.length} quarantined URLs:`, purgeErr);
+    }
+  }
+  return purged;
+}
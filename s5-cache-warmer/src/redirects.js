@@ -0,0 +1,107 @@
+/**
+ * Redirect chains, followed by hand
+ *
+ * fetch() would follow redirects silently: a sitemap URL that 301s to a new
+ * slug would look like any other success and only the final page would be
+ * warmed. Following each hop ourselves warms the redirect responses too
+ * (under the page's cache policy), records every hop's status and cache
+ * status, and catches loops. The report lists the entries that redirect, so
+ * they can be fixed at the source.
+ */
+
+import { cacheOptions } from './cache-policy.js';
+
+// Dropped once a redirect leaves the original origin, as fetch() does
+const CREDENTIAL_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+
+/**
+ * Fetch a request, following redirects hop by hop. Resolves to
+ * { response, hops }, hops being the redirects before the final response as
+ * { url, status, cacheStatus, location }. A loop, or more than followLimit
+ * hops, throws an error with kind 'redirectLoop' and the hops so far.
+ * Cookies (variant cookies included) and Authorization are only sent to the
+ * original origin. A null `policy` sends no cf cache options, as a visitor's
+ * request would.
+ */
+export async function followRedirects(request, policy, { followLimit = 10 } = {}, signal) {
+  const hops = [];
+  const seen = new Set([request.url]);
+  let url = request.url;
+  let headers = request.headers;
+
+  for (;;) {
+    const response = await fetch(url, {
+      headers,
+      cf: policy ? cacheOptions(policy, url) : undefined,
+      redirect: 'manual',
+      signal
+    });
+    const location = response.headers.get('Location');
+    if (response.status < 300 || response.status > 399 || !location) return { response, hops };
+
+    await response.text(); // drain
+    const next = new URL(location, url).toString();
+    hops.push({
+      url,
+      status: response.status,
+      cacheStatus: response.headers.get('CF-Cache-Status') || response.headers.get('cf-cache-status') || 'UNKNOWN',
+      location: next
+    });
+
+    let message = null;
+    if (seen.has(next)) message = `Redirect loop: ${next} was already visited`;
+    else if (hops.length >= followLimit) message = `Too many redirects (gave up after ${hops.length})`;
+    if (message) throw Object.assign(new Error(message), { kind: 'redirectLoop', hops });
+
+    seen.add(next);
+    if (new URL(next).origin !== new URL(request.url).origin) headers = withoutCredentials(headers);
+    url = next;
+  }
+}
+
+function withoutCredentials(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !CREDENTIAL_HEADERS.includes(name.toLowerCase())));
+}
+
+export function emptyRedirectStats() {
+  return {
+    redirected: 0,   // pages that answered with at least one redirect
+    hops: 0,
+    longChains: 0,   // more than maxHops redirects before the final page
+    loops: 0,        // loops and chains abandoned at followLimit
+    byStatus: {}     // redirect hops per status code (301, 302...)
+  };
+}
+
+/**
+ * Count a page's redirect hops.
+ */
+export function tallyRedirects(stats, hops, { maxHops = Infinity } = {}, looped = false) {
+  if (hops.length === 0) return;
+  stats.redirected++;
+  stats.hops += hops.length;
+  if (looped) stats.loops++;
+  else if (hops.length > maxHops) stats.longChains++;
+  hops.forEach(({ status }) => {
+    stats.byStatus[status] = (stats.byStatus[status] || 0) + 1;
+  });
+}
+
+/**
+ * Page records that redirected, as report entries: where the URL ends up,
+ * each hop, and whether the chain is too long or loops.
+ */
+export function redirectEntries(records, { maxHops = Infinity } = {}) {
+  return records
+    .filter(record => record.redirects?.length > 0)
+    .map(record => ({
+      url: record.url,
+      source: record.source,
+      finalUrl: record.failureKind === 'redirectLoop' ? null : (record.finalUrl || record.redirects[record.redirects.length - 1].location),
+      finalStatus: record.status,
+      hops: record.redirects.map(({ status, cacheStatus, location }) => ({ status, cacheStatus, location })),
+      longChain: record.failureKind !== 'redirectLoop' && record.redirects.length > maxHops,
+      loop: record.failureKind === 'redirectLoop',
+      timestamp: record.timestamp
+    }));
+}
@@ -0,0 +1,66 @@
+/**
+ * Failure classification and retry backoff for the warm loop
+ *
+ * Every failed page request falls into one class:
+ * - timeout: no complete response within the request timeout
+ * - network: DNS, connection or TLS error (fetch threw)
+ * - redirectLoop: fetch gave up following redirects
+ * - 4xx / 5xx: the origin answered with an error status
+ * - assertion: the page loaded but failed a quarantining content assertion
+ *   (assertions.js); never retried within a run
+ * The retry config decides which classes (and statuses) are worth another
+ * attempt. A request still failing after its last attempt is reported as
+ * retryable (transient; likely fine next run) or non-retryable (something to
+ * fix, like a broken link or a redirect loop).
+ */
+
+export const FAILURE_KINDS = ['timeout', 'network', 'redirectLoop', '4xx', '5xx', 'assertion'];
+
+/**
+ * Failure class for a request outcome, or null when it succeeded. An error
+ * is a network failure unless it carries one of FAILURE_KINDS as its `kind`.
+ */
+export function classifyFailure({ status = 0, error = null, timedOut = false }) {
+  if (timedOut) return 'timeout';
+  if (error) return FAILURE_KINDS.includes(error.kind) ? error.kind : 'network';
+  if (status >= 500) return '5xx';
+  if (status >= 400) return '4xx';
+  return null;
+}
+
+/**
+ * Whether a failure is worth retrying under a retry config.
+ */
+export function isRetryable(kind, status, { retryOn = [], retryStatuses = [] } = {}) {
+  return retryOn.includes(kind) || (status !== undefined && retryStatuses.includes(status));
+}
+
+/**
+ * Delay before retry number `attempt` (1 = first retry): exponential, capped
+ * at maxDelayMs, with half of it random so parallel lanes don't retry in step.
+ */
+export function backoffDelayMs(attempt, { baseDelayMs = 500, maxDelayMs = 8000 } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Failure counters for a run, tallied by tallyFailure().
+ */
+export function emptyFailureStats() {
+  return {
+    retryable: 0,
+    nonRetryable: 0,
+    byKind: Object.fromEntries(FAILURE_KINDS.map(kind => [kind, 0])),
+    retries: 0,    // extra attempts made after a failure
+    recovered: 0   // requests that succeeded on a retry
+  };
+}
+
+/**
+ * Count a request that failed for good (no attempts left, or not retryable).
+ */
+export function tallyFailure(stats, { kind, retryable }) {
+  stats.byKind[kind] = (stats.byKind[kind] || 0) + 1;
+  retryable ? stats.retryable++ : stats.nonRetryable++;
+}
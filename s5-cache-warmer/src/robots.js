@@ -0,0 +1,132 @@
+/**
+ * robots.txt fetching and parsing
+ */
+
+/**
+ * Normalize a configured host ("www.s-5.com" or "https://www.s-5.com/")
+ * to an origin.
+ */
+export function hostToOrigin(host) {
+  return host.includes('://') ? new URL(host).origin : `https://${host.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Parse robots.txt text.
+ * Returns { sitemaps, groups }: every Sitemap: directive resolved to an
+ * absolute URL, and the user-agent groups as [{ agents, rules: [{ allow, pattern }] }].
+ * Consecutive User-agent lines share one group.
+ */
+export function parseRobotsTxt(text, robotsUrl) {
+  const sitemaps = [];
+  const groups = [];
+  let group = null;
+  let inAgentLines = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+
+    const field = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (field === 'sitemap' && value) {
+      try {
+        const sitemapUrl = new URL(value, robotsUrl).href;
+        if (!sitemaps.includes(sitemapUrl)) sitemaps.push(sitemapUrl);
+      } catch {
+        console.warn(`[robots] ${robotsUrl}: ignoring invalid Sitemap "${value}"`);
+      }
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      if (!inAgentLines) {
+        group = { agents: [], rules: [] };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      inAgentLines = true;
+      continue;
+    }
+
+    inAgentLines = false;
+    // An empty Disallow allows everything, so it adds no rule
+    if (group && (field === 'allow' || field === 'disallow') && value) {
+      group.rules.push({ allow: field === 'allow', pattern: value });
+    }
+  }
+
+  return { sitemaps, groups };
+}
+
+/**
+ * Build a predicate telling whether `userAgent` may fetch a URL.
+ * Uses the groups naming the agent's product token (e.g. "s5-cache-warmer"),
+ * else the "*" groups. The longest matching pattern wins and Allow wins a
+ * tie; "*" and a trailing "$" are supported as wildcards.
+ */
+export function createRobotsMatcher(robots, userAgent = 'S5-Cache-Warmer/1.0') {
+  const token = userAgent.split('/')[0].toLowerCase();
+  const groups = robots?.groups || [];
+  const named = groups.filter(group => group.agents.includes(token));
+  const rules = (named.length > 0 ? named : groups.filter(group => group.agents.includes('*')))
+    .flatMap(group => group.rules)
+    .map(({ allow, pattern }) => ({ allow, length: pattern.length, regex: robotsPatternToRegExp(pattern) }));
+
+  return url => {
+    const { pathname, search } = new URL(url);
+    const path = pathname + search;
+    let best = null;
+    for (const rule of rules) {
+      if (!rule.regex.test(path)) continue;
+      if (!best || rule.length > best.length || (rule.length === best.length && rule.allow)) best = rule;
+    }
+    return !best || best.allow;
+  };
+}
+
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Fetch and parse a host's robots.txt, giving up after `timeoutMs` (body
+ * included). A missing robots.txt (4xx) is not an error and yields an empty
+ * result.
+ */
+export async function fetchRobotsTxt(host, userAgent = 'S5-Cache-Warmer/1.0', timeoutMs = 15000) {
+  const robotsUrl = `${hostToOrigin(host)}/robots.txt`;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(robotsUrl, {
+      headers: {
+        'User-Agent': userAgent,
+        'Accept': 'text/plain'
+      },
+      signal: controller.signal
+    });
+
+    if (response.status >= 400 && response.status < 500) {
+      await response.body?.cancel();
+      return { url: robotsUrl, found: false, ...parseRobotsTxt('', robotsUrl) };
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${robotsUrl}: ${response.status}`);
+    }
+
+    return { url: robotsUrl, found: true, ...parseRobotsTxt(await response.text(), robotsUrl) };
+  } catch (error) {
+    if (controller.signal.aborted) throw new Error(`Timed out after ${timeoutMs}ms fetching ${robotsUrl}`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * URL matching and include/exclude filtering for the warm set
+ *
+ * Rules are plain objects from config.js. A matcher combines any of:
+ * - host:          hostname, or list of hostnames (exact, case-insensitive)
+ * - path:          glob on the URL path, or list of globs
+ *                  ("*" stays within a segment, "**" crosses segments)
+ * - regex:         regular expression tested against the full URL
+ * - source:        glob on the sitemap / feed / list URL the entry came from,
+ *                  or on its source name (e.g. "pinned", "blog-feed")
+ * - olderThanDays: entry lastmod is more than N days old
+ * Every matcher given must match; a rule with no matchers matches everything.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a glob to an anchored RegExp.
+ */
+export function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+    } else if (ch === '*') {
+      pattern += '[^/]*';
+    } else if (ch === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Compile a rule's matchers into a predicate over discovered entries
+ * ({ loc, lastmod, sitemap, source, sourceUrl }). Bare URL strings are accepted too.
+ */
+export function compileMatcher(rule) {
+  const checks = [];
+
+  if (rule.host !== undefined) {
+    const hosts = toList(rule.host).map(host => host.toLowerCase());
+    checks.push(({ url }) => hosts.includes(url.hostname));
+  }
+
+  if (rule.path !== undefined) {
+    const globs = toList(rule.path).map(globToRegExp);
+    checks.push(({ url }) => globs.some(glob => glob.test(url.pathname)));
+  }
+
+  if (rule.regex !== undefined) {
+    const regex = rule.regex instanceof RegExp ? rule.regex : new RegExp(rule.regex);
+    checks.push(({ entry }) => regex.test(entry.loc));
+  }
+
+  if (rule.source !== undefined) {
+    const globs = toList(rule.source).map(globToRegExp);
+    checks.push(({ entry }) => {
+      const origins = [entry.sitemap || entry.sourceUrl, entry.source].filter(Boolean);
+      return origins.some(origin => globs.some(glob => glob.test(origin)));
+    });
+  }
+
+  if (rule.olderThanDays !== undefined) {
+    const maxAgeMs = Number(rule.olderThanDays) * DAY_MS;
+    checks.push(({ entry, now }) => Boolean(entry.lastmod) && now - Date.parse(entry.lastmod) > maxAgeMs);
+  }
+
+  return (entryOrUrl, now = Date.now()) => {
+    const entry = typeof entryOrUrl === 'string' ? { loc: entryOrUrl } : entryOrUrl;
+    let url;
+    try {
+      url = new URL(entry.loc);
+    } catch {
+      return false;
+    }
+    return checks.every(check => check({ entry, url, now }));
+  };
+}
+
+/**
+ * Apply include/exclude rules and the global lastmod age limit.
+ *
+ * If any include rules exist a URL must match at least one of them. Exclude
+ * rules are then checked in order and the first match is credited with the
+ * removal. Finally URLs whose lastmod is older than maxAgeDays are dropped
+ * (URLs without a lastmod are kept). Returns { entries, report }.
+ */
+export function applyUrlRules(entries, { rules = [], maxAgeDays = 0, now = Date.now() } = {}) {
+  const compiled = rules.map((rule, index) => ({
+    name: rule.name || `${rule.action}-${index + 1}`,
+    action: rule.action,
+    matches: compileMatcher(rule),
+    count: 0
+  }));
+
+  const includes = compiled.filter(rule => rule.action === 'include');
+  const excludes = compiled.filter(rule => rule.action === 'exclude');
+  const maxAgeMs = Number(maxAgeDays) > 0 ? Number(maxAgeDays) * DAY_MS : 0;
+
+  let notIncluded = 0;
+  let tooOld = 0;
+  const kept = [];
+
+  for (const entry of entries) {
+    if (includes.length > 0) {
+      const includedBy = includes.find(rule => rule.matches(entry, now));
+      if (!includedBy) {
+        notIncluded++;
+        continue;
+      }
+      includedBy.count++;
+    }
+
+    const excludedBy = excludes.find(rule => rule.matches(entry, now));
+    if (excludedBy) {
+      excludedBy.count++;
+      continue;
+    }
+
+    if (maxAgeMs && entry.lastmod && now - Date.parse(entry.lastmod) > maxAgeMs) {
+      tooOld++;
+      continue;
+    }
+
+    kept.push(entry);
+  }
+
+  return {
+    entries: kept,
+    report: {
+      discovered: entries.length,
+      kept: kept.length,
+      notIncluded,
+      // Exclude rules report how many URLs they removed, include rules how many they let in
+      rules: compiled.map(({ name, action, count }) => (
+        action === 'include' ? { name, action, matched: count } : { name, action, filtered: count }
+      )),
+      maxAge: { days: maxAgeMs ? Number(maxAgeDays) : null, filtered: tooOld }
+    }
+  };
+}
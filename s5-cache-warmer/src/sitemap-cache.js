@@ -0,0 +1,51 @@
+/**
+ * Parsed-sitemap cache for conditional revalidation
+ *
+ * Each fetched sitemap is stored in KV with its ETag / Last-Modified and the
+ * parsed result, so an unchanged sitemap costs one 304 and no re-parse, and a
+ * sitemap that times out or errors can fall back to its last good copy.
+ */
+
+const KEY_PREFIX = 'sitemap_cache_';
+
+// KV values are capped at 25 MiB; leave headroom rather than fail the put
+const MAX_CACHE_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Cached copy of a sitemap ({ etag, lastModified, type, entries, cachedAt }),
+ * or null when there is none (or no KV binding, e.g. ad-hoc scripts).
+ */
+export async function getCachedSitemap(kv, sitemapUrl) {
+  if (!kv) return null;
+  const json = await kv.get(KEY_PREFIX + sitemapUrl);
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch (parseErr) {
+    console.error(`Failed to parse cached sitemap ${sitemapUrl}:`, parseErr);
+    return null;
+  }
+}
+
+/**
+ * Store a freshly parsed sitemap with the validators from its response.
+ */
+export async function putCachedSitemap(kv, sitemapUrl, { etag, lastModified, type, entries }, ttlSeconds) {
+  if (!kv) return;
+  const json = JSON.stringify({ etag, lastModified, type, entries, cachedAt: Date.now() });
+  if (json.length > MAX_CACHE_BYTES) {
+    console.warn(`[sitemap] ${sitemapUrl}: too large to cache (${json.length} bytes)`);
+    return;
+  }
+  await kv.put(KEY_PREFIX + sitemapUrl, json, { expirationTtl: ttlSeconds });
+}
+
+/**
+ * Conditional request headers for a cached copy.
+ */
+export function conditionalHeaders(cached) {
+  const headers = {};
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+  return headers;
+}
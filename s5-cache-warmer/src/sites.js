@@ -0,0 +1,282 @@
+/**
+ * Site definitions for S-5 Cache Warmer
+ *
+ * The default site (S-5) comes from config.js and keeps using the original,
+ * unprefixed KV keys. Further sites are stored in KV under `sites` and managed
+ * through the /sites admin API; each keeps its own data (progress, results,
+ * manifest, pinned URLs...) under a `site:<id>:` key prefix. A stored
+ * "default" definition overrides individual fields of the config.js one.
+ */
+
+import {
+  SITEMAPS,
+  SITEMAP_DISCOVERY,
+  SITEMAP_HOSTS,
+  REGIONS,
+  REGION_ORDER,
+  DO_REGION_HINTS,
+  URL_SOURCES,
+  URL_RULES,
+  CACHE_POLICIES,
+  CONTENT_ASSERTIONS,
+  REQUEST_VARIANTS,
+  MAX_URL_AGE_DAYS,
+  CRAWL,
+  SUBRESOURCE_WARMING
+} from './config.js';
+import { compileMatcher } from './rules.js';
+import { validatePolicies } from './cache-policy.js';
+import { validateAssertions } from './assertions.js';
+import { validateVariants } from './variants.js';
+
+export const DEFAULT_SITE_ID = 'default';
+
+const SITES_KEY = 'sites';
+
+/**
+ * Settings a stored site starts from. New sites get no sources, rules or
+ * crawl seeds of their own unless they define them.
+ */
+const SITE_DEFAULTS = {
+  name: null,
+  enabled: true,
+  discovery: 'robots',   // 'robots' (read hosts' robots.txt) or 'static' (sitemaps list)
+  hosts: [],
+  sitemaps: [],
+  regions: REGION_ORDER, // subset of REGIONS, in rotation order
+  cacheTtlSeconds: 14400,
+  rateLimitMs: 2000,
+  maxUrlsPerRun: 250,
+  userAgent: 'S5-Cache-Warmer/1.0',
+  zone: null,            // subresource/media zone; null = the page's own host
+  zoneId: null,          // Cloudflare zone ID quarantined pages are purged from; null = no purge
+  urlSources: [],
+  urlRules: [],
+  cachePolicies: [],     // per-pattern TTLs (cache-policy.js); unmatched URLs use cacheTtlSeconds
+  contentAssertions: [], // per-pattern body checks (assertions.js); none by default
+  variants: null,        // request variant matrix (variants.js); null = one request per URL
+  maxUrlAgeDays: 0,
+  crawlSeeds: []
+};
+
+const SITE_FIELDS = Object.keys(SITE_DEFAULTS);
+
+/**
+ * The S-5 site as defined by config.js and the Worker's env vars.
+ */
+export function getConfigSite(env = {}) {
+  return {
+    id: DEFAULT_SITE_ID,
+    ...SITE_DEFAULTS,
+    name: 'S-5',
+    discovery: String(env.SITEMAP_DISCOVERY || SITEMAP_DISCOVERY).toLowerCase(),
+    hosts: SITEMAP_HOSTS,
+    sitemaps: SITEMAPS,
+    rateLimitMs: parseInt(env.RATE_LIMIT_MS) || SITE_DEFAULTS.rateLimitMs,
+    maxUrlsPerRun: parseInt(env.MAX_URLS_PER_RUN) || SITE_DEFAULTS.maxUrlsPerRun,
+    zone: SUBRESOURCE_WARMING.zone,
+    zoneId: env.CF_ZONE_ID || null,
+    urlSources: URL_SOURCES,
+    urlRules: URL_RULES,
+    cachePolicies: CACHE_POLICIES,
+    contentAssertions: CONTENT_ASSERTIONS,
+    variants: REQUEST_VARIANTS,
+    maxUrlAgeDays: env.MAX_URL_AGE_DAYS !== undefined ? parseInt(env.MAX_URL_AGE_DAYS) || 0 : MAX_URL_AGE_DAYS,
+    crawlSeeds: CRAWL.seeds
+  };
+}
+
+/**
+ * Site definitions exactly as stored in KV ({ id: fields }).
+ */
+export async function getStoredSites(env) {
+  const json = await env.CACHE_WARMER_KV.get(SITES_KEY);
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (parseErr) {
+    console.error('Failed to parse site definitions:', parseErr);
+    return {};
+  }
+}
+
+/**
+ * All sites, default first, with defaults filled in.
+ */
+export async function getSites(env) {
+  const stored = await getStoredSites(env);
+  const sites = [{ ...getConfigSite(env), ...stored[DEFAULT_SITE_ID] }];
+
+  for (const [id, definition] of Object.entries(stored)) {
+    if (id !== DEFAULT_SITE_ID) sites.push({ ...SITE_DEFAULTS, ...definition, id });
+  }
+  return sites;
+}
+
+/**
+ * One site by ID, or null if it does not exist.
+ */
+export async function getSite(env, siteId = DEFAULT_SITE_ID) {
+  const sites = await getSites(env);
+  return sites.find(site => site.id === siteId) || null;
+}
+
+/**
+ * Problems with a site definition (empty when it is valid).
+ * For the default site only the fields given are checked, since the rest
+ * come from config.js.
+ */
+export function validateSite(siteId, definition) {
+  const errors = [];
+  const isDefault = siteId === DEFAULT_SITE_ID;
+
+  if (!/^[a-z0-9][a-z0-9-]{0,62}$/.test(siteId)) {
+    errors.push('id must be lowercase letters, digits and dashes (max 63 characters)');
+  }
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return [...errors, 'site definition must be a JSON object'];
+  }
+
+  const unknown = Object.keys(definition).filter(key => key !== 'id' && !SITE_FIELDS.includes(key));
+  if (unknown.length > 0) errors.push(`unknown fields: ${unknown.join(', ')}`);
+
+  const site = isDefault ? definition : { ...SITE_DEFAULTS, ...definition };
+  const isUrlList = value => Array.isArray(value) && value.every(item => {
+    try {
+      return ['http:', 'https:'].includes(new URL(item).protocol);
+    } catch {
+      return false;
+    }
+  });
+
+  if (site.discovery !== undefined && !['robots', 'static'].includes(site.discovery)) {
+    errors.push('discovery must be "robots" or "static"');
+  }
+  if (site.hosts !== undefined && !(Array.isArray(site.hosts) && site.hosts.every(host => typeof host === 'string' && host))) {
+    errors.push('hosts must be a list of hostnames');
+  }
+  if (site.sitemaps !== undefined && !isUrlList(site.sitemaps)) {
+    errors.push('sitemaps must be a list of http(s) URLs');
+  }
+  if (site.zoneId !== undefined && site.zoneId !== null && !/^[0-9a-f]{32}$/.test(site.zoneId)) {
+    errors.push('zoneId must be a Cloudflare zone ID (32 hex characters) or null');
+  }
+  if (site.crawlSeeds !== undefined && !isUrlList(site.crawlSeeds)) {
+    errors.push('crawlSeeds must be a list of http(s) URLs');
+  }
+  if (!isDefault) {
+    if (site.discovery === 'static' && site.sitemaps.length === 0) errors.push('static discovery needs at least one sitemap');
+    if (site.discovery === 'robots' && site.hosts.length === 0) errors.push('robots discovery needs at least one host');
+  }
+  if (site.regions !== undefined) {
+    const unknownRegions = Array.isArray(site.regions)
+      ? site.regions.filter(region => !REGIONS[region] || !DO_REGION_HINTS[region])
+      : [];
+    if (!Array.isArray(site.regions) || site.regions.length === 0) {
+      errors.push('regions must be a non-empty list');
+    } else if (unknownRegions.length > 0) {
+      errors.push(`unknown regions: ${unknownRegions.join(', ')} (known: ${Object.keys(REGIONS).join(', ')})`);
+    }
+  }
+  if (site.urlSources !== undefined) {
+    if (!Array.isArray(site.urlSources)) {
+      errors.push('urlSources must be a list');
+    } else {
+      const names = new Set(['pinned']);
+      site.urlSources.forEach((source, index) => {
+        if (!source?.name || names.has(source.name)) errors.push(`urlSources[${index}] needs a unique name (not "pinned")`);
+        names.add(source?.name);
+        if (!['feed', 'list'].includes(source?.type)) errors.push(`urlSources[${index}].type must be "feed" or "list"`);
+        if (!isUrlList([source?.url])) errors.push(`urlSources[${index}].url must be an http(s) URL`);
+      });
+    }
+  }
+  if (site.urlRules !== undefined) {
+    if (!Array.isArray(site.urlRules)) {
+      errors.push('urlRules must be a list');
+    } else {
+      site.urlRules.forEach((rule, index) => {
+        if (!['include', 'exclude'].includes(rule?.action)) errors.push(`urlRules[${index}].action must be "include" or "exclude"`);
+        try {
+          compileMatcher(rule || {});
+        } catch (compileErr) {
+          errors.push(`urlRules[${index}] does not compile: ${compileErr.message}`);
+        }
+      });
+    }
+  }
+  if (site.cachePolicies !== undefined) {
+    errors.push(...validatePolicies(site.cachePolicies));
+  }
+  if (site.contentAssertions !== undefined) {
+    errors.push(...validateAssertions(site.contentAssertions));
+  }
+  if (site.variants !== undefined) {
+    errors.push(...validateVariants(site.variants));
+  }
+  for (const field of ['cacheTtlSeconds', 'rateLimitMs', 'maxUrlsPerRun', 'maxUrlAgeDays']) {
+    if (site[field] !== undefined && !(Number.isInteger(site[field]) && site[field] >= 0)) {
+      errors.push(`${field} must be a non-negative integer`);
+    }
+  }
+  if (site.maxUrlsPerRun === 0) errors.push('maxUrlsPerRun must be at least 1');
+  if (site.userAgent !== undefined && (typeof site.userAgent !== 'string' || !site.userAgent.trim())) {
+    errors.push('userAgent must be a non-empty string');
+  }
+  if (site.enabled !== undefined && typeof site.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Create or replace a site definition. Throws with every validation problem.
+ * Returns the site with defaults filled in.
+ */
+export async function saveSite(env, siteId, definition) {
+  const errors = validateSite(siteId, definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid site "${siteId}": ${errors.join('; ')}`);
+  }
+
+  const { id, ...fields } = definition;
+  const stored = await getStoredSites(env);
+  stored[siteId] = fields;
+  await env.CACHE_WARMER_KV.put(SITES_KEY, JSON.stringify(stored));
+  return getSite(env, siteId);
+}
+
+/**
+ * Delete a stored site. Deleting "default" drops its overrides, reverting to
+ * config.js. The site's other KV data is left in place. Returns false if
+ * there was nothing to delete.
+ */
+export async function deleteSite(env, siteId) {
+  const stored = await getStoredSites(env);
+  if (!stored[siteId]) return false;
+  delete stored[siteId];
+  await env.CACHE_WARMER_KV.put(SITES_KEY, JSON.stringify(stored));
+  return true;
+}
+
+/**
+ * Env for code running on behalf of a site: the default site gets env as is,
+ * any other site a CACHE_WARMER_KV that transparently prefixes its keys.
+ */
+export function siteEnv(env, siteId = DEFAULT_SITE_ID) {
+  if (siteId === DEFAULT_SITE_ID) return env;
+  return { ...env, CACHE_WARMER_KV: prefixKV(env.CACHE_WARMER_KV, `site:${siteId}:`) };
+}
+
+function prefixKV(kv, prefix) {
+  return {
+    get: (key, options) => kv.get(prefix + key, options),
+    put: (key, value, options) => kv.put(prefix + key, value, options),
+    delete: key => kv.delete(prefix + key),
+    async list(options = {}) {
+      const result = await kv.list({ ...options, prefix: prefix + (options.prefix || '') });
+      return { ...result, keys: result.keys.map(key => ({ ...key, name: key.name.slice(prefix.length) })) };
+    }
+  };
+}
@@ -0,0 +1,243 @@
+/**
+ * Non-sitemap URL sources
+ *
+ * - feed:   RSS 2.0 / RSS 1.0 / Atom feeds (item links + publish/update dates)
+ * - list:   plain-text (one URL per line, # comments) or JSON URL lists
+ * - pinned: URLs kept in KV and managed through the /pinned API
+ *
+ * Every source yields entries shaped like sitemap entries, tagged with
+ * `source` (the source name) and `sourceUrl` (where they were read from).
+ */
+
+import { createXmlParser } from './xml.js';
+
+const PINNED_KEY = 'pinned_urls';
+const FEED_DATE_FIELDS = ['pubDate', 'updated', 'published', 'date', 'modified'];
+
+/**
+ * Fetch every configured source plus the pinned list concurrently.
+ * Returns [{ report, entries }] in source order (pinned last); a failing
+ * source is reported with its error and contributes no entries.
+ */
+export async function fetchUrlSources(sources, env, { timeoutMs, userAgent = 'S5-Cache-Warmer/1.0' }) {
+  const fetched = sources.map(async source => {
+    const startTime = Date.now();
+    const report = { name: source.name, type: source.type, url: source.url, urlCount: 0, durationMs: 0 };
+    try {
+      const entries = await readSource(source, { timeoutMs, userAgent });
+      report.urlCount = entries.length;
+      return { report, entries };
+    } catch (error) {
+      console.error(`[sources] ${source.name}: ${error.message}`);
+      report.error = error.message;
+      return { report, entries: [] };
+    } finally {
+      report.durationMs = Date.now() - startTime;
+    }
+  });
+
+  const pinned = getPinnedUrls(env).then(list => {
+    const entries = list.map(({ url }) => toEntry(url, null, { name: 'pinned', url: null })).filter(Boolean);
+    return { report: { name: 'pinned', type: 'pinned', url: null, urlCount: entries.length, durationMs: 0 }, entries };
+  });
+
+  return Promise.all([...fetched, pinned]);
+}
+
+/**
+ * Download one feed or list source, with the body read under the same timeout.
+ */
+async function readSource(source, { timeoutMs, userAgent }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(source.url, {
+      headers: {
+        'User-Agent': userAgent,
+        'Accept': source.type === 'feed'
+          ? 'application/rss+xml,application/atom+xml,application/xml;q=0.9,*/*;q=0.8'
+          : 'text/plain,application/json;q=0.9,*/*;q=0.8'
+      },
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${source.url}: ${response.status}`);
+    }
+
+    const text = await response.text();
+    if (source.type === 'feed') return parseFeed(text, source);
+    if (source.type === 'list') return parseUrlList(text, source, response.headers.get('Content-Type') || '');
+    throw new Error(`Unknown source type "${source.type}"`);
+  } catch (error) {
+    if (controller.signal.aborted) throw new Error(`Timed out after ${timeoutMs}ms fetching ${source.url}`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Item links from an RSS or Atom feed. RSS <item> uses <link> text, Atom
+ * <entry> uses <link href> (rel="alternate" or no rel).
+ */
+export function parseFeed(text, source) {
+  const entries = [];
+  let item = null;
+  let field = null;
+  let value = '';
+
+  const parser = createXmlParser({
+    onOpenTag(tag) {
+      if (tag.local === 'item' || tag.local === 'entry') {
+        item = { link: null, date: null };
+      } else if (item && tag.local === 'link') {
+        const { href, rel = 'alternate' } = tag.attributes;
+        if (href) {
+          if (rel === 'alternate' && !item.link) item.link = href;
+        } else {
+          field = 'link';
+          value = '';
+        }
+      } else if (item && FEED_DATE_FIELDS.includes(tag.local)) {
+        field = tag.local;
+        value = '';
+      }
+    },
+    onText(chunk) {
+      if (field) value += chunk;
+    },
+    onCloseTag(tag) {
+      if (field && tag.local === field) {
+        if (field === 'link') {
+          item.link ||= value.trim();
+        } else {
+          // Prefer the update date over the publish date
+          if (!item.date || field === 'updated' || field === 'modified') item.date = value.trim();
+        }
+        field = null;
+      } else if (item && (tag.local === 'item' || tag.local === 'entry')) {
+        const entry = item.link && toEntry(item.link, item.date, source);
+        if (entry) entries.push(entry);
+        item = null;
+      }
+    },
+    onWarning(message) {
+      console.warn(`[sources] ${source.name}: ${message}`);
+    }
+  });
+
+  parser.write(text);
+  parser.end();
+  return entries;
+}
+
+/**
+ * URLs from a plain-text list (one per line, # comments) or JSON: an array of
+ * URL strings or { url | loc, lastmod } objects, optionally under `urls`.
+ */
+export function parseUrlList(text, source, contentType = '') {
+  const trimmed = text.trim();
+  let items;
+
+  if (contentType.includes('json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const json = JSON.parse(trimmed);
+    items = (Array.isArray(json) ? json : json.urls || [])
+      .map(item => (typeof item === 'string' ? { url: item } : { url: item.url || item.loc, lastmod: item.lastmod }));
+  } else {
+    items = trimmed.split(/\r?\n/)
+      .map(line => line.replace(/#.*$/, '').trim())
+      .filter(Boolean)
+      .map(url => ({ url }));
+  }
+
+  return items.map(({ url, lastmod }) => toEntry(url, lastmod, source)).filter(Boolean);
+}
+
+/**
+ * Entry in the sitemap entry shape, or null for anything that is not an
+ * absolute http(s) URL. Unparseable dates are dropped.
+ */
+function toEntry(url, date, source) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+
+  const time = date ? Date.parse(date) : NaN;
+  return {
+    loc: parsed.href,
+    lastmod: Number.isNaN(time) ? null : new Date(time).toISOString(),
+    changefreq: null,
+    priority: null,
+    alternates: [],
+    images: [],
+    videos: [],
+    sitemap: null,
+    source: source.name,
+    sourceUrl: source.url
+  };
+}
+
+/**
+ * Pinned URLs as [{ url, addedAt }].
+ */
+export async function getPinnedUrls(env) {
+  const json = await env.CACHE_WARMER_KV?.get(PINNED_KEY);
+  if (!json) return [];
+  try {
+    return JSON.parse(json);
+  } catch (parseErr) {
+    console.error('Failed to parse pinned URLs:', parseErr);
+    return [];
+  }
+}
+
+/**
+ * Add URLs to the pinned list. Invalid and already-pinned URLs are skipped.
+ * Returns { added, invalid, pinned }.
+ */
+export async function addPinnedUrls(urls, env) {
+  const pinned = await getPinnedUrls(env);
+  const existing = new Set(pinned.map(({ url }) => url));
+  const added = [];
+  const invalid = [];
+
+  for (const url of urls) {
+    const entry = toEntry(url, null, { name: 'pinned', url: null });
+    if (!entry) {
+      invalid.push(url);
+    } else if (!existing.has(entry.loc)) {
+      existing.add(entry.loc);
+      pinned.push({ url: entry.loc, addedAt: new Date().toISOString() });
+      added.push(entry.loc);
+    }
+  }
+
+  if (added.length > 0) await env.CACHE_WARMER_KV.put(PINNED_KEY, JSON.stringify(pinned));
+  return { added, invalid, pinned };
+}
+
+/**
+ * Remove URLs from the pinned list. Returns { removed, pinned }.
+ */
+export async function removePinnedUrls(urls, env) {
+  const pinned = await getPinnedUrls(env);
+  const toRemove = new Set(urls.map(url => {
+    try {
+      return new URL(String(url).trim()).href;
+    } catch {
+      return url;
+    }
+  }));
+
+  const kept = pinned.filter(({ url }) => !toRemove.has(url));
+  const removed = pinned.filter(({ url }) => toRemove.has(url)).map(({ url }) => url);
+
+  if (removed.length > 0) await env.CACHE_WARMER_KV.put(PINNED_KEY, JSON.stringify(kept));
+  return { removed, pinned: kept };
+}
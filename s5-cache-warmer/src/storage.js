@@ -1,21 +1,41 @@
 /**
  * KV storage operations for S-5 Cache Warmer
  * - Region rotation (round-robin)
- * - Persisting execution summaries
+ * - Persisting execution summaries (plus the cache policy each URL was warmed
+ *   under, the pages the cache header audit flagged, the pages that redirect
+ *   and the pages failing content assertions)
  * - Error logging
+ * - Global kill switch
+ * - Per-region queues of changed URLs
+ * - Sitemap discovery report
  * - Status & history aggregation for the dashboard
+ *
+ * Everything is read and written through env.CACHE_WARMER_KV, so passing a
+ * site's env (see siteEnv in sites.js) scopes it to that site. Functions that
+ * loop over regions take the site for its region list.
  */
 
 import { REGIONS, REGION_ORDER } from './config.js';
+import { getManifest, countWarmed } from './manifest.js';
+import { summarizeVerification } from './verify.js';
 
 /**
- * Determine which region to process next (round-robin).
- * Uses REGION_ORDER if provided, otherwise falls back to Object.keys(REGIONS).
+ * Regions in rotation order.
+ * Uses the site's regions if given, then REGION_ORDER, otherwise falls back
+ * to Object.keys(REGIONS).
  */
-export async function getNextRegion(env) {
-  const regionKeys = Array.isArray(REGION_ORDER) && REGION_ORDER.length > 0
+function getRegionKeys(site = null) {
+  if (Array.isArray(site?.regions) && site.regions.length > 0) return site.regions;
+  return Array.isArray(REGION_ORDER) && REGION_ORDER.length > 0
     ? REGION_ORDER
     : Object.keys(REGIONS);
+}
+
+/**
+ * Determine which region to process next (round-robin).
+ */
+export async function getNextRegion(env, site = null) {
+  const regionKeys = getRegionKeys(site);
 
   if (regionKeys.length === 0) {
     throw new Error('No regions configured');
@@ -56,8 +76,17 @@ export async function storeResults(region, results, durationSeconds, env) {
     cacheMiss: results.cacheMiss || 0,
     cacheExpired: results.cacheExpired || 0,
     cacheOther: results.cacheOther || 0,
+    cacheStatuses: results.cacheStatuses || {},
     hitRate: results.hitRate || '0.00',
 
+    // Failures a later run will likely clear (timeouts, 5xx...) vs ones that
+    // need fixing (404s, redirect loops...), per class, and retries made (retry.js)
+    retryableFailures: results.failureStats?.retryable || 0,
+    nonRetryableFailures: results.failureStats?.nonRetryable || 0,
+    failureKinds: results.failureStats?.byKind || {},
+    retries: results.failureStats?.retries || 0,
+    recovered: results.failureStats?.recovered || 0,
+
     // Exact colo verification
     coloMatched: results.coloMatched || 0,
     coloMismatched: results.coloMismatched || 0,
@@ -69,16 +98,211 @@ export async function storeResults(region, results, durationSeconds, env) {
     regionMismatched: results.regionMismatched || 0,
     regionMatchRate: results.regionMatchRate || '0.00',
 
+    // Per-language (hreflang), per-source, per-cache-policy and per-variant coverage
+    languageBreakdown: results.languageBreakdown || {},
+    sourceBreakdown: results.sourceBreakdown || {},
+    policyBreakdown: results.policyBreakdown || {},
+    variantBreakdown: results.variantBreakdown || {},
+    dimensionBreakdown: results.dimensionBreakdown || {},
+
+    // Subresources and sitemap media (only when enabled), kept apart from page counts
+    assets: summarizeTier(results.assets),
+    media: summarizeTier(results.media),
+
+    // Concurrency and request rate over the run (pacer.js)
+    pacing: results.pacing || null,
+
+    // Page TTFB, download time and size percentiles, overall and per cache status (metrics.js)
+    latency: results.latency || null,
+
+    // Warm effectiveness: sampled pages that came back HIT when checked again (verify.js)
+    verification: summarizeVerification(results.verification),
+
+    // Redirect hops met while warming; the redirecting pages are under redirects_<region>_<timestamp>
+    redirects: results.redirectStats || null,
+
+    // Content assertion counts and quarantine changes; the failing pages are under assertions_<region>_<timestamp>
+    contentAssertions: results.assertionStats?.checked
+      ? { ...results.assertionStats, quarantine: results.quarantine || null }
+      : null,
+
+    // Uncacheable page counts by likely cause; the pages are under cache_audit_<region>_<timestamp>
+    cacheAudit: results.cacheAudit
+      ? { uncacheable: results.cacheAudit.uncacheable, byCause: results.cacheAudit.byCause }
+      : null,
+
     // For dashboard progress bars
     totalUrls: results.totalUrls || 0
   };
 
   // Keep 30 days of results
   await env.CACHE_WARMER_KV.put(key, JSON.stringify(summary), { expirationTtl: 60 * 60 * 24 * 30 });
+  // Per-URL policies go in their own key so history reads stay small
+  const urlPolicies = {};
+  (results.urls || []).forEach(({ url, policy }) => {
+    if (policy) urlPolicies[url] = policy;
+  });
+  if (Object.keys(urlPolicies).length > 0) {
+    await env.CACHE_WARMER_KV.put(`url_policies_${region}_${timestamp}`, JSON.stringify(urlPolicies), { expirationTtl: 60 * 60 * 24 * 30 });
+  }
+  if (results.redirectReport?.length > 0) {
+    await env.CACHE_WARMER_KV.put(`redirects_${region}_${timestamp}`, JSON.stringify(results.redirectReport), { expirationTtl: 60 * 60 * 24 * 30 });
+  }
+  if (results.assertionReport?.length > 0) {
+    await env.CACHE_WARMER_KV.put(`assertions_${region}_${timestamp}`, JSON.stringify(results.assertionReport), { expirationTtl: 60 * 60 * 24 * 30 });
+  }
+  if (results.cacheAudit?.pages.length > 0) {
+    await env.CACHE_WARMER_KV.put(`cache_audit_${region}_${timestamp}`, JSON.stringify(results.cacheAudit.pages), { expirationTtl: 60 * 60 * 24 * 30 });
+  }
   // Also store a "latest" pointer used by the dashboard status
   await env.CACHE_WARMER_KV.put(`latest_${region}`, JSON.stringify(summary));
 }
 
+/**
+ * Pages that redirected in the latest run of each region (or just `region`),
+ * merged by URL with the newest sighting kept and the regions that saw it.
+ * Loops first, then long chains, then the rest by URL.
+ */
+export async function getRedirectReport(env, site = null, region = null) {
+  const regions = region ? [region] : getRegionKeys(site);
+  const byUrl = new Map();
+
+  for (const name of regions) {
+    const latestJson = await env.CACHE_WARMER_KV.get(`latest_${name}`);
+    if (!latestJson) continue;
+    let entries = [];
+    try {
+      const latest = JSON.parse(latestJson);
+      if (!latest.redirects?.redirected) continue;
+      entries = JSON.parse((await env.CACHE_WARMER_KV.get(`redirects_${name}_${latest.timestamp}`)) || '[]');
+    } catch (parseErr) {
+      console.error(`Failed to parse redirect report for ${name}:`, parseErr);
+      continue;
+    }
+    entries.forEach(entry => {
+      const known = byUrl.get(entry.url);
+      const regionsSeen = [...(known?.regions || []), name];
+      byUrl.set(entry.url, !known || entry.timestamp > known.timestamp ? { ...entry, regions: regionsSeen } : { ...known, regions: regionsSeen });
+    });
+  }
+
+  const entries = [...byUrl.values()].sort((a, b) => (b.loop - a.loop) || (b.longChain - a.longChain) || a.url.localeCompare(b.url));
+  return {
+    total: entries.length,
+    loops: entries.filter(entry => entry.loop).length,
+    longChains: entries.filter(entry => entry.longChain).length,
+    entries
+  };
+}
+
+/**
+ * Cache header audit of a region's latest run: cf-cache-status counts,
+ * uncacheable pages by likely cause and the pages with their headers, or
+ * null if the region has no audited run yet.
+ */
+export async function getCacheAudit(env, region) {
+  const latestJson = await env.CACHE_WARMER_KV.get(`latest_${region}`);
+  if (!latestJson) return null;
+  let latest;
+  try {
+    latest = JSON.parse(latestJson);
+  } catch (parseErr) {
+    console.error(`Failed to parse latest stats for ${region}:`, parseErr);
+    return null;
+  }
+  if (!latest.cacheAudit) return null;
+
+  let pages = [];
+  const pagesJson = latest.cacheAudit.uncacheable > 0 ? await env.CACHE_WARMER_KV.get(`cache_audit_${region}_${latest.timestamp}`) : null;
+  if (pagesJson) {
+    try {
+      pages = JSON.parse(pagesJson);
+    } catch (parseErr) {
+      console.error(`Failed to parse cache audit for ${region} run ${latest.timestamp}:`, parseErr);
+    }
+  }
+  return {
+    region,
+    timestamp: latest.timestamp,
+    timestampISO: latest.timestampISO,
+    pagesWarmed: latest.success,
+    cacheStatuses: latest.cacheStatuses || {},
+    ...latest.cacheAudit,
+    pages
+  };
+}
+
+/**
+ * Content assertion results of a region's latest run: counts by assertion,
+ * what changed in quarantine and the failing pages, or null if the region
+ * has no run with assertions yet.
+ */
+export async function getAssertionReport(env, region) {
+  const latestJson = await env.CACHE_WARMER_KV.get(`latest_${region}`);
+  if (!latestJson) return null;
+  let latest;
+  try {
+    latest = JSON.parse(latestJson);
+  } catch (parseErr) {
+    console.error(`Failed to parse latest stats for ${region}:`, parseErr);
+    return null;
+  }
+  if (!latest.contentAssertions) return null;
+
+  let pages = [];
+  const pagesJson = latest.contentAssertions.failed > 0 ? await env.CACHE_WARMER_KV.get(`assertions_${region}_${latest.timestamp}`) : null;
+  if (pagesJson) {
+    try {
+      pages = JSON.parse(pagesJson);
+    } catch (parseErr) {
+      console.error(`Failed to parse content assertions for ${region} run ${latest.timestamp}:`, parseErr);
+    }
+  }
+  return {
+    region,
+    timestamp: latest.timestamp,
+    timestampISO: latest.timestampISO,
+    ...latest.contentAssertions,
+    pages
+  };
+}
+
+/**
+ * Cache policy each URL of a stored run was warmed under ({ url: policy }),
+ * or null if the run recorded none.
+ */
+export async function getUrlPolicies(env, region, timestamp) {
+  const json = await env.CACHE_WARMER_KV.get(`url_policies_${region}_${timestamp}`);
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch (parseErr) {
+    console.error(`Failed to parse URL policies for ${region} run ${timestamp}:`, parseErr);
+    return null;
+  }
+}
+
+/**
+ * Counters for a secondary warming tier (subresources, media) without the
+ * per-URL list, or null when the tier was not run.
+ */
+function summarizeTier(stats) {
+  if (!stats) return null;
+  return {
+    discovered: stats.discovered || 0,
+    skipped: stats.skipped || 0,
+    success: stats.success || 0,
+    failures: stats.failures || 0,
+    cacheHit: stats.cacheHit || 0,
+    cacheMiss: stats.cacheMiss || 0,
+    cacheExpired: stats.cacheExpired || 0,
+    cacheOther: stats.cacheOther || 0,
+    hitRate: stats.hitRate || '0.00',
+    byType: stats.byType || {},
+    byCacheStatus: stats.byCacheStatus || {}
+  };
+}
+
 /**
  * Log structured errors. Dashboard can read these later if needed.
  */
@@ -96,22 +320,140 @@ export async function logError(region, error, env) {
 }
 
 /**
- * Get current status for all configured regions.
+ * Global kill switch ({ reason, since }), or null when warming may run.
+ * Lives in the root KV namespace, so pass the unscoped env: it covers every site.
+ */
+export async function getKillSwitch(env) {
+  const json = await env.CACHE_WARMER_KV.get('kill_switch');
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch (parseErr) {
+    // Unreadable still means someone engaged it
+    console.error('Failed to parse kill switch:', parseErr);
+    return { reason: null, since: null };
+  }
+}
+
+/**
+ * Engage the kill switch: cron runs dispatch nothing until it is released.
+ */
+export async function setKillSwitch(env, reason = null) {
+  const killSwitch = { reason, since: new Date().toISOString() };
+  await env.CACHE_WARMER_KV.put('kill_switch', JSON.stringify(killSwitch));
+  return killSwitch;
+}
+
+export async function clearKillSwitch(env) {
+  await env.CACHE_WARMER_KV.delete('kill_switch');
+}
+
+/**
+ * Queue changed URLs (newest first) ahead of the rotation in every region.
+ * URLs already queued keep their place behind the new batch.
+ */
+export async function queueChangedUrls(changedUrls, env, site = null) {
+  if (changedUrls.length === 0) return;
+
+  const changedSet = new Set(changedUrls);
+  await Promise.all(getRegionKeys(site).map(async region => {
+    const pending = await getPendingChanges(region, env);
+    const merged = [...changedUrls, ...pending.filter(url => !changedSet.has(url))];
+    await setPendingChanges(region, merged, env);
+  }));
+}
+
+/**
+ * Changed URLs still waiting to be warmed in a region (highest priority first).
+ */
+export async function getPendingChanges(region, env) {
+  const json = await env.CACHE_WARMER_KV.get(`changed_${region}`);
+  if (!json) return [];
+  try {
+    const urls = JSON.parse(json);
+    return Array.isArray(urls) ? urls : [];
+  } catch (parseErr) {
+    console.error(`Failed to parse pending changes for ${region}:`, parseErr);
+    return [];
+  }
+}
+
+/**
+ * Replace a region's pending change queue.
+ */
+export async function setPendingChanges(region, urls, env) {
+  if (urls.length === 0) {
+    await env.CACHE_WARMER_KV.delete(`changed_${region}`);
+  } else {
+    await env.CACHE_WARMER_KV.put(`changed_${region}`, JSON.stringify(urls));
+  }
+}
+
+/**
+ * Persist what the last discovery run found: robots.txt lookups, per sitemap
+ * how it was found and how many URLs it contributed, and how many URLs each
+ * filter rule removed.
+ */
+export async function storeDiscoveryReport(discovery, env) {
+  const report = {
+    timestamp: Date.now(),
+    timestampISO: new Date().toISOString(),
+    mode: discovery.mode,
+    durationMs: discovery.durationMs ?? null,
+    totalUrls: discovery.entries.length,
+    hosts: discovery.hosts,
+    sitemaps: discovery.sitemaps,
+    sources: discovery.sources || [],             // feeds, URL lists, pinned
+    bySource: discovery.bySource || {},           // URLs per source name
+    crawl: discovery.crawl || null,               // link crawl stats (crawl mode only)
+    filters: discovery.filters || null,          // include/exclude rule counts
+    translations: discovery.translations || null, // hreflang clusters + URLs per language
+    media: discovery.media || null                // image/video extension counts
+  };
+  await env.CACHE_WARMER_KV.put('discovery_report', JSON.stringify(report));
+}
+
+/**
+ * Last stored discovery report, or null before the first run.
+ */
+export async function getDiscoveryReport(env) {
+  const json = await env.CACHE_WARMER_KV.get('discovery_report');
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch (parseErr) {
+    console.error('Failed to parse discovery report:', parseErr);
+    return null;
+  }
+}
+
+/**
+ * Get current status for all configured regions (the site's regions if given).
  * Reads the latest summary for each region + current progress cursor.
+ * Progress is the number of current manifest URLs warmed this cycle.
  */
-export async function getStatus(env) {
-  const regions = Object.keys(REGIONS);
+export async function getStatus(env, site = null) {
+  const regions = site ? getRegionKeys(site) : Object.keys(REGIONS);
+  const [manifest, discovery] = await Promise.all([getManifest(env), getDiscoveryReport(env)]);
 
   const status = {
     lastUpdated: new Date().toISOString(),
+    site: site ? { id: site.id, name: site.name } : null,
+    manifest: {
+      version: manifest.version,
+      urlCount: Object.keys(manifest.urls).length,
+      updatedAt: manifest.updatedAt
+    },
+    discovery,
     regions: {}
   };
 
   for (const region of regions) {
     try {
-      const [latestJson, progressStr] = await Promise.all([
+      const [latestJson, progressStr, pendingChanges] = await Promise.all([
         env.CACHE_WARMER_KV.get(`latest_${region}`),
-        env.CACHE_WARMER_KV.get(`progress_${region}`)
+        env.CACHE_WARMER_KV.get(`progress_${region}`),
+        getPendingChanges(region, env)
       ]);
 
       let stats = null;
@@ -125,7 +467,9 @@ export async function getStatus(env) {
 
       status.regions[region] = {
         stats,                                    // may be null if never run
-        currentProgress: progressStr ?? '0',      // number as string; default 0
+        currentProgress: String(countWarmed(manifest, parseInt(progressStr ?? '0', 10) || 0)), // number as string; default 0
+        cursorId: parseInt(progressStr ?? '0', 10) || 0,  // highest manifest ID warmed this cycle
+        pendingChanges: pendingChanges.length,    // changed URLs queued ahead of the rotation
         coloCode: REGIONS[region]                 // representative colo for UI badge
       };
     } catch (err) {
@@ -133,6 +477,8 @@ export async function getStatus(env) {
       status.regions[region] = {
         stats: null,
         currentProgress: '0',
+        cursorId: 0,
+        pendingChanges: 0,
         coloCode: REGIONS[region]
       };
     }
@@ -143,11 +489,11 @@ export async function getStatus(env) {
 
 /**
  * Fetch historical execution data.
- * If region is null, aggregates across ALL regions.
+ * If region is null, aggregates across ALL regions (the site's, if given).
  * `limit` caps the number of keys returned per region (KV-side).
  */
-export async function getHistoricalData(env, region = null, limit = 100) {
-  const targetRegions = region ? [region] : Object.keys(REGIONS);
+export async function getHistoricalData(env, region = null, limit = 100, site = null) {
+  const targetRegions = region ? [region] : (site ? getRegionKeys(site) : Object.keys(REGIONS));
   const allResults = [];
 
   for (const reg of targetRegions) {
@@ -190,6 +536,8 @@ export async function getHistoricalData(env, region = null, limit = 100) {
     totalExecutions: allResults.length,
     totalSuccess: allResults.reduce((s, r) => s + (r.success || 0), 0),
     totalFailures: allResults.reduce((s, r) => s + (r.failures || 0), 0),
+    totalRetryableFailures: allResults.reduce((s, r) => s + (r.retryableFailures || 0), 0),
+    totalNonRetryableFailures: allResults.reduce((s, r) => s + (r.nonRetryableFailures || 0), 0),
     totalCacheHit: allResults.reduce((s, r) => s + (r.cacheHit || 0), 0),
     totalCacheMiss: allResults.reduce((s, r) => s + (r.cacheMiss || 0), 0),
     totalCacheExpired: allResults.reduce((s, r) => s + (r.cacheExpired || 0), 0),
@@ -0,0 +1,93 @@
+/**
+ * Subresource discovery for warmed HTML pages
+ *
+ * Runs the page body through HTMLRewriter (which also drains it) and collects
+ * stylesheet, script, preload, font and image references that live on the
+ * same zone as the page.
+ */
+
+const PRELOAD_TYPES = {
+  style: 'stylesheet',
+  script: 'script',
+  font: 'font',
+  image: 'image'
+};
+
+/**
+ * True when `hostname` is the zone apex or one of its subdomains.
+ */
+export function isSameZone(hostname, zone) {
+  return hostname === zone || hostname.endsWith(`.${zone}`);
+}
+
+/**
+ * Candidate URLs from a srcset attribute ("a.jpg 1x, b.jpg 2x").
+ */
+function parseSrcset(srcset) {
+  return srcset
+    .split(',')
+    .map(candidate => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+/**
+ * Drain an HTML response and return the same-zone subresources it references
+ * as [{ url, type }] with type one of stylesheet, script, font, image, other.
+ * Fragments are stripped so the same asset is only listed once.
+ */
+export async function collectSubresources(response, pageUrl, zone) {
+  const found = new Map();
+
+  const add = (value, type) => {
+    if (!value) return;
+    let url;
+    try {
+      url = new URL(value.trim(), pageUrl);
+    } catch {
+      return;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return;
+    if (!isSameZone(url.hostname, zone)) return;
+
+    url.hash = '';
+    if (!found.has(url.href)) found.set(url.href, type);
+  };
+
+  const rewriter = new HTMLRewriter()
+    .on('link[href]', {
+      element(el) {
+        const rel = (el.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+        const href = el.getAttribute('href');
+        if (rel.includes('stylesheet')) {
+          add(href, 'stylesheet');
+        } else if (rel.includes('modulepreload')) {
+          add(href, 'script');
+        } else if (rel.includes('preload')) {
+          add(href, PRELOAD_TYPES[(el.getAttribute('as') || '').toLowerCase()] || 'other');
+        }
+      }
+    })
+    .on('script[src]', {
+      element(el) {
+        add(el.getAttribute('src'), 'script');
+      }
+    })
+    .on('img', {
+      element(el) {
+        // data-src / data-srcset are what WordPress lazy-load plugins swap in
+        add(el.getAttribute('src'), 'image');
+        add(el.getAttribute('data-src'), 'image');
+        parseSrcset(el.getAttribute('srcset') || '').forEach(src => add(src, 'image'));
+        parseSrcset(el.getAttribute('data-srcset') || '').forEach(src => add(src, 'image'));
+      }
+    })
+    .on('source[srcset]', {
+      element(el) {
+        parseSrcset(el.getAttribute('srcset')).forEach(src => add(src, 'image'));
+      }
+    });
+
+  await rewriter.transform(response).arrayBuffer();
+
+  return Array.from(found, ([url, type]) => ({ url, type }));
+}
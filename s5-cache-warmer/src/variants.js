@@ -0,0 +1,139 @@
+/**
+ * Request variants: the extra cache keys each URL is warmed under
+ *
+ * Visitors reach the same page with different user agents, languages, query
+ * strings and cookies, and any of those can be part of the cache key (device
+ * type via Cache Rules, Vary: Accept-Language, query strings by default). A
+ * variant config lists options per dimension; every URL is then warmed once
+ * per combination, up to maxPerUrl. The first combination is the baseline:
+ * the request the warmer has always sent.
+ * - devices: { name, userAgent } (userAgent omitted = the site's own)
+ * - languages: { name, acceptLanguage }
+ * - queries: { name, params }   extra query parameters
+ * - cookies: { name, cookies }  sent as a Cookie header
+ * The queries and cookies dimensions always include a plain "none" option
+ * first, so the bare URL is still warmed.
+ */
+
+export const DEFAULT_VARIANT = 'default';
+
+const BASELINE_LANGUAGE = 'en-US,en;q=0.9';
+const DIMENSIONS = {
+  devices: 'device',
+  languages: 'language',
+  queries: 'query',
+  cookies: 'cookie'
+};
+
+/**
+ * Expand a variant config into the list of requests made for every URL,
+ * baseline first. With no config (or enabled: false) that is the single
+ * default request.
+ */
+export function expandVariants(config, userAgent) {
+  const baseline = { name: DEFAULT_VARIANT, dimensions: {}, userAgent, acceptLanguage: BASELINE_LANGUAGE, params: {}, cookies: {} };
+  if (!config?.enabled) return [baseline];
+
+  const options = {
+    devices: config.devices?.length ? config.devices : [{ name: 'desktop' }],
+    languages: config.languages?.length ? config.languages : [{ name: 'en', acceptLanguage: BASELINE_LANGUAGE }],
+    queries: [{ name: 'none', params: {} }, ...(config.queries || [])],
+    cookies: [{ name: 'none', cookies: {} }, ...(config.cookies || [])]
+  };
+
+  // Dimensions left at their single default option are not part of the name
+  const named = Object.keys(DIMENSIONS).filter(key => options[key].length > 1 || config[key]?.length);
+
+  let combinations = [[]];
+  for (const key of Object.keys(DIMENSIONS)) {
+    combinations = combinations.flatMap(combination => options[key].map(option => [...combination, [key, option]]));
+  }
+
+  return combinations.slice(0, config.maxPerUrl || combinations.length).map(combination => {
+    const picked = Object.fromEntries(combination);
+    const dimensions = {};
+    named.forEach(key => {
+      dimensions[DIMENSIONS[key]] = picked[key].name;
+    });
+    return {
+      name: Object.values(dimensions).join('/') || DEFAULT_VARIANT,
+      dimensions,
+      userAgent: picked.devices.userAgent || userAgent,
+      acceptLanguage: picked.languages.acceptLanguage || BASELINE_LANGUAGE,
+      params: picked.queries.params || {},
+      cookies: picked.cookies.cookies || {}
+    };
+  });
+}
+
+/**
+ * URL and request headers for warming `url` as `variant`.
+ */
+export function variantRequest(url, variant, accept) {
+  const headers = {
+    'User-Agent': variant.userAgent,
+    'Accept': accept,
+    'Accept-Language': variant.acceptLanguage
+  };
+  const cookies = Object.entries(variant.cookies);
+  if (cookies.length > 0) {
+    headers['Cookie'] = cookies.map(([name, value]) => `${name}=${value}`).join('; ');
+  }
+
+  const params = Object.entries(variant.params);
+  if (params.length === 0) return { url, headers };
+
+  const parsed = new URL(url);
+  params.forEach(([name, value]) => parsed.searchParams.set(name, value));
+  return { url: parsed.href, headers };
+}
+
+/**
+ * Problems with a variant config (empty when it is valid).
+ */
+export function validateVariants(config) {
+  if (config === null) return [];
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['variants must be an object or null'];
+
+  const errors = [];
+  const fieldsByDimension = {
+    devices: 'userAgent',
+    languages: 'acceptLanguage',
+    queries: 'params',
+    cookies: 'cookies'
+  };
+
+  if (config.enabled !== undefined && typeof config.enabled !== 'boolean') errors.push('variants.enabled must be true or false');
+  if (config.maxPerUrl !== undefined && !(Number.isInteger(config.maxPerUrl) && config.maxPerUrl >= 1)) {
+    errors.push('variants.maxPerUrl must be a positive integer');
+  }
+
+  for (const [key, field] of Object.entries(fieldsByDimension)) {
+    if (config[key] === undefined) continue;
+    if (!Array.isArray(config[key])) {
+      errors.push(`variants.${key} must be a list`);
+      continue;
+    }
+    const names = new Set(['none']);
+    config[key].forEach((option, index) => {
+      const path = `variants.${key}[${index}]`;
+      if (!option?.name || typeof option.name !== 'string' || names.has(option.name) || option.name.includes('/')) {
+        errors.push(`${path} needs a unique name without "/" (not "none")`);
+      }
+      names.add(option?.name);
+      const value = option?.[field];
+      if (field === 'params' || field === 'cookies') {
+        if (!value || typeof value !== 'object' || Array.isArray(value) || !Object.values(value).every(item => typeof item === 'string')) {
+          errors.push(`${path}.${field} must map names to string values`);
+        }
+      } else if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+        errors.push(`${path}.${field} must be a non-empty string`);
+      }
+    });
+  }
+
+  const unknown = Object.keys(config).filter(key => !['enabled', 'maxPerUrl', ...Object.keys(fieldsByDimension)].includes(key));
+  if (unknown.length > 0) errors.push(`variants has unknown fields: ${unknown.join(', ')}`);
+
+  return errors;
+}
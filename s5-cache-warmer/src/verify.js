@@ -0,0 +1,50 @@
+/**
+ * Warm-then-verify: after a job's pages are warmed, a sample of them is
+ * requested again, the way a visitor would (no cf cache overrides), to see
+ * whether the warm stuck. The share that come back HIT is the region's warm
+ * effectiveness. For the rest, the response headers usually say why (see
+ * cache-headers.js).
+ */
+
+import { CACHE_DEFEATS } from './cache-headers.js';
+
+// Misses kept per run in the stored summary
+const MAX_REPORTED_MISSES = 50;
+
+/**
+ * Evenly spaced sample of the successfully warmed page records:
+ * ceil(sampleRate x pages), at most maxUrls.
+ */
+export function sampleForVerification(records, { sampleRate = 1, maxUrls = Infinity } = {}) {
+  const warmed = records.filter(record => record.cacheStatus && !record.error);
+  const count = Math.min(maxUrls, Math.ceil(warmed.length * Math.min(1, Math.max(0, sampleRate))));
+  if (count <= 0) return [];
+  const step = warmed.length / count;
+  return Array.from({ length: count }, (_, i) => warmed[Math.floor(i * step)]);
+}
+
+export function emptyVerifyStats() {
+  return {
+    sampled: 0,
+    success: 0,          // verification responses received
+    failures: 0,         // verification requests that errored
+    hits: 0,
+    effectiveness: '0.00',
+    byCacheStatus: {},
+    defeatedBy: Object.fromEntries(CACHE_DEFEATS.map(defeat => [defeat, 0])),
+    urls: []             // one check per sampled page
+  };
+}
+
+/**
+ * Stored form of the verify stats: counts, plus the pages that did not come
+ * back HIT (capped).
+ */
+export function summarizeVerification(stats) {
+  if (!stats) return null;
+  const { urls = [], ...counts } = stats;
+  return {
+    ...counts,
+    misses: urls.filter(check => check.cacheStatus !== 'HIT').slice(0, MAX_REPORTED_MISSES)
+  };
+}
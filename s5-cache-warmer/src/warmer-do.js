@@ -1,92 +1,331 @@
 import { storeResults } from './storage.js';
-import { REGION_COLOS } from './config.js';
+import { REGION_COLOS, WARM_JOBS } from './config.js';
+import { DEFAULT_SITE_ID, siteEnv } from './sites.js';
+import { collectSubresources } from './subresources.js';
+import { DEFAULT_POLICY, QUARANTINE_POLICY, defaultCachePolicy, quarantinePolicy, cacheOptions } from './cache-policy.js';
+import { expandVariants, variantRequest } from './variants.js';
+import { createPacer, mergePacingSummaries, runPool, retryAfterMs } from './pacer.js';
+import { classifyFailure, isRetryable, backoffDelayMs, emptyFailureStats, tallyFailure } from './retry.js';
+import { summarizeLatency } from './metrics.js';
+import { sampleForVerification, emptyVerifyStats, summarizeVerification } from './verify.js';
+import { captureCacheHeaders, cacheDefeats, isUncacheable, auditRecords } from './cache-headers.js';
+import { followRedirects, emptyRedirectStats, tallyRedirects, redirectEntries } from './redirects.js';
+import { checkContent, emptyAssertionStats, tallyAssertions, assertionEntries } from './assertions.js';
+import { updateQuarantine, purgeUrls } from './quarantine.js';
+import { raiseAlert } from './alerts.js';
 
+const PAGE_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+
+// Jobs the alarm works on, and jobs that are over (paused is neither)
+const ACTIVE_STATUSES = ['queued', 'running'];
+const FINISHED_STATUSES = ['complete', 'failed', 'cancelled'];
+
+// What is left once every chunk of pages is done, one alarm each (see finishJob)
+const FINISH_STEPS = ['subresources', 'media', 'verify', 'quarantine', 'report'];
+
+/**
+ * Warms batches of URLs from one region. Each batch is a job: POST /warm
+ * stores it and answers straight away, then alarms work through it one chunk
+ * at a time, saving results after every chunk, so a restarted object carries
+ * on where it stopped. Jobs run oldest first; POST /jobs/<id>/pause, /resume
+ * and /cancel take effect between chunks; GET /status reports the current
+ * job's progress, down to the URLs in flight. Storage keys:
+ * - jobs                 job IDs, oldest first
+ * - job:<id>             state, settings, finishing step and cursor (final counts once complete)
+ * - job:<id>:queue:<n>   chunk n of the URL items
+ * - job:<id>:results     counters and breakdowns so far
+ * - job:<id>:urls:<n>    per-URL records for chunk n
+ * - job:<id>:assets      subresources found so far, as [url, type] pairs
+ * - job:<id>:media       media tier items
+ */
 export class CacheWarmerDO {
   constructor(state, env) {
     this.state = state;
     this.env = env;
+    this.live = null;  // the chunk or tier being warmed right now, for /status
   }
 
   async fetch(request) {
     const url = new URL(request.url);
     if (url.pathname === '/warm') return this.handleWarm(request);
-    if (url.pathname === '/status') return this.handleStatus();
+    if (url.pathname === '/jobs') return this.handleJobs(url);
+    if (url.pathname.startsWith('/jobs/')) {
+      const [id, action] = url.pathname.slice('/jobs/'.length).split('/').map(decodeURIComponent);
+      if (action) return this.handleJobControl(request, id, action, url.searchParams.get('site'));
+      return this.handleJob(id);
+    }
+    if (url.pathname === '/status') return this.handleStatus(url.searchParams.get('site'));
     return new Response('Not Found', { status: 404 });
   }
 
+  /**
+   * Accept a batch as a job: store its queue and settings, arm the alarm and
+   * answer 202 with the job state to poll.
+   */
   async handleWarm(request) {
     if (request.method !== 'POST') return new Response('Method not allowed', { status: 405 });
 
-    const startTime = Date.now();
     const body = await request.json();
     const {
       urls = [],
+      siteId = DEFAULT_SITE_ID,                    // results are stored under this site's KV keys
       regionName = 'Unknown',
       targetHint = 'unknown',
       targetColo = 'UNKNOWN',
       totalUrls = 0,                               // NEW: from orchestrator
       rateLimitMs = parseInt(this.env.RATE_LIMIT_MS) || 2000,
       cacheTtlSeconds = 14400,
-      userAgent = 'S5-Cache-Warmer/1.0'
+      policies = {},                               // cache policies by name; items name theirs
+      assertions = {},                             // content assertions by name; items list theirs (assertions.js)
+      zoneId = null,                               // the site's Cloudflare zone, to purge quarantined pages from
+      userAgent = 'S5-Cache-Warmer/1.0',
+      variants = expandVariants(null, userAgent),  // request variants per URL, baseline first
+      pacing = null,                               // adaptive concurrency limits (pacer.js); null = one at a time
+      retry = null,                                // retry policy (retry.js); null = a single attempt
+      redirects = null,                            // { maxHops, followLimit } for redirect chains (redirects.js)
+      verify = null,                               // { sampleRate, maxUrls, delayMs, rateLimitMs } to re-check pages (verify.js)
+      subresources = null,                         // { zone, maxAssets, rateLimitMs } when enabled
+      media = null                                 // { items: [{ url, type, page }], cacheTtlSeconds, rateLimitMs, maxItems } when enabled
     } = body;
 
-    const regionColos = REGION_COLOS[regionName] || [];
+    // The target hint prefixes the ID so the Worker can route a job ID back here
+    const id = `${targetHint}-${crypto.randomUUID()}`;
+    const { items: mediaItems = [], ...mediaSettings } = media || {};
+    const chunks = [];
+    for (let i = 0; i < urls.length; i += WARM_JOBS.chunkSize) {
+      chunks.push(urls.slice(i, i + WARM_JOBS.chunkSize));
+    }
+
+    const job = {
+      id,
+      siteId,
+      regionName,
+      status: 'queued',
+      createdAt: Date.now(),
+      startedAt: null,
+      updatedAt: Date.now(),
+      completedAt: null,
+      totalItems: urls.length,
+      processedItems: 0,
+      chunks: chunks.length,
+      nextChunk: 0,
+      finishStep: null,
+      stepCursor: 0,
+      chunkAttempts: 0,
+      error: null,
+      settings: {
+        targetHint,
+        targetColo,
+        totalUrls,
+        rateLimitMs,
+        cacheTtlSeconds,
+        policies,
+        assertions,
+        zoneId,
+        userAgent,
+        variants,
+        pacing,
+        retry,
+        redirects,
+        verify,
+        subresources,
+        media: media ? mediaSettings : null
+      },
+      results: null
+    };
 
-    const results = {
-      success: 0,
-      failures: 0,
-      cacheHit: 0,
-      cacheMiss: 0,
-      cacheExpired: 0,
-      cacheOther: 0,
+    const entries = {
+      [`job:${id}`]: job,
+      [`job:${id}:results`]: emptyResults(totalUrls, job.settings),
+      [`job:${id}:assets`]: [],
+      [`job:${id}:media`]: mediaItems
+    };
+    chunks.forEach((chunk, n) => {
+      entries[`job:${id}:queue:${n}`] = chunk;
+    });
+    await this.putAll(entries);
 
-      // Exact colo verification (existing)
-      coloMatched: 0,
-      coloMismatched: 0,
+    const jobIds = [...((await this.state.storage.get('jobs')) || []), id];
+    await this.state.storage.put('jobs', await this.pruneJobs(jobIds));
+    if (!(await this.state.storage.getAlarm())) await this.state.storage.setAlarm(Date.now());
 
-      // NEW: regional verification
-      regionMatched: 0,
-      regionMismatched: 0,
+    console.log(`Accepted job ${id}: ${urls.length} URLs for ${siteId}/${regionName} in ${chunks.length} chunks`);
+    return new Response(JSON.stringify(jobView(job)), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
 
-      hitRate: '0.00',
-      coloMatchRate: '0.00',
-      regionMatchRate: '0.00',
+  /**
+   * Work on the oldest unfinished job: one chunk of pages, or, once every
+   * chunk is done, one step of finishing it (tiers, verify, quarantine, report).
+   * Re-arms itself while there is work left.
+   */
+  async alarm() {
+    const jobIds = (await this.state.storage.get('jobs')) || [];
+    let job = null;
+    for (const id of jobIds) {
+      const candidate = await this.state.storage.get(`job:${id}`);
+      if (candidate && ACTIVE_STATUSES.includes(candidate.status)) {
+        job = candidate;
+        break;
+      }
+    }
+    if (!job) return;
 
-      coloBreakdown: {},
-      urls: [],
-      totalUrls                       // persist for progress display
+    if (job.status === 'queued') {
+      job.status = 'running';
+      job.startedAt = Date.now();
+    }
+
+    let entries = {};
+    let retryInMs = 0;
+    try {
+      entries = job.nextChunk < job.chunks ? await this.runChunk(job) : await this.finishJob(job);
+      job.chunkAttempts = 0;
+    } catch (error) {
+      // Per-URL failures are tallied in the results; this is the chunk itself
+      job.chunkAttempts++;
+      job.error = error.message;
+      const work = job.nextChunk < job.chunks ? `chunk ${job.nextChunk}` : `step ${job.finishStep || FINISH_STEPS[0]}`;
+      console.error(`Job ${job.id} ${work} failed (attempt ${job.chunkAttempts}/${WARM_JOBS.maxChunkAttempts}):`, error);
+      if (job.chunkAttempts >= WARM_JOBS.maxChunkAttempts) {
+        job.status = 'failed';
+        job.completedAt = Date.now();
+      } else {
+        retryInMs = backoffDelayMs(job.chunkAttempts, { baseDelayMs: 5000, maxDelayMs: 60000 });
+      }
+    } finally {
+      this.live = null;
+    }
+
+    // A pause or cancel may have come in while the chunk or step ran
+    const latest = await this.state.storage.get(`job:${job.id}`);
+    if (ACTIVE_STATUSES.includes(job.status) && ['paused', 'cancelled'].includes(latest?.status)) {
+      job.status = latest.status;
+      job.completedAt = latest.completedAt;
+    }
+
+    // Progress and the chunk's results are written together, so a chunk is
+    // either recorded in full or warmed again after a restart
+    job.updatedAt = Date.now();
+    await this.putAll({ ...entries, [`job:${job.id}`]: job });
+
+    if (FINISHED_STATUSES.includes(job.status)) await this.deleteJobData(job.id);
+    await this.state.storage.setAlarm(Date.now() + retryInMs);
+  }
+
+  /**
+   * Warm the job's next chunk of pages. Returns the storage entries to write
+   * along with the job state.
+   */
+  async runChunk(job) {
+    const n = job.nextChunk;
+    const stored = await this.state.storage.get([`job:${job.id}:queue:${n}`, `job:${job.id}:results`, `job:${job.id}:assets`]);
+    const items = stored.get(`job:${job.id}:queue:${n}`) || [];
+    const results = { ...stored.get(`job:${job.id}:results`), urls: [] };
+    const assetQueue = new Map(stored.get(`job:${job.id}:assets`) || []);
+
+    const pacer = createPacer(pacerOptions(job.settings, results.pacing));
+    this.live = { jobId: job.id, phase: 'pages', results, done: 0, total: items.length, inFlight: new Set(), currentUrl: null, startedAt: Date.now() };
+    await this.warmPages(job, items, results, pacer, assetQueue);
+    results.pacing = mergePacingSummaries(results.pacing, pacer.summary());
+
+    job.nextChunk++;
+    job.processedItems += items.length;
+    const { urls: records, ...partial } = results;
+    return {
+      [`job:${job.id}:results`]: partial,
+      [`job:${job.id}:urls:${n}`]: records,
+      [`job:${job.id}:assets`]: [...assetQueue]
     };
+  }
 
-    for (const urlToWarm of urls) {
-      try {
-        const response = await fetch(urlToWarm, {
-          headers: {
-            'User-Agent': userAgent,
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-            'Accept-Language': 'en-US,en;q=0.9'
-          },
-          cf: {
-            cacheEverything: true,
-            cacheTtlByStatus: {
-              '200-299': cacheTtlSeconds,
-              '404': 300,
-              '500-599': 0
-            }
-          }
-        });
+  /**
+   * Warm a chunk of pages, tallying into `results` and collecting same-zone
+   * subresources into `assetQueue` (url -> type).
+   */
+  async warmPages(job, items, results, pacer, assetQueue) {
+    const { targetColo, cacheTtlSeconds, policies, assertions = {}, variants, pacing, redirects, subresources } = job.settings;
+    const regionColos = REGION_COLOS[job.regionName] || [];
 
-        const cacheStatus = response.headers.get('CF-Cache-Status') || response.headers.get('cf-cache-status') || 'UNKNOWN';
+    // The baseline request drives the page counters; other variants are
+    // tallied only in the variant breakdowns, so those stay per URL
+    const [baseline, ...otherVariants] = variants;
+    const live = this.live;
+
+    await runPool(items, pacing?.maxConcurrency ?? 1, async item => {
+      // Orchestrator sends { url, lang, source, policy, assertions } items; plain URL strings are still accepted
+      const { url: urlToWarm, lang = null, source = null, policy: policyName = DEFAULT_POLICY, assertions: assertionNames = [] } = typeof item === 'string' ? { url: item } : item;
+      live.inFlight.add(urlToWarm);
+      live.currentUrl = urlToWarm;
+      const policy = policies[policyName] || policies[DEFAULT_POLICY] || defaultCachePolicy(cacheTtlSeconds);
+      const breakdowns = [
+        breakdownEntry(results.languageBreakdown, lang),
+        breakdownEntry(results.sourceBreakdown, source),
+        breakdownEntry(results.policyBreakdown, policy.name),
+        ...variantBreakdowns(results, baseline)
+      ];
+      const checks = Object.fromEntries(assertionNames.filter(name => assertions[name]).map(name => [name, assertions[name]]));
+      const readBody = async response => {
+        const isHtml = (response.headers.get('Content-Type') || '').includes('text/html');
+        const zone = subresources && isHtml ? subresources.zone || new URL(urlToWarm).hostname : null;
+        if (Object.keys(checks).length === 0) {
+          // Collecting references drains the body too
+          if (zone) return { refs: await collectSubresources(response, urlToWarm, zone), assertionFailures: [] };
+          await response.text(); // drain
+          return { refs: [], assertionFailures: [] };
+        }
+        // Assertions need the text; references are collected from a copy of it
+        const text = await response.text();
+        return {
+          refs: zone ? await collectSubresources(new Response(text, { headers: response.headers }), urlToWarm, zone) : [],
+          assertionFailures: await checkContent(text, checks)
+        };
+      };
+      const isQuarantined = ({ assertionFailures }) => assertionFailures.some(failure => checks[failure.assertion].quarantine);
+
+      // A page with a quarantining assertion is checked before anything is
+      // cached: it is fetched first under the quarantine policy, which stores
+      // nothing, and warmed only once it passes
+      const request = variantRequest(urlToWarm, baseline, PAGE_ACCEPT);
+      const checkFirst = Object.values(checks).some(check => check.quarantine);
+      let fetchPolicy = checkFirst ? policies[QUARANTINE_POLICY] || quarantinePolicy() : policy;
+      let fetched = await fetchPage(request, fetchPolicy, pacer, job.settings, results.failureStats, readBody);
+      if (checkFirst && !fetched.failure && !isQuarantined(fetched.body)) {
+        fetchPolicy = policy;
+        fetched = await fetchPage(request, policy, pacer, job.settings, results.failureStats, readBody);
+      }
+      let record;
+      tallyRedirects(results.redirectStats, fetched.hops, redirects || {}, fetched.failure?.kind === 'redirectLoop');
+
+      if (fetched.failure) {
+        const { kind, retryable, status = null, message } = fetched.failure;
+        results.failures++;
+        tallyFailure(results.failureStats, fetched.failure);
+        breakdowns.forEach(stats => stats.failures++);
+        record = { url: urlToWarm, lang, source, policy: fetchPolicy.name, status, error: message, failureKind: kind, retryable, attempts: fetched.attempts, redirects: fetched.hops, timestamp: Date.now() };
+        results.urls.push(record);
+      } else {
+        const { response, ttfbMs, downloadMs, bytes, cacheStatus, attempts, hops, finalUrl, body: { refs, assertionFailures } } = fetched;
         const cfRay = response.headers.get('CF-RAY') || response.headers.get('cf-ray') || 'UNKNOWN';
         const actualColo = cfRay.includes('-') ? cfRay.split('-').pop() : 'UNKNOWN';
 
+        // A page failing a quarantining assertion is a failure, not a warmed page
+        const quarantined = isQuarantined(fetched.body);
+        if (Object.keys(checks).length > 0) tallyAssertions(results.assertionStats, assertionFailures, quarantined);
+
         // Tally cache status
-        switch (cacheStatus) {
-          case 'HIT': results.cacheHit++; break;
-          case 'MISS': results.cacheMiss++; break;
-          case 'EXPIRED': results.cacheExpired++; break;
-          default: results.cacheOther++;
+        if (!quarantined) {
+          const counter = { HIT: 'cacheHit', MISS: 'cacheMiss', EXPIRED: 'cacheExpired' }[cacheStatus] || 'cacheOther';
+          results[counter]++;
+          results.cacheStatuses[cacheStatus] = (results.cacheStatuses[cacheStatus] || 0) + 1;
+          breakdowns.forEach(stats => stats[counter]++);
         }
 
+        // Headers that would keep the page out of the cache, most likely first
+        const defeats = cacheDefeats(response.headers);
+
         // Exact colo match (for UI badge)
         const exactColoMatch = actualColo === targetColo;
         if (actualColo !== 'UNKNOWN') {
@@ -98,8 +337,11 @@ export class CacheWarmerDO {
         const regionalMatch = actualColo !== 'UNKNOWN' && regionColos.includes(actualColo);
         regionalMatch ? results.regionMatched++ : results.regionMismatched++;
 
-        results.urls.push({
+        record = {
           url: urlToWarm,
+          lang,
+          source,
+          policy: fetchPolicy.name,
           status: response.status,
           cacheStatus,
           cfRay,
@@ -107,19 +349,118 @@ export class CacheWarmerDO {
           actualColo,
           coloMatch: exactColoMatch,
           regionalMatch,
+          ttfbMs,
+          downloadMs,
+          bytes,
+          cacheHeaders: captureCacheHeaders(response.headers),
+          cacheDefeats: defeats,
+          uncacheableCause: isUncacheable(cacheStatus, defeats) ? defeats[0] : null,
+          redirects: hops,
+          finalUrl,
+          assertionFailures,
+          quarantined,
+          attempts,
           timestamp: Date.now()
-        });
+        };
+        results.urls.push(record);
 
-        results.success++;
-        await response.text(); // drain
+        if (quarantined) {
+          const failure = {
+            kind: 'assertion',
+            retryable: false,
+            status: response.status,
+            message: `Content assertion failed: ${assertionFailures.map(({ assertion, message }) => `${assertion} (${message})`).join(', ')}`
+          };
+          results.failures++;
+          tallyFailure(results.failureStats, failure);
+          breakdowns.forEach(stats => stats.failures++);
+          Object.assign(record, { error: failure.message, failureKind: failure.kind, retryable: false });
+        } else {
+          results.success++;
+          breakdowns.forEach(stats => stats.success++);
+          refs.forEach(({ url, type }) => assetQueue.has(url) || assetQueue.set(url, type));
+        }
+      }
 
-      } catch (error) {
-        results.failures++;
-        results.urls.push({ url: urlToWarm, error: error.message, timestamp: Date.now() });
+      // A quarantined page's variants would be just as broken
+      if (otherVariants.length > 0 && !record.quarantined) {
+        record.variants = [];
+        for (const variant of otherVariants) {
+          record.variants.push(await this.warmVariant(urlToWarm, variant, policy, results, pacer, job.settings));
+        }
       }
+      live.inFlight.delete(urlToWarm);
+      live.done++;
+    });
+  }
 
-      await new Promise(r => setTimeout(r, rateLimitMs));
+  /**
+   * Finish a job once every chunk is done, one step per alarm (FINISH_STEPS,
+   * in order; job.finishStep is the next one): the subresource and media
+   * tiers, verification, quarantine, then the report stored in KV. The tiers
+   * and verification go WARM_JOBS.chunkSize items per alarm from
+   * job.stepCursor, like pages. Each step is saved with the job, so a failure
+   * or restart repeats only that chunk or step, and results are stored and
+   * alerts raised once. Returns the storage entries to write along with the
+   * job state.
+   */
+  async finishJob(job) {
+    const { settings } = job;
+    const step = job.finishStep || FINISH_STEPS[0];
+    const results = await this.state.storage.get(`job:${job.id}:results`);
+    let stepDone = true;
+
+    if (step === 'subresources') {
+      const assetItems = ((await this.state.storage.get(`job:${job.id}:assets`)) || []).map(([url, type]) => ({ url, type }));
+      if (settings.subresources && assetItems.length > 0) {
+        this.live = { jobId: job.id, phase: 'subresources', results, tier: results.assets, currentUrl: null, startedAt: Date.now() };
+        stepDone = await this.warmTier(job, assetItems, results.assets, {
+          maxItems: settings.subresources.maxAssets ?? 500,
+          rateLimitMs: settings.subresources.rateLimitMs ?? 250,
+          cacheTtlSeconds: settings.cacheTtlSeconds,
+          userAgent: settings.userAgent,
+          timeoutMs: settings.retry?.timeoutMs
+        });
+      }
+    } else if (step === 'media') {
+      const mediaItems = (await this.state.storage.get(`job:${job.id}:media`)) || [];
+      if (settings.media && mediaItems.length > 0) {
+        this.live = { jobId: job.id, phase: 'media', results, tier: results.media, currentUrl: null, startedAt: Date.now() };
+        stepDone = await this.warmTier(job, mediaItems, results.media, {
+          maxItems: settings.media.maxItems ?? 500,
+          rateLimitMs: settings.media.rateLimitMs ?? 500,
+          cacheTtlSeconds: settings.media.cacheTtlSeconds ?? settings.cacheTtlSeconds,
+          userAgent: settings.userAgent,
+          timeoutMs: settings.retry?.timeoutMs
+        });
+      }
+    } else if (step === 'verify') {
+      // After the tiers, which add to the time pages have had to settle
+      if (settings.verify) {
+        this.live = { jobId: job.id, phase: 'verify', results, tier: results.verification, currentUrl: null, startedAt: Date.now() };
+        stepDone = await this.verifyPages(job, await this.jobRecords(job), results.verification);
+      }
+    } else if (step === 'quarantine') {
+      results.quarantine = await this.enforceQuarantine(job, await this.jobRecords(job));
+    } else {
+      await this.storeReport(job, results);
+      return {};
+    }
+    // Saved with the step's results, so a step that throws is tried again
+    if (stepDone) {
+      job.finishStep = FINISH_STEPS[FINISH_STEPS.indexOf(step) + 1];
+      job.stepCursor = 0;
     }
+    return { [`job:${job.id}:results`]: results };
+  }
+
+  /**
+   * Last step of a job: work out the rates and reports and store the run's
+   * results in KV. The job keeps the counts (not the per-URL records or the
+   * page lists, which are in KV) for polling.
+   */
+  async storeReport(job, results) {
+    const { settings } = job;
 
     // Rates
     const totalCached = results.cacheHit + results.cacheExpired;
@@ -129,20 +470,711 @@ export class CacheWarmerDO {
     results.coloMatchRate   = coloChecks   ? ((results.coloMatched   / coloChecks)   * 100).toFixed(2) : '0.00';
     results.regionMatchRate = regionChecks ? ((results.regionMatched / regionChecks) * 100).toFixed(2) : '0.00';
 
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    await storeResults(regionName, results, duration, this.env);
+    results.urls = await this.jobRecords(job);
+    results.latency = summarizeLatency(results.urls);
+    results.cacheAudit = auditRecords(results.urls);
+    results.redirectReport = redirectEntries(results.urls, settings.redirects || {});
+    results.assertionReport = assertionEntries(results.urls);
+
+    const duration = ((Date.now() - job.startedAt) / 1000).toFixed(2);
+    await storeResults(job.regionName, results, duration, siteEnv(this.env, job.siteId));
 
-    return new Response(JSON.stringify({
-      region: regionName,
-      targetColo,
+    const { urls, redirectReport, assertionReport, ...summary } = results;
+    job.results = {
+      region: job.regionName,
+      targetColo: settings.targetColo,
       duration: duration + 's',
-      ...results
-    }), { headers: { 'Content-Type': 'application/json' } });
+      ...summary,
+      cacheAudit: { uncacheable: results.cacheAudit.uncacheable, byCause: results.cacheAudit.byCause },
+      assets: results.assets,
+      media: results.media,
+      verification: summarizeVerification(results.verification)
+    };
+    job.status = 'complete';
+    job.finishStep = null;
+    job.completedAt = Date.now();
+    job.error = null;
+    console.log(`Job ${job.id} complete: ${results.success} warmed, ${results.failures} failed in ${duration}s`);
+    logSummary(job, job.results);
+  }
+
+  /**
+   * Whether the job was paused or cancelled since this alarm picked it up
+   * (the alarm takes the new status over once the work in hand stops).
+   */
+  async stopRequested(job) {
+    const latest = await this.state.storage.get(`job:${job.id}`);
+    return ['paused', 'cancelled'].includes(latest?.status);
+  }
+
+  /**
+   * The job's per-URL records, in chunk order.
+   */
+  async jobRecords(job) {
+    const records = await this.state.storage.list({ prefix: `job:${job.id}:urls:` });
+    return [...records].sort(([a], [b]) => chunkIndex(a) - chunkIndex(b)).flatMap(([, urls]) => urls);
+  }
+
+  /**
+   * Quarantine the pages that failed a quarantining assertion and clear this
+   * region from the ones passing again, releasing those no region still fails
+   * (quarantine.js). Newly quarantined pages raise an
+   * alert; the few that broke between their check and their warm fetch left a
+   * copy in the cache and are purged. Returns { added, released, quarantined,
+   * purged } counts.
+   */
+  async enforceQuarantine(job, records) {
+    const env = siteEnv(this.env, job.siteId);
+    const failed = records.filter(record => record.quarantined);
+    const passed = records.filter(record => record.assertionFailures?.length === 0).map(record => record.url);
+    const { added, released } = await updateQuarantine(env, job.regionName, { failed, passed });
+
+    // Pages that failed their check were fetched under a policy that stores nothing
+    const cached = failed.filter(record => record.policy !== QUARANTINE_POLICY).map(record => record.url);
+    const purged = cached.length > 0 ? await purgeUrls(env, job.settings.zoneId, cached) : null;
+
+    if (added.length > 0) {
+      const addedUrls = new Set(added);
+      await raiseAlert(env, {
+        type: 'quarantine',
+        title: `${added.length} page(s) of ${job.siteId} failed content assertions in ${job.regionName} and were quarantined`,
+        site: job.siteId,
+        region: job.regionName,
+        jobId: job.id,
+        purged,
+        urls: failed.filter(record => addedUrls.has(record.url)).map(({ url, status, assertionFailures }) => ({
+          url,
+          status,
+          failures: assertionFailures.map(({ assertion, message }) => `${assertion}: ${message}`)
+        }))
+      });
+    }
+    if (released.length > 0) console.log(`Released ${released.length} pages from quarantine: ${released.join(', ')}`);
+    return { added: added.length, released: released.length, quarantined: failed.length, purged };
+  }
+
+  /**
+   * Recent jobs, newest first (?site= to filter), without their results.
+   */
+  async handleJobs(url) {
+    const siteId = url.searchParams.get('site');
+    const jobIds = (await this.state.storage.get('jobs')) || [];
+    const jobs = await this.state.storage.get(jobIds.map(id => `job:${id}`));
+    const list = jobIds
+      .map(id => jobs.get(`job:${id}`))
+      .filter(job => job && (!siteId || job.siteId === siteId))
+      .reverse()
+      .map(job => jobView(job));
+    return new Response(JSON.stringify({ jobs: list }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * One job's state, with its results once complete.
+   */
+  async handleJob(id) {
+    const job = await this.state.storage.get(`job:${id}`);
+    if (!job) {
+      return new Response(JSON.stringify({ error: `Unknown job: ${id}` }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    return new Response(JSON.stringify({ ...jobView(job), results: job.results }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * Pause, resume or cancel a job. `id` may be "active" for the oldest job
+   * not yet finished (of `siteId`, if given). Answers 409 when the job is in
+   * the wrong state for the action.
+   */
+  async handleJobControl(request, id, action, siteId) {
+    if (request.method !== 'POST') return new Response('Method not allowed', { status: 405 });
+    if (!['pause', 'resume', 'cancel'].includes(action)) {
+      return new Response(JSON.stringify({ error: `Unknown action: ${action}` }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const job = id === 'active' ? await this.currentJob(siteId) : await this.state.storage.get(`job:${id}`);
+    if (!job) {
+      return new Response(JSON.stringify({ error: id === 'active' ? 'No active job' : `Unknown job: ${id}` }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const allowed = {
+      pause: ACTIVE_STATUSES,
+      resume: ['paused'],
+      cancel: [...ACTIVE_STATUSES, 'paused']
+    }[action];
+    if (!allowed.includes(job.status)) {
+      return new Response(JSON.stringify({ error: `Cannot ${action} a ${job.status} job`, job: jobView(job) }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (action === 'pause') {
+      job.status = 'paused';
+    } else if (action === 'resume') {
+      job.status = job.startedAt ? 'running' : 'queued';
+    } else {
+      job.status = 'cancelled';
+      job.completedAt = Date.now();
+    }
+    job.updatedAt = Date.now();
+    await this.state.storage.put(`job:${job.id}`, job);
+    if (job.status === 'cancelled') await this.deleteJobData(job.id);
+    // Resumed work, or the next job after a pause or cancel
+    await this.state.storage.setAlarm(Date.now());
+
+    console.log(`Job ${job.id} ${job.status} (${job.processedItems}/${job.totalItems} URLs warmed)`);
+    return new Response(JSON.stringify(jobView(job)), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * The oldest job not yet finished (of `siteId`, if given), paused or not:
+   * the one the alarm is on or will get to first.
+   */
+  async currentJob(siteId) {
+    for (const id of (await this.state.storage.get('jobs')) || []) {
+      const job = await this.state.storage.get(`job:${id}`);
+      if (job && !FINISHED_STATUSES.includes(job.status) && (!siteId || job.siteId === siteId)) return job;
+    }
+    return null;
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond WARM_JOBS.keepJobs. Returns the
+   * job IDs to keep.
+   */
+  async pruneJobs(jobIds) {
+    const jobs = await this.state.storage.get(jobIds.map(id => `job:${id}`));
+    const finished = jobIds.filter(id => !jobs.has(`job:${id}`) || FINISHED_STATUSES.includes(jobs.get(`job:${id}`).status));
+    const dropped = new Set(finished.slice(0, Math.max(0, finished.length - WARM_JOBS.keepJobs)));
+    for (const id of dropped) {
+      await this.deleteJobData(id);
+      await this.state.storage.delete(`job:${id}`);
+    }
+    return jobIds.filter(id => !dropped.has(id));
+  }
+
+  /**
+   * Delete a job's queue, partial results and records (not its state).
+   */
+  async deleteJobData(id) {
+    const keys = [...(await this.state.storage.list({ prefix: `job:${id}:` })).keys()];
+    for (let i = 0; i < keys.length; i += 128) {
+      await this.state.storage.delete(keys.slice(i, i + 128));
+    }
+  }
+
+  /**
+   * put() takes at most 128 keys at a time.
+   */
+  async putAll(entries) {
+    const keys = Object.keys(entries);
+    for (let i = 0; i < keys.length; i += 128) {
+      await this.state.storage.put(Object.fromEntries(keys.slice(i, i + 128).map(key => [key, entries[key]])));
+    }
   }
 
-  async handleStatus() {
-    return new Response(JSON.stringify({ doId: this.state.id.toString(), message: 'WarmerDO ready' }), {
+  /**
+   * Warm one non-baseline variant of a page. Tallied in the variant
+   * breakdowns only, with retries and failures in the variant's own
+   * failureStats (the page's are the baseline's); returns the per-variant
+   * record for the URL.
+   */
+  async warmVariant(pageUrl, variant, policy, results, pacer, settings) {
+    const breakdowns = variantBreakdowns(results, variant);
+    const failureStats = breakdowns[0].failureStats ||= emptyFailureStats();
+    const fetched = await fetchPage(variantRequest(pageUrl, variant, PAGE_ACCEPT), policy, pacer, settings, failureStats, response => response.text());
+    if (fetched.failure) {
+      tallyFailure(failureStats, fetched.failure);
+      breakdowns.forEach(stats => stats.failures++);
+      return { variant: variant.name, error: fetched.failure.message, failureKind: fetched.failure.kind, attempts: fetched.attempts };
+    }
+    const { response, cacheStatus, ttfbMs, downloadMs, bytes } = fetched;
+    const counter = { HIT: 'cacheHit', MISS: 'cacheMiss', EXPIRED: 'cacheExpired' }[cacheStatus] || 'cacheOther';
+    breakdowns.forEach(stats => {
+      stats.success++;
+      stats[counter]++;
+    });
+    return { variant: variant.name, status: response.status, cacheStatus, ttfbMs, downloadMs, bytes, attempts: fetched.attempts };
+  }
+
+  /**
+   * Request the next chunk of a sample of the job's warmed pages again, like
+   * a visitor would (baseline headers, no cf cache overrides), once they have
+   * had settings.verify.delayMs to settle. Tallies HITs and, for the rest,
+   * the headers that kept them out of the cache. Stops early when the job is
+   * paused or cancelled. Advances job.stepCursor; returns true once the whole
+   * sample is checked.
+   */
+  async verifyPages(job, records, stats) {
+    const { verify, variants, retry, redirects } = job.settings;
+    const sample = sampleForVerification(records, verify);
+    stats.sampled = sample.length;
+    if (this.live) Object.assign(this.live, { total: sample.length, startDone: stats.success + stats.failures });
+    if (sample.length === 0) return true;
+
+    // Only ever waits before the first chunk
+    const settleMs = verify.delayMs - (Date.now() - Math.max(...sample.map(record => record.timestamp)));
+    if (settleMs > 0) await new Promise(r => setTimeout(r, settleMs));
+
+    for (const record of sample.slice(job.stepCursor, job.stepCursor + WARM_JOBS.chunkSize)) {
+      if (await this.stopRequested(job)) break;
+      if (this.live) this.live.currentUrl = record.url;
+      const request = variantRequest(record.url, variants[0], PAGE_ACCEPT);
+      const controller = new AbortController();
+      const timer = retry?.timeoutMs ? setTimeout(() => controller.abort(), retry.timeoutMs) : null;
+
+      try {
+        // Same timeout and redirect handling as the warm fetch, minus the cache options
+        const { response } = await followRedirects(request, null, redirects || {}, controller.signal);
+        await response.text(); // drain
+        const cacheStatus = response.headers.get('CF-Cache-Status') || response.headers.get('cf-cache-status') || 'UNKNOWN';
+        const defeats = cacheStatus === 'HIT' ? [] : cacheDefeats(response.headers);
+
+        stats.success++;
+        if (cacheStatus === 'HIT') stats.hits++;
+        stats.byCacheStatus[cacheStatus] = (stats.byCacheStatus[cacheStatus] || 0) + 1;
+        defeats.forEach(defeat => stats.defeatedBy[defeat]++);
+        stats.urls.push({
+          url: record.url,
+          warmCacheStatus: record.cacheStatus,
+          cacheStatus,
+          defeats,
+          cacheControl: response.headers.get('Cache-Control'),
+          vary: response.headers.get('Vary'),
+          timestamp: Date.now()
+        });
+      } catch (error) {
+        const message = controller.signal.aborted ? `Timed out after ${retry.timeoutMs}ms` : error.message;
+        stats.failures++;
+        stats.urls.push({ url: record.url, warmCacheStatus: record.cacheStatus, error: message, timestamp: Date.now() });
+      } finally {
+        clearTimeout(timer);
+      }
+      job.stepCursor++;
+
+      await new Promise(r => setTimeout(r, verify.rateLimitMs));
+    }
+
+    stats.effectiveness = stats.success ? ((stats.hits / stats.success) * 100).toFixed(2) : '0.00';
+    return job.stepCursor >= sample.length;
+  }
+
+  /**
+   * Warm the next chunk of a secondary tier (subresources or sitemap media)
+   * after the documents. `items` are [{ url, type, page? }], already
+   * deduplicated; at most maxItems are fetched over the step, with the tier's
+   * own TTL and delay between requests, and the page timeout. Stops early
+   * when the job is paused or cancelled. Advances job.stepCursor; returns
+   * true once the tier is done.
+   */
+  async warmTier(job, items, stats, { maxItems, rateLimitMs, cacheTtlSeconds, userAgent, timeoutMs }) {
+    const batch = items.slice(0, maxItems);
+    if (job.stepCursor === 0) {
+      stats.discovered = items.length;
+      stats.skipped = items.length - batch.length;
+    }
+
+    if (this.live) Object.assign(this.live, { total: batch.length, startDone: stats.success + stats.failures });
+    for (const { url: assetUrl, type } of batch.slice(job.stepCursor, job.stepCursor + WARM_JOBS.chunkSize)) {
+      if (await this.stopRequested(job)) break;
+      stats.byType[type] = (stats.byType[type] || 0) + 1;
+      if (this.live) this.live.currentUrl = assetUrl;
+      const controller = new AbortController();
+      const timer = timeoutMs ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+      try {
+        const response = await fetch(assetUrl, {
+          headers: {
+            'User-Agent': userAgent,
+            'Accept': '*/*'
+          },
+          cf: cacheOptions(defaultCachePolicy(cacheTtlSeconds), assetUrl),
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          await response.body?.cancel();
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const cacheStatus = response.headers.get('CF-Cache-Status') || response.headers.get('cf-cache-status') || 'UNKNOWN';
+
+        // Stream to nowhere rather than buffering large images in memory
+        if (response.body) await response.body.pipeTo(new WritableStream());
+
+        switch (cacheStatus) {
+          case 'HIT': stats.cacheHit++; break;
+          case 'MISS': stats.cacheMiss++; break;
+          case 'EXPIRED': stats.cacheExpired++; break;
+          default: stats.cacheOther++;
+        }
+        stats.byCacheStatus[cacheStatus] = (stats.byCacheStatus[cacheStatus] || 0) + 1;
+
+        stats.success++;
+      } catch (error) {
+        const message = controller.signal.aborted ? `Timed out after ${timeoutMs}ms` : error.message;
+        stats.failures++;
+        console.warn(`Failed to warm ${type} ${assetUrl}: ${message}`);
+      } finally {
+        clearTimeout(timer);
+      }
+      job.stepCursor++;
+
+      await new Promise(r => setTimeout(r, rateLimitMs));
+    }
+
+    const cached = stats.cacheHit + stats.cacheExpired;
+    stats.hitRate = stats.success ? ((cached / stats.success) * 100).toFixed(2) : '0.00';
+    return job.stepCursor >= batch.length;
+  }
+
+  /**
+   * Progress of the current job (of `siteId`, if given): counters so far,
+   * including the chunk being warmed, plus elapsed time and an ETA for the
+   * pages left. `job` is null when there is nothing to do.
+   */
+  async handleStatus(siteId) {
+    const job = await this.currentJob(siteId);
+    const body = { doId: this.state.id.toString(), message: job ? `Job ${job.status}` : 'WarmerDO ready', job: null };
+
+    if (job) {
+      const live = this.live?.jobId === job.id ? this.live : null;
+      const results = live ? live.results : await this.state.storage.get(`job:${job.id}:results`);
+      body.job = { ...jobView(job), ...liveProgress(job, results, live) };
+    }
+
+    return new Response(JSON.stringify(body), {
       headers: { 'Content-Type': 'application/json' }
     });
   }
 }
+
+/**
+ * Counters a job starts from, before any chunk has run.
+ */
+function emptyResults(totalUrls, { subresources, media, verify }) {
+  return {
+    success: 0,
+    failures: 0,
+    cacheHit: 0,
+    cacheMiss: 0,
+    cacheExpired: 0,
+    cacheOther: 0,
+    cacheStatuses: {},              // every cf-cache-status value on its own (DYNAMIC, BYPASS, REVALIDATED...)
+
+    // Exact colo verification (existing)
+    coloMatched: 0,
+    coloMismatched: 0,
+
+    // NEW: regional verification
+    regionMatched: 0,
+    regionMismatched: 0,
+
+    hitRate: '0.00',
+    coloMatchRate: '0.00',
+    regionMatchRate: '0.00',
+
+    coloBreakdown: {},
+    languageBreakdown: {},          // per hreflang: success/failures + cache status counts
+    sourceBreakdown: {},            // same counts per URL source (sitemap, feeds, pinned...)
+    policyBreakdown: {},            // and per cache policy
+    // Non-baseline variants also keep their own failureStats (retry.js)
+    variantBreakdown: {},           // every request, per variant and per variant dimension
+    dimensionBreakdown: {},         // ("device:mobile", "language:es"...)
+    totalUrls,                      // persist for progress display
+
+    // Subresources (CSS/JS/fonts/images) are tallied apart from documents
+    assets: subresources ? emptyTierStats() : null,
+
+    // Image/video URLs from sitemap extensions, also tallied apart from documents
+    media: media ? emptyTierStats() : null,
+
+    // Page failures by class, whether they were retryable, and retries made
+    failureStats: emptyFailureStats(),
+
+    // Concurrency and request rate, merged over the chunks run so far
+    pacing: null,
+
+    // TTFB, download time and size percentiles (metrics.js), once complete
+    latency: null,
+
+    // Uncacheable pages and the headers most likely to blame (cache-headers.js), once complete
+    cacheAudit: null,
+
+    // Redirect hops met on the way to pages, and (once complete) the pages that redirect
+    redirectStats: emptyRedirectStats(),
+    redirectReport: null,
+
+    // Content assertion outcomes (assertions.js); once complete, the failing
+    // pages and what the run changed in quarantine
+    assertionStats: emptyAssertionStats(),
+    assertionReport: null,
+    quarantine: null,
+
+    // Share of sampled pages that came back HIT on a second request (verify.js)
+    verification: verify ? emptyVerifyStats() : null
+  };
+}
+
+/**
+ * Pacer settings for a chunk. Page requests start at the site's rate limit
+ * and adapt from there; later chunks carry on from where the last one ended.
+ */
+function pacerOptions({ pacing, rateLimitMs }, previous) {
+  const options = pacing
+    ? { ...pacing, delayMs: rateLimitMs }
+    : { delayMs: rateLimitMs, minDelayMs: rateLimitMs };
+  if (previous) {
+    options.concurrency = previous.finalConcurrency;
+    options.delayMs = previous.finalDelayMs;
+  }
+  return options;
+}
+
+/**
+ * Job state as reported to pollers (settings and results left out).
+ */
+function jobView(job) {
+  return {
+    id: job.id,
+    siteId: job.siteId,
+    regionName: job.regionName,
+    status: job.status,
+    totalItems: job.totalItems,
+    processedItems: job.processedItems,
+    progress: job.totalItems ? ((job.processedItems / job.totalItems) * 100).toFixed(1) : '100.0',
+    chunks: job.chunks,
+    chunksDone: job.nextChunk,
+    finishStep: job.finishStep || null,
+    stepCursor: job.stepCursor || 0,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt,
+    error: job.error
+  };
+}
+
+/**
+ * Running counts for a job from its results so far and, when it is being
+ * warmed right now, the live chunk or tier. The ETA extrapolates the time
+ * spent warming (not waiting or paused) per URL over the URLs left.
+ */
+function liveProgress(job, results, live) {
+  const now = Date.now();
+  const pagesDone = job.processedItems + (live?.phase === 'pages' ? live.done : 0);
+  const pagesLeft = job.totalItems - pagesDone;
+  const workMs = (results?.pacing?.elapsedMs || 0) + (live?.phase === 'pages' ? now - live.startedAt : 0);
+  const tierDone = live?.tier ? live.tier.success + live.tier.failures : 0;
+
+  let etaMs = null;
+  if (pagesLeft > 0 && pagesDone > 0) {
+    etaMs = Math.round((workMs / pagesDone) * pagesLeft);
+  } else if (live?.tier && tierDone > (live.startDone || 0)) {
+    // From this alarm's pace, as a tier or verification spans several
+    etaMs = Math.round(((now - live.startedAt) / (tierDone - (live.startDone || 0))) * (live.total - tierDone));
+  } else if (pagesLeft === 0 && !live?.tier) {
+    etaMs = 0;
+  }
+
+  const cached = results ? results.cacheHit + results.cacheExpired : 0;
+  return {
+    // pages, subresources, media or verify while working; idle between alarms or while paused
+    phase: live?.phase || (job.nextChunk < job.chunks ? 'idle' : 'finishing'),
+    progress: job.totalItems ? ((pagesDone / job.totalItems) * 100).toFixed(1) : '100.0',
+    urlsDone: pagesDone,
+    urlsRemaining: pagesLeft,
+    currentUrl: live?.currentUrl || null,
+    inFlight: live?.inFlight ? [...live.inFlight] : [],
+    tier: live?.tier ? { done: tierDone, total: live.total } : null,
+    success: results?.success || 0,
+    failures: results?.failures || 0,
+    hits: cached,
+    misses: results?.cacheMiss || 0,
+    hitRate: results?.success ? ((cached / results.success) * 100).toFixed(2) : '0.00',
+    elapsedMs: job.startedAt ? now - job.startedAt : 0,
+    etaMs
+  };
+}
+
+function chunkIndex(key) {
+  return parseInt(key.slice(key.lastIndexOf(':') + 1), 10);
+}
+
+/**
+ * Log a finished job's summary (what the cron run used to log while it waited)
+ */
+function logSummary(job, results) {
+  console.log(`=== Execution Summary (${job.siteId}/${job.regionName}) ===`);
+  console.log(`Job: ${job.id}`);
+  console.log(`Duration: ${results.duration || 'N/A'}`);
+  console.log(`Success: ${results.success}, Failures: ${results.failures}`);
+  if (results.failureStats) {
+    const { retryable, nonRetryable, byKind, retries, recovered } = results.failureStats;
+    console.log(`Failures - Retryable: ${retryable}, Non-retryable: ${nonRetryable} (${Object.entries(byKind).filter(([, count]) => count > 0).map(([kind, count]) => `${kind} ${count}`).join(', ') || 'none'}); ${retries} retries, ${recovered} recovered`);
+  }
+  console.log(`Cache Status - ${Object.entries(results.cacheStatuses).map(([cacheStatus, count]) => `${cacheStatus}: ${count}`).join(', ') || 'none'}`);
+  console.log(`Hit Rate: ${results.hitRate}%`);
+  if (results.redirectStats?.redirected > 0) {
+    const { redirected, hops, longChains, loops, byStatus } = results.redirectStats;
+    console.log(`Redirects - ${redirected} pages redirected over ${hops} hops (${Object.entries(byStatus).map(([status, count]) => `${status}: ${count}`).join(', ')}); ${longChains} long chains, ${loops} loops; see /redirects`);
+  }
+  if (results.assertionStats?.failed > 0) {
+    const { checked, failed, byAssertion } = results.assertionStats;
+    const { added = 0, released = 0, quarantined = 0, purged = null } = results.quarantine || {};
+    console.log(`Content assertions - ${failed}/${checked} pages failed (${Object.entries(byAssertion).map(([name, count]) => `${name} ${count}`).join(', ')}); ${quarantined} quarantined (${added} new), ${released} released, ${purged ?? 'none'} purged; see /assertions`);
+  }
+  if (results.cacheAudit?.uncacheable > 0) {
+    console.log(`Cache audit - ${results.cacheAudit.uncacheable} uncacheable pages (${Object.entries(results.cacheAudit.byCause).map(([cause, count]) => `${cause} ${count}`).join(', ')}); see /cache-audit`);
+  }
+  console.log(`Colo Verification - Matched: ${results.coloMatched}, Mismatched: ${results.coloMismatched}`);
+  console.log(`Colo Match Rate: ${results.coloMatchRate}%`);
+  console.log(`Cache policies: ${Object.entries(results.policyBreakdown).map(([name, counts]) => `${name} ${counts.success}`).join(', ')}`);
+  if (results.pacing) {
+    console.log(`Pacing: ${results.pacing.requestsPerSecond} req/s, concurrency ${results.pacing.initialConcurrency} -> ${results.pacing.finalConcurrency} (avg ${results.pacing.averageConcurrency}), ${results.pacing.backoffs} backoffs, ${results.pacing.slowdowns} slowdowns, ${results.pacing.speedups} speedups`);
+  }
+  if (results.latency) {
+    console.log(`TTFB p50/p90/p99 - ${Object.entries(results.latency.byCacheStatus).map(([cacheStatus, { ttfbMs }]) => `${cacheStatus}: ${ttfbMs.p50}/${ttfbMs.p90}/${ttfbMs.p99}ms`).join(', ')}`);
+  }
+  if (results.verification) {
+    const { hits, success, effectiveness, defeatedBy } = results.verification;
+    console.log(`Verification - ${hits}/${success} HIT on re-check (${effectiveness}% effective); misses with ${Object.entries(defeatedBy).filter(([, count]) => count > 0).map(([defeat, count]) => `${defeat} ${count}`).join(', ') || 'no blocking headers'}`);
+  }
+  if (Object.keys(results.variantBreakdown).length > 1) {
+    console.log(`Variants: ${Object.entries(results.variantBreakdown).map(([name, counts]) => `${name} ${counts.cacheHit + counts.cacheExpired}/${counts.success} cached`).join(', ')}`);
+  }
+  if (results.assets) {
+    console.log(`Subresources - Warmed: ${results.assets.success}/${results.assets.discovered}, Failures: ${results.assets.failures}, Hit Rate: ${results.assets.hitRate}%`);
+  }
+  if (results.media) {
+    console.log(`Media - Warmed: ${results.media.success}/${results.media.discovered}, Failures: ${results.media.failures}, Hit Rate: ${results.media.hitRate}%`);
+  }
+}
+
+/**
+ * Fetch one page request through the pacer, following redirects hop by hop
+ * (redirects.js) and retrying transient failures with backoff, as the job's
+ * `retry` and `redirects` settings say. `readBody(response)` consumes the
+ * body before the slot is freed; it runs under the same timeout and its
+ * errors count as network failures. downloadMs runs until the body is read,
+ * and bytes counts what it read. Resolves to { response, ttfbMs, downloadMs,
+ * bytes, cacheStatus, attempts, hops, finalUrl, body } on success or
+ * { failure: { kind, retryable, status?, message }, attempts, hops } once the
+ * request has failed for good; hops are the last attempt's redirects.
+ */
+async function fetchPage(request, policy, pacer, { retry, redirects }, failureStats, readBody) {
+  const maxAttempts = retry?.maxAttempts ?? 1;
+
+  for (let attempt = 1; ; attempt++) {
+    const release = await pacer.acquire();
+    const controller = new AbortController();
+    const timer = retry?.timeoutMs ? setTimeout(() => controller.abort(), retry.timeoutMs) : null;
+    const requestStart = Date.now();
+    let failure;
+    let hops = [];
+
+    try {
+      const followed = await followRedirects(request, policy, redirects || {}, controller.signal);
+      const { response } = followed;
+      hops = followed.hops;
+      const ttfbMs = Date.now() - requestStart;
+      const cacheStatus = response.headers.get('CF-Cache-Status') || response.headers.get('cf-cache-status') || 'UNKNOWN';
+      const kind = classifyFailure({ status: response.status });
+
+      if (!kind) {
+        const counted = countingResponse(response);
+        const body = await readBody(counted.response);
+        const downloadMs = Date.now() - requestStart;
+        clearTimeout(timer);
+        release({ status: response.status, ttfbMs, cacheStatus, retryAfterMs: retryAfterMs(response) });
+        if (attempt > 1) failureStats.recovered++;
+        const finalUrl = hops.length > 0 ? hops[hops.length - 1].location : request.url;
+        return { response, ttfbMs, downloadMs, bytes: counted.bytes(), cacheStatus, attempts: attempt, hops, finalUrl, body };
+      }
+
+      await response.text(); // drain
+      clearTimeout(timer);
+      release({ status: response.status, ttfbMs, cacheStatus, retryAfterMs: retryAfterMs(response) });
+      failure = { kind, status: response.status, message: `HTTP ${response.status}` };
+    } catch (error) {
+      clearTimeout(timer);
+      release({ error: true });
+      hops = error.hops || hops;
+      const timedOut = controller.signal.aborted;
+      failure = {
+        kind: classifyFailure({ error, timedOut }),
+        message: timedOut ? `Timed out after ${retry.timeoutMs}ms` : error.message
+      };
+    }
+
+    failure.retryable = isRetryable(failure.kind, failure.status, retry || {});
+    if (!failure.retryable || attempt >= maxAttempts) return { failure, attempts: attempt, hops };
+
+    failureStats.retries++;
+    await new Promise(r => setTimeout(r, backoffDelayMs(attempt, retry)));
+  }
+}
+
+/**
+ * The same response with a body that counts its bytes as they are read.
+ */
+function countingResponse(response) {
+  if (!response.body) return { response, bytes: () => 0 };
+  let bytes = 0;
+  const counter = new TransformStream({
+    transform(chunk, controller) {
+      bytes += chunk.byteLength;
+      controller.enqueue(chunk);
+    }
+  });
+  return { response: new Response(response.body.pipeThrough(counter), response), bytes: () => bytes };
+}
+
+/**
+ * Counters for one key of a per-language / source / policy breakdown
+ * (missing keys are tallied as 'unknown').
+ */
+function breakdownEntry(breakdown, key) {
+  return breakdown[key || 'unknown'] ||= {
+    success: 0, failures: 0, cacheHit: 0, cacheMiss: 0, cacheExpired: 0, cacheOther: 0
+  };
+}
+
+/**
+ * Breakdown counters a variant's requests are tallied in: the variant itself
+ * and each of its dimension options.
+ */
+function variantBreakdowns(results, variant) {
+  return [
+    breakdownEntry(results.variantBreakdown, variant.name),
+    ...Object.entries(variant.dimensions).map(([dimension, option]) => breakdownEntry(results.dimensionBreakdown, `${dimension}:${option}`))
+  ];
+}
+
+function emptyTierStats() {
+  return {
+    discovered: 0,
+    skipped: 0,
+    success: 0,
+    failures: 0,
+    cacheHit: 0,
+    cacheMiss: 0,
+    cacheExpired: 0,
+    cacheOther: 0,
+    hitRate: '0.00',
+    byType: {},
+    byCacheStatus: {}
+  };
+}
@@ -1,86 +1,740 @@
 /**
  * Sitemap parsing and URL discovery
- * 
- * This file handles fetching and parsing sitemaps to discover URLs to warm.
+ *
+ * This file handles finding sitemaps (robots.txt or a static list), fetching
+ * and parsing them to discover URLs to warm, and merging in the other URL
+ * sources (feeds, URL lists, pinned URLs; see sources.js).
  * Configuration (regions, sitemaps, location hints) is in config.js
  */
 
-import { SITEMAPS } from './config.js';
+import { SITEMAP_FALLBACK_PATHS, SITEMAP_FETCH, CRAWL } from './config.js';
+import { getConfigSite } from './sites.js';
+import { createXmlParser } from './xml.js';
+import { fetchRobotsTxt, hostToOrigin } from './robots.js';
+import { isSameZone } from './subresources.js';
+import { getCachedSitemap, putCachedSitemap, conditionalHeaders } from './sitemap-cache.js';
+import { fetchUrlSources } from './sources.js';
+import { crawlSite } from './crawler.js';
+
+const SITEMAP_NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+const IMAGE_NS = 'http://www.google.com/schemas/sitemap-image/1.1';
+const VIDEO_NS = 'http://www.google.com/schemas/sitemap-video/1.1';
+const MEDIA_FIELDS = {
+  image: ['loc'],
+  video: ['content_loc', 'player_loc', 'thumbnail_loc', 'title']
+};
+const CHANGEFREQ_VALUES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+const ENTRY_FIELDS = ['loc', 'lastmod', 'changefreq', 'priority'];
 
 /**
  * Fetch and parse all URLs from configured sitemaps
  */
-export async function getAllUrls() {
-  const allUrls = new Set();
-  
-  for (const sitemapUrl of SITEMAPS) {
+export async function getAllUrls(env = {}) {
+  const { entries } = await discoverUrls(env);
+  return entries.map(entry => entry.loc);
+}
+
+/**
+ * Find sitemaps (robots.txt or the static list), parse them and deduplicate
+ * entries by URL. When a URL appears in several sitemaps the most recent
+ * lastmod wins, and that sitemap is credited with the URL. Sitemaps are
+ * fetched concurrently (bounded by SITEMAP_FETCH), but entries are merged in
+ * root order so the result does not depend on which fetch finished first.
+ * The site's URL sources, the pinned list and (with `crawl`, if the site has
+ * crawl seeds) the link crawl are merged
+ * after the sitemaps: a URL already found keeps its entry (and source), only
+ * taking a newer lastmod.
+ *
+ * Returns { mode, durationMs, hosts, sitemaps, sources, bySource, crawl, translations, media, failed, readOrigins, entries }:
+ * - hosts: robots.txt lookups (robots mode only)
+ * - sitemaps: one record per sitemap fetched, with how it was found, whether
+ *   the cached copy was used and how many URLs it contributed after
+ *   deduplication
+ * - sources: one record per non-sitemap source, with URLs read and contributed
+ * - bySource: URLs in the result per source name ('sitemap' for sitemap URLs)
+ * - crawl: crawl statistics, or null when the crawl did not run
+ * - translations: hreflang cluster summary (see groupTranslations)
+ * - media: image/video sitemap extension counts (see summarizeMedia)
+ * - failed: what could not be read (robots.txt, sitemaps, sources); empty
+ *   when discovery is complete
+ * - readOrigins: the sitemap URLs and source names read in full, so a URL
+ *   missing from an incomplete discovery can be told from a removed one
+ *   (see updateManifest)
+ */
+export async function discoverUrls(env = {}, { site = getConfigSite(env), crawl = CRAWL.enabled } = {}) {
+  const startTime = Date.now();
+  const mode = site.discovery;
+  const context = createDiscoveryContext(env, site.userAgent);
+  const hosts = [];
+  const failed = [];
+
+  const roots = mode === 'static'
+    ? site.sitemaps.map(url => ({ via: 'config', candidates: [url] }))
+    : await findRobotsSitemaps(site.hosts, hosts, context);
+
+  // Candidates within a root are fallbacks, so they are still tried in order
+  const [rootEntries, sourceResults, crawlResult] = await Promise.all([
+    Promise.all(roots.map(async ({ via, candidates }) => {
+      for (const sitemapUrl of candidates) {
+        try {
+          return await parseSitemap(sitemapUrl, context, via);
+        } catch (error) {
+          console.error(`Error parsing ${sitemapUrl}:`, error.message);
+        }
+      }
+      failed.push(candidates.length > 1 ? `sitemap at ${candidates.join(' or ')}` : `sitemap ${candidates[0]}`);
+      return [];
+    })),
+    fetchUrlSources(site.urlSources, env, { timeoutMs: context.timeoutMs, userAgent: site.userAgent }),
+    crawl && site.crawlSeeds.length > 0 ? runCrawl(site, context.timeoutMs) : null
+  ]);
+
+  if (crawlResult) sourceResults.push(crawlResult);
+
+  // Root candidates that failed are covered above (one may be a fallback for another)
+  const rootCandidates = new Set(roots.flatMap(root => root.candidates));
+  const isRead = record => !record.error || record.cache === 'stale';
+  failed.unshift(...hosts.filter(record => record.error).map(record => `robots.txt of ${record.host}`));
+  failed.push(
+    ...context.report.filter(record => !isRead(record) && !rootCandidates.has(record.url)).map(record => `sitemap ${record.url}`),
+    ...sourceResults.filter(({ report }) => report.error).map(({ report }) => `source ${report.name}`)
+  );
+
+  const allEntries = new Map();
+  for (const entry of rootEntries.flat()) {
+    const existing = allEntries.get(entry.loc);
+    if (!existing || (entry.lastmod && (!existing.lastmod || entry.lastmod > existing.lastmod))) {
+      allEntries.set(entry.loc, entry);
+    }
+  }
+
+  for (const entry of sourceResults.flatMap(result => result.entries)) {
+    const existing = allEntries.get(entry.loc);
+    if (!existing) {
+      allEntries.set(entry.loc, entry);
+    } else if (entry.lastmod && (!existing.lastmod || entry.lastmod > existing.lastmod)) {
+      existing.lastmod = entry.lastmod;
+    }
+  }
+
+  const contributed = {};
+  const bySource = {};
+  for (const entry of allEntries.values()) {
+    if (entry.sitemap) contributed[entry.sitemap] = (contributed[entry.sitemap] || 0) + 1;
+    bySource[entry.source] = (bySource[entry.source] || 0) + 1;
+  }
+
+  const entries = Array.from(allEntries.values());
+
+  return {
+    mode,
+    durationMs: Date.now() - startTime,
+    hosts,
+    sitemaps: context.report.map(record => ({ ...record, contributed: contributed[record.url] || 0 })),
+    sources: sourceResults.map(({ report }) => ({ ...report, contributed: bySource[report.name] || 0 })),
+    bySource,
+    crawl: crawlResult ? crawlResult.crawl : null,
+    translations: groupTranslations(entries),
+    media: summarizeMedia(entries),
+    failed,
+    readOrigins: [
+      ...context.report.filter(isRead).map(record => record.url),
+      ...sourceResults.filter(({ report }) => !report.error).map(({ report }) => report.name)
+    ],
+    entries
+  };
+}
+
+/**
+ * Run the link crawl as one more URL source.
+ * A failed crawl is reported like a failed source rather than failing discovery.
+ */
+async function runCrawl(site, timeoutMs) {
+  const startTime = Date.now();
+  const report = { name: 'crawl-discovered', type: 'crawl', url: null, urlCount: 0, durationMs: 0 };
+  try {
+    const { entries, report: crawl } = await crawlSite({ ...CRAWL, seeds: site.crawlSeeds, userAgent: site.userAgent, timeoutMs });
+    report.urlCount = entries.length;
+    console.log(`[crawl] ${crawl.pagesFetched} pages fetched, ${crawl.urlsFound} URLs found${crawl.capped ? ' (page cap reached)' : ''}, ${crawl.disallowed} disallowed by robots.txt`);
+    return { report, entries, crawl };
+  } catch (error) {
+    console.error('[crawl] failed:', error.message);
+    report.error = error.message;
+    return { report, entries: [], crawl: { error: error.message } };
+  } finally {
+    report.durationMs = Date.now() - startTime;
+  }
+}
+
+/**
+ * Count image/video sitemap extensions across entries.
+ */
+export function summarizeMedia(entries) {
+  const summary = { pagesWithMedia: 0, images: 0, videos: 0, videoContent: 0, videoThumbnails: 0 };
+  for (const entry of entries) {
+    if (entry.images.length === 0 && entry.videos.length === 0) continue;
+    summary.pagesWithMedia++;
+    summary.images += entry.images.length;
+    summary.videos += entry.videos.length;
+    summary.videoContent += entry.videos.filter(video => video.contentLoc).length;
+    summary.videoThumbnails += entry.videos.filter(video => video.thumbnailLoc).length;
+  }
+  return summary;
+}
+
+/**
+ * Media URLs (from image/video sitemap extensions) belonging to the given
+ * pages, as [{ url, type, page }] with type image, video-thumbnail or video.
+ * Only same-zone URLs are returned, each once (credited to the first page
+ * that lists it), up to `maxPerRun`.
+ */
+export function collectMediaItems(urls, entries, { zone, images = true, videoThumbnails = true, videoContent = false, maxPerRun = 500 }) {
+  const entryByUrl = new Map(entries.map(entry => [entry.loc, entry]));
+  const items = new Map();
+
+  const add = (mediaUrl, type, page) => {
+    if (!mediaUrl || items.has(mediaUrl)) return;
+    if (!isSameZone(new URL(mediaUrl).hostname, zone || new URL(page).hostname)) return;
+    items.set(mediaUrl, { url: mediaUrl, type, page });
+  };
+
+  for (const page of urls) {
+    const entry = entryByUrl.get(page);
+    if (!entry) continue;
+    if (images) entry.images.forEach(image => add(image, 'image', page));
+    for (const video of entry.videos) {
+      if (videoThumbnails) add(video.thumbnailLoc, 'video-thumbnail', page);
+      if (videoContent) add(video.contentLoc, 'video', page);
+    }
+  }
+
+  return Array.from(items.values()).slice(0, maxPerRun);
+}
+
+/**
+ * Group entries into translation clusters using their hreflang alternates.
+ * Sets `lang` (from any alternate pointing at the URL, preferring a real
+ * language over x-default) and `cluster` (shared by every translation of a
+ * page; null when a page has none) on each entry, and returns a summary.
+ */
+export function groupTranslations(entries) {
+  const parent = new Map();
+  const find = url => {
+    let root = url;
+    while (parent.has(root) && parent.get(root) !== root) root = parent.get(root);
+    parent.set(url, root);
+    return root;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    // Smallest URL becomes the cluster id so it is stable between runs
+    if (rootA !== rootB) rootA < rootB ? parent.set(rootB, rootA) : parent.set(rootA, rootB);
+  };
+
+  const langByUrl = new Map();
+  for (const entry of entries) {
+    for (const { hreflang, href } of entry.alternates || []) {
+      union(entry.loc, href);
+      if (!langByUrl.has(href) || (langByUrl.get(href) === 'x-default' && hreflang !== 'x-default')) {
+        langByUrl.set(href, hreflang);
+      }
+    }
+  }
+
+  const clusterSizes = new Map();
+  for (const entry of entries) {
+    const root = find(entry.loc);
+    clusterSizes.set(root, (clusterSizes.get(root) || 0) + 1);
+  }
+
+  const languages = {};
+  let clustered = 0;
+  for (const entry of entries) {
+    entry.lang = langByUrl.get(entry.loc) || null;
+    const root = find(entry.loc);
+    entry.cluster = clusterSizes.get(root) > 1 ? root : null;
+    if (entry.cluster) clustered++;
+
+    const key = entry.lang || 'unknown';
+    languages[key] = (languages[key] || 0) + 1;
+  }
+
+  return {
+    clusters: Array.from(clusterSizes.values()).filter(size => size > 1).length,
+    clusteredUrls: clustered,
+    languages
+  };
+}
+
+/**
+ * Read robots.txt for every configured host and turn its Sitemap: directives
+ * into discovery roots. Hosts without any fall back to the conventional paths,
+ * tried in order until one parses. The robots.txt fetches share the
+ * discovery run's concurrency limit and timeout with the sitemaps; roots
+ * keep the hosts' order.
+ */
+async function findRobotsSitemaps(siteHosts, hostsReport, context) {
+  const hostRoots = await Promise.all(siteHosts.map(async host => {
+    const record = { host, robotsUrl: null, found: false, sitemaps: [] };
+    hostsReport.push(record);
+    const roots = [];
+
     try {
-      const urls = await parseSitemap(sitemapUrl);
-      urls.forEach(url => allUrls.add(url));
+      const robots = await context.limit(() => fetchRobotsTxt(host, context.userAgent, context.timeoutMs));
+      Object.assign(record, { robotsUrl: robots.url, found: robots.found, sitemaps: robots.sitemaps });
+      robots.sitemaps.forEach(url => roots.push({ via: robots.url, candidates: [url] }));
     } catch (error) {
-      console.error(`Error parsing ${sitemapUrl}:`, error.message);
+      record.error = error.message;
+      console.error(`Error reading robots.txt for ${host}:`, error.message);
+    }
+
+    if (record.sitemaps.length === 0) {
+      const origin = hostToOrigin(host);
+      roots.push({ via: 'fallback', candidates: SITEMAP_FALLBACK_PATHS.map(path => origin + path) });
     }
+    return roots;
+  }));
+
+  return hostRoots.flat();
+}
+
+/**
+ * Add the translation siblings of each URL right after it, keeping order and
+ * skipping duplicates. Only URLs present in `entries` (the filtered warm set)
+ * are added.
+ */
+export function expandTranslationClusters(urls, entries) {
+  const members = new Map();
+  const clusterOf = new Map();
+  for (const entry of entries) {
+    if (!entry.cluster) continue;
+    clusterOf.set(entry.loc, entry.cluster);
+    if (!members.has(entry.cluster)) members.set(entry.cluster, []);
+    members.get(entry.cluster).push(entry.loc);
   }
-  
-  return Array.from(allUrls);
+
+  const expanded = new Set();
+  for (const url of urls) {
+    expanded.add(url);
+    const cluster = clusterOf.get(url);
+    if (cluster) members.get(cluster).forEach(sibling => expanded.add(sibling));
+  }
+  return Array.from(expanded);
 }
 
 /**
  * Recursively parse XML sitemap
+ * Returns structured entries:
+ *   { loc, lastmod, changefreq, priority, alternates, images, videos, sitemap, source }
+ * - alternates: the entry's hreflang links [{ hreflang, href }]
+ * - images: <image:loc> URLs
+ * - videos: [{ title, contentLoc, playerLoc, thumbnailLoc }]
+ *
+ * `context` is shared across one discovery run (see createDiscoveryContext):
+ * sitemaps already visited are skipped (so an index listed next to its own
+ * children is only read once), every fetch is recorded in `context.report`
+ * and fetches share one concurrency limit. `via` says how it was found.
  */
-async function parseSitemap(sitemapUrl) {
-  const response = await fetch(sitemapUrl, {
-    headers: {
-      'User-Agent': 'S5-Cache-Warmer/1.0',
-      'Accept': 'application/xml,text/xml'
+export async function parseSitemap(sitemapUrl, context = createDiscoveryContext(), via = 'config') {
+  if (context.visited.has(sitemapUrl)) return [];
+  context.visited.add(sitemapUrl);
+
+  const record = { url: sitemapUrl, via, type: null, urlCount: 0, cache: null, durationMs: 0 };
+  context.report.push(record);
+
+  let type, entries;
+  try {
+    // Only the download holds a slot; children are queued after it is released
+    ({ type, entries } = await context.limit(() => loadSitemap(sitemapUrl, context, record)));
+  } catch (error) {
+    record.error = error.message;
+    throw error;
+  }
+
+  record.type = type;
+
+  if (type === 'sitemapindex') {
+    record.childCount = entries.length;
+    const nested = await Promise.all(entries.map(({ loc: nestedSitemapUrl }) => (
+      parseSitemap(nestedSitemapUrl, context, sitemapUrl).catch(error => {
+        console.error(`Error parsing nested sitemap ${nestedSitemapUrl}:`, error.message);
+        return [];
+      })
+    )));
+    return nested.flat();
+  }
+
+  record.urlCount = entries.length;
+  return entries.map(entry => ({ ...entry, sitemap: sitemapUrl, source: 'sitemap' }));
+}
+
+/**
+ * State shared by every sitemap fetch in one discovery run.
+ * SITEMAP_CONCURRENCY / SITEMAP_TIMEOUT_MS env vars override SITEMAP_FETCH.
+ */
+function createDiscoveryContext(env = {}, userAgent = 'S5-Cache-Warmer/1.0') {
+  return {
+    visited: new Set(),
+    report: [],
+    kv: env.CACHE_WARMER_KV,
+    userAgent,
+    limit: createLimiter(parseInt(env.SITEMAP_CONCURRENCY) || SITEMAP_FETCH.concurrency),
+    timeoutMs: parseInt(env.SITEMAP_TIMEOUT_MS) || SITEMAP_FETCH.timeoutMs,
+    cacheTtlSeconds: SITEMAP_FETCH.cacheTtlSeconds
+  };
+}
+
+/**
+ * Run async tasks with at most `concurrency` in flight.
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Fetch and parse one sitemap, revalidating any cached copy.
+ * - 304: the cached parse is reused without downloading the body
+ * - 200: parsed and cached with its ETag / Last-Modified
+ * - timeout, network error or 5xx: the cached copy is used if there is one
+ * A 4xx never falls back, so removed sitemaps drop out of discovery.
+ * Sets `record.cache` to 'fetched', 'not-modified' or 'stale'.
+ */
+async function loadSitemap(sitemapUrl, { kv, userAgent, timeoutMs, cacheTtlSeconds }, record) {
+  const startTime = Date.now();
+  const cached = await getCachedSitemap(kv, sitemapUrl);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let status = 0;
+
+  try {
+    // The signal also covers reading the body, not just the response headers
+    const response = await fetch(sitemapUrl, {
+      headers: {
+        'User-Agent': userAgent,
+        'Accept': 'application/xml,text/xml,application/gzip;q=0.9,*/*;q=0.8',
+        ...conditionalHeaders(cached)
+      },
+      signal: controller.signal
+    });
+    status = response.status;
+
+    if (status === 304 && cached) {
+      record.cache = 'not-modified';
+      return cached;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${sitemapUrl}: ${status}`);
+    }
+
+    const parsed = await readSitemap(sitemapUrl, response.body);
+
+    if (parsed.type !== 'urlset' && parsed.type !== 'sitemapindex') {
+      throw new Error(`Not a sitemap: ${sitemapUrl} has no <urlset> or <sitemapindex> root element`);
+    }
+
+    record.cache = 'fetched';
+    await putCachedSitemap(kv, sitemapUrl, {
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified'),
+      ...parsed
+    }, cacheTtlSeconds);
+    return parsed;
+  } catch (error) {
+    const message = controller.signal.aborted ? `Timed out after ${timeoutMs}ms fetching ${sitemapUrl}` : error.message;
+    if (!cached || (status >= 400 && status < 500)) {
+      throw new Error(message);
+    }
+
+    console.warn(`[sitemap] ${sitemapUrl}: ${message}; using cached copy from ${new Date(cached.cachedAt).toISOString()}`);
+    record.cache = 'stale';
+    record.error = message;
+    return cached;
+  } finally {
+    clearTimeout(timer);
+    record.durationMs = Date.now() - startTime;
+  }
+}
+
+/**
+ * Stream a sitemap body through the XML parser.
+ * Gzip is detected from the magic bytes rather than the file extension, since
+ * .xml.gz files are served with all sorts of content types.
+ */
+async function readSitemap(sitemapUrl, body) {
+  const handler = createSitemapHandler(sitemapUrl);
+  const parser = createXmlParser(handler);
+
+  if (body) {
+    const stream = await decompressIfGzipped(body);
+    const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parser.write(value);
+    }
+  }
+
+  parser.end();
+
+  if (handler.skipped > 0) {
+    console.warn(`[sitemap] ${sitemapUrl}: skipped ${handler.skipped} malformed entr${handler.skipped === 1 ? 'y' : 'ies'}`);
+  }
+
+  return { type: handler.type, entries: handler.entries };
+}
+
+/**
+ * Peek at the first chunk of a byte stream and gunzip it if it starts with
+ * the gzip magic number. The peeked chunk is replayed into the returned stream.
+ */
+async function decompressIfGzipped(body) {
+  const reader = body.getReader();
+  const first = await reader.read();
+
+  const stream = new ReadableStream({
+    start(controller) {
+      if (first.done) {
+        controller.close();
+      } else {
+        controller.enqueue(first.value);
+      }
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
     }
   });
-  
-  if (!response.ok) {
-    throw new Error(`Failed to fetch ${sitemapUrl}: ${response.status}`);
-  }
-  
-  const xml = await response.text();
-  
-  if (xml.includes('<sitemapindex')) {
-    const sitemapUrls = extractUrls(xml);
-    const allUrls = [];
-    
-    for (const nestedSitemapUrl of sitemapUrls) {
-      try {
-        const nestedUrls = await parseSitemap(nestedSitemapUrl);
-        allUrls.push(...nestedUrls);
-      } catch (error) {
-        console.error(`Error parsing nested sitemap ${nestedSitemapUrl}:`, error.message);
+
+  const isGzip = !first.done && first.value.length >= 2 && first.value[0] === 0x1f && first.value[1] === 0x8b;
+  return isGzip ? stream.pipeThrough(new DecompressionStream('gzip')) : stream;
+}
+
+/**
+ * XML parser handlers that collect <url> / <sitemap> entries.
+ * Only direct children of an entry in the sitemap namespace (or no namespace,
+ * for generators that omit it) are read, so extension elements such as
+ * <image:loc> never leak into the page location. Image and video extension
+ * blocks are collected separately and attached to their page.
+ */
+function createSitemapHandler(sitemapUrl) {
+  let depth = 0;
+  let entryDepth = -1;
+  let current = null;
+  let media = null;
+  let field = null;
+  let fieldTarget = null;
+  let fieldDepth = -1;
+  let text = '';
+  let position = 0;
+
+  const startField = (target, name) => {
+    field = name;
+    fieldTarget = target;
+    fieldDepth = depth;
+    text = '';
+  };
+
+  const isSitemapTag = tag => tag.uri === SITEMAP_NS || tag.uri === '';
+
+  const handler = {
+    type: null,
+    entries: [],
+    skipped: 0,
+
+    onOpenTag(tag) {
+      depth++;
+
+      if (depth === 1) {
+        if (isSitemapTag(tag) && (tag.local === 'urlset' || tag.local === 'sitemapindex')) {
+          handler.type = tag.local;
+        }
+        return;
+      }
+
+      if (depth === 2 && isSitemapTag(tag) && (tag.local === 'url' || tag.local === 'sitemap')) {
+        current = {};
+        entryDepth = depth;
+        position++;
+        return;
+      }
+
+      if (!current) return;
+
+      if (depth === entryDepth + 1) {
+        if (isSitemapTag(tag) && ENTRY_FIELDS.includes(tag.local)) {
+          startField(current, tag.local);
+        } else if (tag.uri === XHTML_NS && tag.local === 'link') {
+          const { rel, hreflang, href } = tag.attributes;
+          if (rel === 'alternate' && hreflang && href) {
+            (current.alternates ||= []).push({ hreflang, href });
+          }
+        } else if (tag.uri === IMAGE_NS && tag.local === 'image') {
+          media = { kind: 'image' };
+        } else if (tag.uri === VIDEO_NS && tag.local === 'video') {
+          media = { kind: 'video' };
+        }
+      } else if (media && depth === entryDepth + 2 && (tag.uri === IMAGE_NS || tag.uri === VIDEO_NS)
+        && MEDIA_FIELDS[media.kind].includes(tag.local)) {
+        startField(media, tag.local);
+      }
+    },
+
+    onText(value) {
+      if (field) text += value;
+    },
+
+    onCloseTag(tag) {
+      if (field && depth === fieldDepth && tag.local === field) {
+        fieldTarget[field] = text;
+        field = null;
+      } else if (media && depth === entryDepth + 1) {
+        (media.kind === 'image' ? (current.images ||= []) : (current.videos ||= [])).push(media);
+        media = null;
+      } else if (current && depth === entryDepth) {
+        const entry = normalizeEntry(current, sitemapUrl, position);
+        if (entry) {
+          handler.entries.push(entry);
+        } else {
+          handler.skipped++;
+        }
+        current = null;
+        entryDepth = -1;
       }
+
+      depth--;
+    },
+
+    onWarning(message) {
+      console.warn(`[sitemap] ${sitemapUrl}: ${message}`);
     }
-    
-    return allUrls;
-  }
-  
-  return extractUrls(xml);
+  };
+
+  return handler;
 }
 
 /**
- * Extract URLs from XML using regex
+ * Validate and normalize a raw entry.
+ * Returns null when the location is unusable; bad optional fields are dropped
+ * with a warning so one sloppy plugin value doesn't lose the whole URL.
  */
-function extractUrls(xml) {
-  const urls = [];
-  const regex = /<loc>(.*?)<\/loc>/g;
-  let match;
-  
-  while ((match = regex.exec(xml)) !== null) {
-    urls.push(match[1]);
+function normalizeEntry(raw, sitemapUrl, position) {
+  const warn = message => console.warn(`[sitemap] ${sitemapUrl} entry #${position}: ${message}`);
+
+  const loc = (raw.loc || '').trim();
+  if (!loc) {
+    warn('missing <loc>, skipping');
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(loc);
+  } catch {
+    warn(`invalid <loc> "${loc.slice(0, 200)}", skipping`);
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    warn(`unsupported protocol in <loc> "${loc.slice(0, 200)}", skipping`);
+    return null;
+  }
+
+  const entry = { loc: parsed.href, lastmod: null, changefreq: null, priority: null, alternates: [], images: [], videos: [] };
+
+  if (raw.lastmod !== undefined) {
+    const lastmod = Date.parse(raw.lastmod.trim());
+    if (Number.isNaN(lastmod)) {
+      warn(`ignoring invalid <lastmod> "${raw.lastmod.trim()}"`);
+    } else {
+      entry.lastmod = new Date(lastmod).toISOString();
+    }
+  }
+
+  if (raw.changefreq !== undefined) {
+    const changefreq = raw.changefreq.trim().toLowerCase();
+    if (CHANGEFREQ_VALUES.includes(changefreq)) {
+      entry.changefreq = changefreq;
+    } else {
+      warn(`ignoring invalid <changefreq> "${raw.changefreq.trim()}"`);
+    }
   }
-  
-  return urls;
+
+  if (raw.priority !== undefined) {
+    const priority = Number(raw.priority.trim());
+    if (raw.priority.trim() !== '' && priority >= 0 && priority <= 1) {
+      entry.priority = priority;
+    } else {
+      warn(`ignoring invalid <priority> "${raw.priority.trim()}"`);
+    }
+  }
+
+  for (const { hreflang, href } of raw.alternates || []) {
+    try {
+      entry.alternates.push({ hreflang: hreflang.trim().toLowerCase(), href: new URL(href.trim()).href });
+    } catch {
+      warn(`ignoring invalid hreflang alternate "${href.slice(0, 200)}"`);
+    }
+  }
+
+  const mediaUrl = (value, label) => {
+    if (!value || !value.trim()) return null;
+    try {
+      return new URL(value.trim()).href;
+    } catch {
+      warn(`ignoring invalid ${label} "${value.trim().slice(0, 200)}"`);
+      return null;
+    }
+  };
+
+  for (const image of raw.images || []) {
+    const loc = mediaUrl(image.loc, '<image:loc>');
+    if (loc) entry.images.push(loc);
+  }
+
+  for (const video of raw.videos || []) {
+    const parsedVideo = {
+      title: video.title ? video.title.trim() : null,
+      contentLoc: mediaUrl(video.content_loc, '<video:content_loc>'),
+      playerLoc: mediaUrl(video.player_loc, '<video:player_loc>'),
+      thumbnailLoc: mediaUrl(video.thumbnail_loc, '<video:thumbnail_loc>')
+    };
+    if (parsedVideo.contentLoc || parsedVideo.playerLoc || parsedVideo.thumbnailLoc) entry.videos.push(parsedVideo);
+  }
+
+  return entry;
 }
 
 /**
  * NOTE: Cache warming logic has been moved to Durable Objects (warmer-do.js)
- * 
+ *
  * The warmUrls() function is no longer used - all cache warming now happens
  * through Durable Objects that run in specific regions for better routing.
- * 
+ *
  * See src/warmer-do.js for the current implementation.
- */
\ No newline at end of file
+ */
@@ -0,0 +1,232 @@
+/**
+ * Minimal streaming XML tokenizer
+ *
+ * Text is fed in chunk by chunk and open/close/text events come out. Handles
+ * comments, CDATA sections, processing instructions, DOCTYPE, entity decoding
+ * and namespace prefixes. It is deliberately tolerant rather than validating:
+ * structural problems are reported through onWarning and parsing carries on.
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+/**
+ * Decode predefined and numeric character references.
+ * Unknown named entities are left untouched.
+ */
+export function decodeEntities(text) {
+  if (!text.includes('&')) return text;
+
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z][a-zA-Z0-9]*);/g, (match, ref) => {
+    if (ref[0] !== '#') return NAMED_ENTITIES[ref] ?? match;
+
+    const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+    try {
+      return String.fromCodePoint(code);
+    } catch {
+      return match;
+    }
+  });
+}
+
+/**
+ * Find the closing '>' of a tag, ignoring any inside quoted attribute values.
+ */
+function findTagEnd(buffer, from) {
+  let quote = null;
+  for (let i = from; i < buffer.length; i++) {
+    const ch = buffer[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the end of a <!DOCTYPE ...> style declaration, including an
+ * optional internal subset in square brackets.
+ */
+function findDeclarationEnd(buffer, from) {
+  const close = buffer.indexOf('>', from);
+  const subset = buffer.indexOf('[', from);
+  if (subset === -1 || (close !== -1 && close < subset)) return close;
+
+  const subsetEnd = buffer.indexOf(']', subset);
+  return subsetEnd === -1 ? -1 : buffer.indexOf('>', subsetEnd);
+}
+
+function splitName(qname) {
+  const colon = qname.indexOf(':');
+  return colon === -1 ? ['', qname] : [qname.slice(0, colon), qname.slice(colon + 1)];
+}
+
+/**
+ * Create a streaming parser.
+ *
+ * Handlers:
+ *   onOpenTag(tag)   tag = { name, prefix, local, uri, attributes, selfClosing }
+ *   onCloseTag(tag)  same object that was passed to onOpenTag
+ *   onText(text)     entity-decoded text; CDATA content is passed through raw
+ *   onWarning(msg)   malformed markup that was skipped or repaired
+ *
+ * Returns { write(chunk), end() }.
+ */
+export function createXmlParser({ onOpenTag, onCloseTag, onText, onWarning } = {}) {
+  const stack = [];
+  let buffer = '';
+  let ended = false;
+
+  const warn = message => onWarning && onWarning(message);
+  const text = value => value && onText && onText(value);
+
+  function resolveUri(prefix, namespaces) {
+    if (prefix === 'xml') return XML_NS;
+    return namespaces[prefix] ?? '';
+  }
+
+  function openTag(source) {
+    const selfClosing = source.endsWith('/');
+    const body = selfClosing ? source.slice(0, -1) : source;
+    const nameMatch = /^[^\s/>]+/.exec(body);
+    if (!nameMatch) {
+      warn(`Skipping malformed tag <${source.slice(0, 50)}>`);
+      return;
+    }
+
+    const name = nameMatch[0];
+    const attributes = {};
+    const attrRegex = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let attr;
+    attrRegex.lastIndex = name.length;
+    while ((attr = attrRegex.exec(body)) !== null) {
+      attributes[attr[1]] = decodeEntities(attr[2] ?? attr[3] ?? '');
+    }
+
+    const parentNamespaces = stack.length ? stack[stack.length - 1].namespaces : {};
+    let namespaces = parentNamespaces;
+    for (const [key, value] of Object.entries(attributes)) {
+      if (key === 'xmlns' || key.startsWith('xmlns:')) {
+        if (namespaces === parentNamespaces) namespaces = { ...parentNamespaces };
+        namespaces[key === 'xmlns' ? '' : key.slice(6)] = value;
+      }
+    }
+
+    const [prefix, local] = splitName(name);
+    const tag = { name, prefix, local, uri: resolveUri(prefix, namespaces), attributes, selfClosing };
+
+    onOpenTag && onOpenTag(tag);
+    if (selfClosing) {
+      onCloseTag && onCloseTag(tag);
+    } else {
+      stack.push({ tag, namespaces });
+    }
+  }
+
+  function closeTag(source) {
+    const name = source.trim();
+    const depth = stack.findLastIndex(frame => frame.tag.name === name);
+    if (depth === -1) {
+      warn(`Ignoring unexpected closing tag </${name}>`);
+      return;
+    }
+
+    if (depth !== stack.length - 1) {
+      const unclosed = stack.slice(depth + 1).map(frame => frame.tag.name);
+      warn(`Closing </${name}> implicitly closes <${unclosed.join('>, <')}>`);
+    }
+
+    while (stack.length > depth) {
+      const frame = stack.pop();
+      onCloseTag && onCloseTag(frame.tag);
+    }
+  }
+
+  function drain(final) {
+    let pos = 0;
+
+    while (pos < buffer.length) {
+      const lt = buffer.indexOf('<', pos);
+
+      // Hold back trailing text until we see where it ends, so an entity
+      // split across two chunks is still decoded correctly
+      if (lt === -1) {
+        if (final) {
+          text(decodeEntities(buffer.slice(pos)));
+          pos = buffer.length;
+        }
+        break;
+      }
+
+      if (lt > pos) {
+        text(decodeEntities(buffer.slice(pos, lt)));
+        pos = lt;
+      }
+
+      let end;
+      if (buffer.startsWith('<!--', pos)) {
+        end = buffer.indexOf('-->', pos + 4);
+        if (end === -1) break;
+        pos = end + 3;
+      } else if (buffer.startsWith('<![CDATA[', pos)) {
+        end = buffer.indexOf(']]>', pos + 9);
+        if (end === -1) break;
+        text(buffer.slice(pos + 9, end));
+        pos = end + 3;
+      } else if (buffer.startsWith('<?', pos)) {
+        end = buffer.indexOf('?>', pos + 2);
+        if (end === -1) break;
+        pos = end + 2;
+      } else if (buffer.startsWith('<!', pos)) {
+        end = findDeclarationEnd(buffer, pos + 2);
+        if (end === -1) break;
+        pos = end + 1;
+      } else {
+        end = findTagEnd(buffer, pos + 1);
+        if (end === -1) break;
+        const source = buffer.slice(pos + 1, end);
+        if (source.startsWith('/')) {
+          closeTag(source.slice(1));
+        } else {
+          openTag(source.trim());
+        }
+        pos = end + 1;
+      }
+    }
+
+    buffer = buffer.slice(pos);
+  }
+
+  return {
+    write(chunk) {
+      if (ended) throw new Error('Cannot write to an XML parser after end()');
+      buffer += chunk;
+      drain(false);
+    },
+
+    end() {
+      if (ended) return;
+      ended = true;
+      drain(true);
+
+      if (buffer.length > 0) {
+        warn(`Document ended inside markup: ${buffer.slice(0, 50)}`);
+        buffer = '';
+      }
+      if (stack.length > 0) {
+        warn(`Document ended with unclosed elements: <${stack.map(frame => frame.tag.name).join('>, <')}>`);
+      }
+    }
+  };
+}
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createAssertionResolver, checkContent, validateAssertions } from '../src/assertions.js';
+
+/**
+ * HTMLRewriter is a Workers runtime global. This stand-in knows tag and
+ * `.class` selectors, and rejects anything else the way the real one rejects
+ * a selector it cannot parse.
+ */
+globalThis.HTMLRewriter ??= class {
+  constructor() {
+    this.handlers = [];
+  }
+
+  on(selector, handler) {
+    const match = selector.match(/^(\.)?([a-z][\w-]*)$/i);
+    if (!match) throw new TypeError(`Unsupported selector: ${selector}`);
+    const pattern = match[1]
+      ? new RegExp(`<[a-z][^>]*\\sclass=["'][^"']*\\b${match[2]}\\b`, 'i')
+      : new RegExp(`<${match[2]}[\\s>/]`, 'i');
+    this.handlers.push({ pattern, handler });
+    return this;
+  }
+
+  transform(response) {
+    return {
+      arrayBuffer: async () => {
+        const html = await response.text();
+        this.handlers.filter(({ pattern }) => pattern.test(html)).forEach(({ handler }) => handler.element?.({}));
+        return new TextEncoder().encode(html).buffer;
+      }
+    };
+  }
+};
+
+const page = '<html><body><h1 class="product_title entry-title">Roof clamp</h1>' + '<p>Details</p>'.repeat(200) + '</body></html>';
+
+test('createAssertionResolver lists the assertions matching an entry', () => {
+  const { assertions, resolve } = createAssertionResolver([
+    { name: 'maintenance', forbidden: 'Briefly unavailable' },
+    { name: 'product', path: '/product/*', selector: '.product_title', quarantine: true }
+  ]);
+
+  assert.deepEqual(assertions.product, { contains: [], selector: '.product_title', minBytes: 0, forbidden: [], quarantine: true });
+  assert.deepEqual(resolve({ loc: 'https://example.com/product/clamp' }), ['maintenance', 'product']);
+  assert.deepEqual(resolve({ loc: 'https://example.com/about' }), ['maintenance']);
+});
+
+test('checkContent passes a page meeting every check', async () => {
+  const { assertions } = createAssertionResolver([
+    { name: 'product', contains: ['Roof clamp', 'Details'], selector: '.product_title', minBytes: 2048, forbidden: 'Briefly unavailable' }
+  ]);
+
+  assert.deepEqual(await checkContent(page, assertions), []);
+});
+
+test('checkContent reports each failing check with its assertion', async () => {
+  const { assertions } = createAssertionResolver([
+    { name: 'maintenance', forbidden: 'Briefly unavailable' },
+    { name: 'product', contains: 'Add to cart', selector: '.product_title', minBytes: 2048 }
+  ]);
+  const failures = await checkContent('<html><body>Briefly unavailable for scheduled maintenance.</body></html>', assertions);
+
+  assert.deepEqual(failures.map(({ assertion, check }) => [assertion, check]), [
+    ['maintenance', 'forbidden'],
+    ['product', 'contains'],
+    ['product', 'selector'],
+    ['product', 'minBytes']
+  ]);
+  assert.match(failures.find(failure => failure.check === 'minBytes').message, /^\d+ bytes, under 2048$/);
+});
+
+test('checkContent counts a selector the rewriter rejects as found', async () => {
+  const { assertions } = createAssertionResolver([{ name: 'typo', selector: 'div >> p' }]);
+
+  assert.deepEqual(await checkContent('<html></html>', assertions), []);
+});
+
+test('validateAssertions flags missing checks, duplicate names and bad values', () => {
+  assert.deepEqual(validateAssertions([{ name: 'ok', minBytes: 100 }]), []);
+  assert.deepEqual(validateAssertions([
+    { name: 'a' },
+    { name: 'a', minBytes: 0, quarantine: 'yes', colour: 'red' }
+  ]), [
+    'contentAssertions[0] needs at least one of contains, selector, minBytes, forbidden',
+    'contentAssertions[1] needs a unique name',
+    'contentAssertions[1] has unknown fields: colour',
+    'contentAssertions[1].minBytes must be a positive integer',
+    'contentAssertions[1].quarantine must be true or false'
+  ]);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { captureCacheHeaders, cacheDefeats, isUncacheable, auditRecords } from '../src/cache-headers.js';
+
+test('captureCacheHeaders keeps cookie names but not their values', () => {
+  const headers = new Headers({ 'Cache-Control': 'max-age=60', 'Vary': 'Accept-Encoding', 'Age': '12' });
+  headers.append('Set-Cookie', 'session=secret; Path=/');
+  headers.append('Set-Cookie', 'consent=yes');
+
+  assert.deepEqual(captureCacheHeaders(headers), { cacheControl: 'max-age=60', vary: 'Accept-Encoding', age: 12, expires: null, setCookie: ['session', 'consent'] });
+  assert.equal(captureCacheHeaders(new Headers()).age, null);
+});
+
+test('cacheDefeats names every header that keeps a response out of the cache, in order', () => {
+  assert.deepEqual(cacheDefeats(new Headers({
+    'Cache-Control': 'public, s-maxage=0',
+    'Set-Cookie': 'session=1',
+    'Vary': 'Accept-Encoding, Cookie',
+    'CF-Cache-Status': 'dynamic'
+  })), ['cacheControl', 'setCookie', 'vary', 'bypass']);
+  assert.deepEqual(cacheDefeats(new Headers({ 'Cache-Control': 'max-age=600', 'Vary': 'accept-encoding' })), []);
+});
+
+test('a past Expires only counts when no max-age overrides it', () => {
+  assert.deepEqual(cacheDefeats(new Headers({ 'Expires': 'Thu, 01 Jan 1970 00:00:00 GMT' })), ['expires']);
+  assert.deepEqual(cacheDefeats(new Headers({ 'Expires': 'never' })), ['expires']);
+  assert.deepEqual(cacheDefeats(new Headers({ 'Expires': '0', 'Cache-Control': 'max-age=300' })), []);
+  assert.deepEqual(cacheDefeats(new Headers({ 'Expires': new Date(Date.now() + 60000).toUTCString() })), []);
+});
+
+test('isUncacheable flags bypasses and misses with defeating headers, never hits', () => {
+  assert.equal(isUncacheable('DYNAMIC', []), true);
+  assert.equal(isUncacheable('MISS', ['setCookie']), true);
+  assert.equal(isUncacheable('MISS', []), false);
+  assert.equal(isUncacheable('HIT', ['setCookie']), false);
+});
+
+test('auditRecords counts flagged pages by likely cause', () => {
+  const audit = auditRecords([
+    { url: 'https://example.com/a', cacheStatus: 'HIT' },
+    { url: 'https://example.com/b', cacheStatus: 'MISS', uncacheableCause: 'setCookie', cacheDefeats: ['setCookie', 'vary'], cacheHeaders: { setCookie: ['session'] } },
+    { url: 'https://example.com/c', cacheStatus: 'BYPASS', uncacheableCause: 'bypass', cacheDefeats: ['bypass'], cacheHeaders: {} }
+  ]);
+
+  assert.deepEqual([audit.uncacheable, audit.byCause], [2, { setCookie: 1, bypass: 1 }]);
+  assert.deepEqual(audit.pages[0], {
+    url: 'https://example.com/b',
+    cacheStatus: 'MISS',
+    likelyCause: 'setCookie',
+    causes: ['setCookie', 'vary'],
+    headers: { setCookie: ['session'] }
+  });
+});
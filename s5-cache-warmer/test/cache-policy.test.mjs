@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { defaultCachePolicy, quarantinePolicy, createPolicyResolver, cacheOptions, validatePolicies } from '../src/cache-policy.js';
+
+const entry = path => ({ loc: `https://example.com${path}`, lastmod: null, source: 'sitemap', sitemap: 'https://example.com/page-sitemap.xml' });
+
+test('defaultCachePolicy caps permanent redirects at the redirect TTL', () => {
+  assert.deepEqual(defaultCachePolicy(86400).cacheTtlByStatus, { '200-299': 86400, '301': 600, '308': 600, '404': 300, '500-599': 0 });
+  assert.equal(defaultCachePolicy(120).cacheTtlByStatus['301'], 120);
+  assert.deepEqual(quarantinePolicy().cacheTtlByStatus, { '100-599': -1 });
+});
+
+test('the first matching policy wins and TTLs merge over the default map', () => {
+  const { policies, resolve } = createPolicyResolver([
+    { name: 'shop', path: '/shop/**', cacheTtlByStatus: { '200-299': 300 } },
+    { name: 'everything', path: '/**', cacheTtlByStatus: { '404': 0 }, cacheEverything: false }
+  ], 3600);
+
+  assert.equal(resolve(entry('/shop/clamp')), 'shop');
+  assert.equal(resolve(entry('/about')), 'everything');
+  assert.equal(createPolicyResolver([], 3600).resolve(entry('/about')), 'default');
+  assert.deepEqual(policies.shop.cacheTtlByStatus, { '200-299': 300, '301': 600, '308': 600, '404': 300, '500-599': 0 });
+  assert.equal(policies.everything.cacheEverything, false);
+  assert.deepEqual(Object.keys(policies), ['default', 'shop', 'everything']);
+});
+
+test('cacheOptions only sends a cache key when the policy narrows the query', () => {
+  const policy = { ...defaultCachePolicy(3600), cacheKey: { keepQuery: ['page'] } };
+
+  assert.equal(cacheOptions(policy, 'https://example.com/list?utm_source=x&page=2#top').cacheKey, 'https://example.com/list?page=2');
+  assert.equal(cacheOptions({ ...policy, cacheKey: { ignoreQuery: true } }, 'https://example.com/list?page=2').cacheKey, 'https://example.com/list');
+  assert.equal('cacheKey' in cacheOptions(defaultCachePolicy(3600), 'https://example.com/list?page=2'), false);
+});
+
+test('validatePolicies lists every problem with a policy', () => {
+  assert.deepEqual(validatePolicies([{ name: 'shop', path: '/shop/**', cacheTtlByStatus: { '200-299': 300 } }]), []);
+  assert.deepEqual(validatePolicies({}), ['cachePolicies must be a list']);
+  assert.deepEqual(validatePolicies([
+    { name: 'default', colour: 'red', regex: '(', cacheTtlByStatus: { '2xx': 1.5 }, cacheEverything: 'yes', cacheKey: { keepQuery: 'page' } },
+    null
+  ]), [
+    'cachePolicies[0] needs a unique name (not "default" or "quarantine")',
+    'cachePolicies[0] has unknown fields: colour',
+    'cachePolicies[0] matcher does not compile: Invalid regular expression: /(/: Unterminated group',
+    'cachePolicies[0].cacheTtlByStatus: "2xx" is not a status code or range',
+    'cachePolicies[0].cacheTtlByStatus["2xx"] must be an integer >= -1',
+    'cachePolicies[0].cacheEverything must be true or false',
+    'cachePolicies[0].cacheKey must be { ignoreQuery: true } or { keepQuery: [...] }',
+    'cachePolicies[1] must be an object'
+  ]);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from '../src/index.js';
+
+/**
+ * Env with an in-memory KV namespace and a DO namespace whose objects all
+ * answer with `reply()`. Records the object names asked for.
+ */
+function jobsEnv(reply) {
+  const values = new Map();
+  const names = [];
+  return {
+    names,
+    CACHE_WARMER_KV: {
+      get: async (key, type) => (values.has(key) && type === 'json' ? JSON.parse(values.get(key)) : values.get(key) ?? null),
+      put: async (key, value) => {
+        values.set(key, value);
+      },
+      delete: async key => {
+        values.delete(key);
+      },
+      list: async ({ prefix = '' } = {}) => ({ keys: [...values.keys()].filter(key => key.startsWith(prefix)).map(name => ({ name })), list_complete: true })
+    },
+    CACHE_WARMER_DO: {
+      idFromName: name => name,
+      get: name => {
+        names.push(name);
+        return { fetch: async () => reply() };
+      }
+    }
+  };
+}
+
+const getJob = (env, id) => worker.fetch(new Request(`https://warmer.example.com/jobs/${id}`), env, {});
+
+test('a job ID without a known location hint is a 404 and reaches no Durable Object', async () => {
+  const env = jobsEnv(() => assert.fail('no DO should be asked'));
+  const res = await getJob(env, 'garbage');
+
+  assert.equal(res.status, 404);
+  assert.deepEqual(await res.json(), { error: 'Unknown job: garbage' });
+  assert.deepEqual(env.names, []);
+});
+
+test('a job lookup passes the DO answer through, JSON or not', async () => {
+  const unknown = jobsEnv(() => new Response(JSON.stringify({ error: 'Unknown job: wnam-1' }), { status: 404 }));
+  const res = await getJob(unknown, 'wnam-1');
+  assert.equal(res.status, 404);
+  assert.deepEqual(await res.json(), { error: 'Unknown job: wnam-1' });
+  assert.deepEqual(unknown.names, ['warm:wnam']);
+
+  const broken = await getJob(jobsEnv(() => new Response('Internal Error', { status: 500 })), 'weur-2');
+  assert.equal(broken.status, 500);
+  assert.deepEqual(await broken.json(), { error: '500 - Internal Error' });
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { updateManifest, getRotationBatch } from '../src/manifest.js';
+
+const PAGES = 'https://example.com/page-sitemap.xml';
+const POSTS = 'https://example.com/post-sitemap.xml';
+
+/**
+ * Env with an in-memory KV namespace.
+ */
+function memoryEnv() {
+  const values = new Map();
+  return {
+    CACHE_WARMER_KV: {
+      get: async key => values.get(key) ?? null,
+      put: async (key, value) => {
+        values.set(key, value);
+      }
+    }
+  };
+}
+
+const entry = (path, sitemap, lastmod = '2026-01-01T00:00:00.000Z') => ({ loc: `https://example.com${path}`, lastmod, sitemap, source: 'sitemap' });
+
+test('first build assigns IDs in discovery order and queues nothing', async () => {
+  const env = memoryEnv();
+  const { manifest, added, changed } = await updateManifest([entry('/a', PAGES), entry('/b', PAGES), entry('/a', POSTS)], env);
+
+  assert.equal(manifest.version, 1);
+  assert.deepEqual(Object.entries(manifest.urls).map(([url, { id }]) => [url, id]), [['https://example.com/a', 1], ['https://example.com/b', 2]]);
+  assert.deepEqual(added, ['https://example.com/a', 'https://example.com/b']);
+  assert.deepEqual(changed, []);
+});
+
+test('later runs keep IDs, queue new and changed URLs newest first, and drop removed ones', async () => {
+  const env = memoryEnv();
+  await updateManifest([entry('/a', PAGES), entry('/b', PAGES), entry('/c', PAGES)], env);
+  const { manifest, added, removed, changed } = await updateManifest([
+    entry('/a', PAGES, '2026-02-01T00:00:00.000Z'),
+    entry('/c', PAGES),
+    entry('/d', PAGES, '2026-03-01T00:00:00.000Z')
+  ], env);
+
+  assert.equal(manifest.version, 2);
+  assert.equal(manifest.urls['https://example.com/c'].id, 3);
+  assert.equal(manifest.urls['https://example.com/d'].id, 4);
+  assert.deepEqual(added, ['https://example.com/d']);
+  assert.deepEqual(removed, ['https://example.com/b']);
+  assert.deepEqual(changed, ['https://example.com/d', 'https://example.com/a']);
+});
+
+test('a lastmod change alone does not bump the version', async () => {
+  const env = memoryEnv();
+  await updateManifest([entry('/a', PAGES)], env);
+  const { manifest, changed } = await updateManifest([entry('/a', PAGES, '2026-02-01T00:00:00.000Z')], env);
+
+  assert.equal(manifest.version, 1);
+  assert.deepEqual(changed, ['https://example.com/a']);
+});
+
+test('URLs from a sitemap that failed to load are kept, not removed', async () => {
+  const env = memoryEnv();
+  await updateManifest([entry('/a', PAGES), entry('/b', POSTS)], env);
+  const { manifest, removed, changed } = await updateManifest([entry('/a', PAGES)], env, [PAGES]);
+
+  assert.equal(manifest.version, 1);
+  assert.deepEqual(removed, []);
+  assert.deepEqual(changed, []);
+  assert.equal(manifest.urls['https://example.com/b'].id, 2);
+});
+
+test('a URL whose own sitemap failed is not queued as changed when another source lists it', async () => {
+  const env = memoryEnv();
+  await updateManifest([entry('/a', PAGES)], env);
+  const { manifest, changed } = await updateManifest([{ loc: 'https://example.com/a', lastmod: null, source: 'blog-feed' }], env, ['blog-feed']);
+
+  assert.deepEqual(changed, []);
+  assert.equal(manifest.urls['https://example.com/a'].lastmod, '2026-01-01T00:00:00.000Z');
+});
+
+test('an incomplete discovery that found nothing leaves the manifest alone', async () => {
+  const env = memoryEnv();
+  const { manifest: before } = await updateManifest([entry('/a', PAGES)], env);
+  const { manifest, removed } = await updateManifest([], env, []);
+
+  assert.deepEqual(manifest, before);
+  assert.deepEqual(removed, []);
+});
+
+test('getRotationBatch walks the manifest by ID and wraps at the end', async () => {
+  const env = memoryEnv();
+  const { manifest } = await updateManifest([entry('/a', PAGES), entry('/b', PAGES), entry('/c', PAGES)], env);
+
+  const first = getRotationBatch(manifest, 0, 2);
+  assert.deepEqual(first.urls, ['https://example.com/a', 'https://example.com/b']);
+  const second = getRotationBatch(manifest, first.nextCursor, 2);
+  assert.deepEqual(second.urls, ['https://example.com/c']);
+  assert.equal(second.nextCursor, 0);
+  assert.equal(second.cycleComplete, true);
+});
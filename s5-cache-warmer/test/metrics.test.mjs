@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { percentiles, summarizeLatency } from '../src/metrics.js';
+
+const record = (cacheStatus, ttfbMs, downloadMs = ttfbMs * 2, bytes = 1000) => ({ url: 'https://example.com/', cacheStatus, ttfbMs, downloadMs, bytes });
+
+test('percentiles uses the nearest rank', () => {
+  const values = Array.from({ length: 100 }, (_, i) => 100 - i);
+
+  assert.deepEqual(percentiles(values), { count: 100, min: 1, p50: 50, p90: 90, p99: 99, max: 100 });
+  assert.deepEqual(percentiles([7]), { count: 1, min: 7, p50: 7, p90: 7, p99: 7, max: 7 });
+  assert.equal(percentiles([]), null);
+});
+
+test('summarizeLatency splits by cache status and skips records without timings', () => {
+  const summary = summarizeLatency([
+    record('HIT', 10),
+    record('HIT', 30),
+    record('MISS', 200, 450, 5000),
+    record(null, 50),
+    { url: 'https://example.com/broken', error: 'timeout' }
+  ]);
+
+  assert.deepEqual(Object.keys(summary.byCacheStatus), ['HIT', 'MISS', 'UNKNOWN']);
+  assert.equal(summary.all.count, 4);
+  assert.deepEqual([summary.all.ttfbMs.p50, summary.all.ttfbMs.max], [30, 200]);
+  assert.deepEqual(summary.byCacheStatus.HIT.ttfbMs, { count: 2, min: 10, p50: 10, p90: 30, p99: 30, max: 30 });
+  assert.deepEqual([summary.byCacheStatus.MISS.downloadMs.p50, summary.byCacheStatus.MISS.bytes.p50], [450, 5000]);
+  assert.equal(summarizeLatency([{ url: 'https://example.com/', error: 'timeout' }]), null);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createPacer, mergePacingSummaries } from '../src/pacer.js';
+
+/**
+ * Pacer summary after releasing one request per outcome, in turn.
+ */
+async function pacedSummary(outcomes) {
+  const pacer = createPacer({ delayMs: 0, maxDelayMs: 0, slowTtfbMs: 10000 });
+  for (const outcome of outcomes) {
+    const release = await pacer.acquire();
+    release(outcome);
+  }
+  return pacer.summary();
+}
+
+test('average TTFB counts only the responses that had a first byte', async () => {
+  const summary = await pacedSummary([{ status: 200, ttfbMs: 100 }, { status: 200, ttfbMs: 300 }, { error: true }, { error: true }]);
+
+  assert.equal(summary.requests, 4);
+  assert.equal(summary.ttfbSamples, 2);
+  assert.equal(summary.averageTtfbMs, 200);
+});
+
+test('merged summaries weight the average TTFB by samples, not requests', async () => {
+  const first = await pacedSummary([{ status: 200, ttfbMs: 100 }, { error: true }, { error: true }]);
+  const second = await pacedSummary([{ status: 200, ttfbMs: 400 }, { status: 200, ttfbMs: 400 }]);
+  const merged = mergePacingSummaries(first, second);
+
+  assert.equal(merged.requests, 5);
+  assert.equal(merged.ttfbSamples, 3);
+  assert.equal(merged.averageTtfbMs, 300);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getQuarantine, updateQuarantine, releaseQuarantine, purgeUrls } from '../src/quarantine.js';
+
+const URL_A = 'https://example.com/product/a';
+
+/**
+ * Env with an in-memory KV namespace.
+ */
+function memoryEnv() {
+  const values = new Map();
+  return {
+    CACHE_WARMER_KV: {
+      get: async key => values.get(key) ?? null,
+      put: async (key, value) => {
+        values.set(key, value);
+      }
+    }
+  };
+}
+
+const failedRecord = url => ({ url, assertionFailures: [{ assertion: 'product-template', check: 'selector', message: 'no element matches .product_title' }] });
+
+test('a URL stays quarantined until every region that failed it passes it', async () => {
+  const env = memoryEnv();
+
+  assert.deepEqual((await updateQuarantine(env, 'Western Europe', { failed: [failedRecord(URL_A)] })).added, [URL_A]);
+  assert.deepEqual((await updateQuarantine(env, 'Oceania', { failed: [failedRecord(URL_A)] })).added, []);
+
+  const first = await updateQuarantine(env, 'Western Europe', { passed: [URL_A] });
+  assert.deepEqual(first.released, []);
+  assert.deepEqual(first.quarantine[URL_A].regions, ['Oceania']);
+
+  const second = await updateQuarantine(env, 'Oceania', { passed: [URL_A] });
+  assert.deepEqual(second.released, [URL_A]);
+  assert.deepEqual(await getQuarantine(env), {});
+});
+
+test('a pass in a region that never failed the URL releases nothing', async () => {
+  const env = memoryEnv();
+  await updateQuarantine(env, 'Western Europe', { failed: [failedRecord(URL_A)] });
+  const { released, quarantine } = await updateQuarantine(env, 'Oceania', { passed: [URL_A] });
+
+  assert.deepEqual(released, []);
+  assert.deepEqual(quarantine[URL_A].regions, ['Western Europe']);
+});
+
+test('releaseQuarantine drops a URL whatever region failed it', async () => {
+  const env = memoryEnv();
+  await updateQuarantine(env, 'Western Europe', { failed: [failedRecord(URL_A)] });
+  await updateQuarantine(env, 'Oceania', { failed: [failedRecord(URL_A)] });
+
+  assert.deepEqual((await releaseQuarantine(env, [URL_A, 'https://example.com/other'])).released, [URL_A]);
+  assert.deepEqual(await getQuarantine(env), {});
+});
+
+test('purgeUrls does nothing without an API token or a zone', async () => {
+  assert.equal(await purgeUrls({}, 'a'.repeat(32), [URL_A]), null);
+  assert.equal(await purgeUrls({ CF_API_TOKEN: 'token' }, null, [URL_A]), null);
+});
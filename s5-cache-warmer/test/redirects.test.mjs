@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { followRedirects, emptyRedirectStats, tallyRedirects, redirectEntries } from '../src/redirects.js';
+import { defaultCachePolicy } from '../src/cache-policy.js';
+
+/**
+ * Serve requests with `handler` while `run` runs.
+ */
+async function withFetch(handler, run) {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = handler;
+  try {
+    return await run();
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+const redirect = (status, location) => new Response(null, { status, headers: { 'Location': location, 'CF-Cache-Status': 'HIT' } });
+
+test('followRedirects records each hop and drops credentials once the chain leaves the origin', async () => {
+  const requests = [];
+  const { response, hops } = await withFetch(async (url, init) => {
+    requests.push([url, Object.keys(init.headers), init.redirect, init.cf?.cacheTtlByStatus['301']]);
+    if (url === 'https://example.com/old') return redirect(301, '/new');
+    if (url === 'https://example.com/new') return redirect(302, 'https://cdn.example.net/new');
+    return new Response('page');
+  }, () => followRedirects(
+    { url: 'https://example.com/old', headers: { 'User-Agent': 'S5-Cache-Warmer/1.0', 'Cookie': 'tier=gold', 'Authorization': 'Basic x' } },
+    defaultCachePolicy(3600)
+  ));
+
+  assert.equal(await response.text(), 'page');
+  assert.deepEqual(hops, [
+    { url: 'https://example.com/old', status: 301, cacheStatus: 'HIT', location: 'https://example.com/new' },
+    { url: 'https://example.com/new', status: 302, cacheStatus: 'HIT', location: 'https://cdn.example.net/new' }
+  ]);
+  assert.deepEqual(requests, [
+    ['https://example.com/old', ['User-Agent', 'Cookie', 'Authorization'], 'manual', 600],
+    ['https://example.com/new', ['User-Agent', 'Cookie', 'Authorization'], 'manual', 600],
+    ['https://cdn.example.net/new', ['User-Agent'], 'manual', 600]
+  ]);
+});
+
+test('followRedirects gives up on loops and over-long chains', async () => {
+  const request = { url: 'https://example.com/a', headers: {} };
+
+  await assert.rejects(
+    withFetch(async url => redirect(301, url.endsWith('/a') ? '/b' : '/a'), () => followRedirects(request, null)),
+    error => error.kind === 'redirectLoop' && error.message === 'Redirect loop: https://example.com/a was already visited' && error.hops.length === 2
+  );
+  let hop = 0;
+  await assert.rejects(
+    withFetch(async () => redirect(302, `/hop${++hop}`), () => followRedirects(request, null, { followLimit: 3 })),
+    { kind: 'redirectLoop', message: 'Too many redirects (gave up after 3)' }
+  );
+});
+
+test('redirect stats and report entries tell long chains from loops', () => {
+  const stats = emptyRedirectStats();
+  const hops = statuses => statuses.map((status, i) => ({ url: `https://example.com/${i}`, status, cacheStatus: 'MISS', location: `https://example.com/${i + 1}` }));
+  tallyRedirects(stats, [], { maxHops: 2 });
+  tallyRedirects(stats, hops([301, 301, 302]), { maxHops: 2 });
+  tallyRedirects(stats, hops([301, 301]), { maxHops: 2 }, true);
+
+  assert.deepEqual(stats, { redirected: 2, hops: 5, longChains: 1, loops: 1, byStatus: { 301: 4, 302: 1 } });
+
+  const entries = redirectEntries([
+    { url: 'https://example.com/0', source: 'sitemap', status: 200, redirects: hops([301, 301, 302]) },
+    { url: 'https://example.com/x', source: 'pinned', status: 301, failureKind: 'redirectLoop', redirects: hops([301, 301]) },
+    { url: 'https://example.com/plain', status: 200, redirects: [] }
+  ], { maxHops: 2 });
+  assert.deepEqual(entries.map(({ url, finalUrl, longChain, loop }) => [url, finalUrl, longChain, loop]), [
+    ['https://example.com/0', 'https://example.com/3', true, false],
+    ['https://example.com/x', null, false, true]
+  ]);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { classifyFailure, isRetryable, backoffDelayMs } from '../src/retry.js';
+import { followRedirects } from '../src/redirects.js';
+
+test('classifyFailure sorts outcomes by status, timeout and error kind', () => {
+  assert.equal(classifyFailure({ status: 200 }), null);
+  assert.equal(classifyFailure({ status: 304 }), null);
+  assert.equal(classifyFailure({ status: 404 }), '4xx');
+  assert.equal(classifyFailure({ status: 503 }), '5xx');
+  assert.equal(classifyFailure({ error: new Error('fetch failed'), timedOut: true }), 'timeout');
+  assert.equal(classifyFailure({ error: new Error('connection reset') }), 'network');
+});
+
+test('classifyFailure goes by the error kind, not its message', () => {
+  assert.equal(classifyFailure({ error: Object.assign(new Error('gave up'), { kind: 'redirectLoop' }) }), 'redirectLoop');
+  assert.equal(classifyFailure({ error: new Error('Redirect loop in upstream proxy') }), 'network');
+  assert.equal(classifyFailure({ error: Object.assign(new Error('odd'), { kind: 'unheard-of' }) }), 'network');
+});
+
+test('a redirect loop from followRedirects classifies as redirectLoop', async () => {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async url => new Response(null, { status: 301, headers: { Location: url.endsWith('/a') ? '/b' : '/a' } });
+  try {
+    const error = await followRedirects({ url: 'https://example.com/a', headers: {} }, null).catch(caught => caught);
+    assert.equal(classifyFailure({ error }), 'redirectLoop');
+    assert.deepEqual(error.hops.map(hop => hop.location), ['https://example.com/b', 'https://example.com/a']);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
+
+test('isRetryable follows the retry config by kind or status', () => {
+  const retry = { retryOn: ['timeout', '5xx'], retryStatuses: [429] };
+  assert.equal(isRetryable('5xx', 503, retry), true);
+  assert.equal(isRetryable('4xx', 429, retry), true);
+  assert.equal(isRetryable('4xx', 404, retry), false);
+  assert.equal(isRetryable('redirectLoop', undefined, retry), false);
+});
+
+test('backoffDelayMs doubles up to the cap, jittered within the upper half', () => {
+  for (let attempt = 1; attempt <= 6; attempt++) {
+    const ceiling = Math.min(8000, 500 * 2 ** (attempt - 1));
+    const delay = backoffDelayMs(attempt);
+    assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}ms`);
+  }
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseRobotsTxt, createRobotsMatcher, fetchRobotsTxt } from '../src/robots.js';
+import { discoverUrls } from '../src/warmer.js';
+import { getConfigSite } from '../src/sites.js';
+
+const ROBOTS = `# example
+User-agent: *
+User-agent: OtherBot
+Disallow: /wp-admin/
+Allow: /wp-admin/admin-ajax.php
+Disallow: /*.pdf$
+Disallow:
+
+User-agent: S5-Cache-Warmer
+Disallow: /private
+
+Sitemap: /sitemap_index.xml
+Sitemap: https://cdn.example.com/extra.xml
+Sitemap: /sitemap_index.xml
+`;
+
+/**
+ * Serve requests with `handler` while `run` runs.
+ */
+async function withFetch(handler, run) {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = handler;
+  try {
+    return await run();
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+/**
+ * A fetch that never answers, only rejecting once its signal aborts.
+ */
+const hang = init => new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(new Error('aborted'))));
+
+test('parseRobotsTxt resolves sitemaps once each and groups consecutive user-agent lines', () => {
+  const { sitemaps, groups } = parseRobotsTxt(ROBOTS, 'https://example.com/robots.txt');
+
+  assert.deepEqual(sitemaps, ['https://example.com/sitemap_index.xml', 'https://cdn.example.com/extra.xml']);
+  assert.deepEqual(groups.map(group => [group.agents, group.rules.length]), [[['*', 'otherbot'], 3], [['s5-cache-warmer'], 1]]);
+});
+
+test('createRobotsMatcher uses the named group, else *, with the longest rule winning', () => {
+  const robots = parseRobotsTxt(ROBOTS, 'https://example.com/robots.txt');
+  const generic = createRobotsMatcher(robots, 'SomeBot/2.0');
+  const named = createRobotsMatcher(robots);
+
+  assert.equal(generic('https://example.com/wp-admin/options.php'), false);
+  assert.equal(generic('https://example.com/wp-admin/admin-ajax.php'), true);
+  assert.equal(generic('https://example.com/files/spec.pdf'), false);
+  assert.equal(generic('https://example.com/files/spec.pdf?v=2'), true);
+  assert.equal(named('https://example.com/wp-admin/options.php'), true);
+  assert.equal(named('https://example.com/private/page'), false);
+});
+
+test('fetchRobotsTxt treats a 4xx as no robots.txt and gives up on a slow host', async () => {
+  const missing = await withFetch(async () => new Response('nope', { status: 404 }), () => fetchRobotsTxt('example.com'));
+  assert.deepEqual(missing, { url: 'https://example.com/robots.txt', found: false, sitemaps: [], groups: [] });
+
+  await assert.rejects(
+    withFetch(async (url, init) => hang(init), () => fetchRobotsTxt('https://slow.example.com/', 'S5-Cache-Warmer/1.0', 20)),
+    { message: 'Timed out after 20ms fetching https://slow.example.com/robots.txt' }
+  );
+});
+
+test('a slow robots.txt times out without holding up the other hosts', async () => {
+  const site = { ...getConfigSite(), discovery: 'robots', hosts: ['slow.example.com', 'fast.example.com'], urlSources: [], crawlSeeds: [] };
+  const discovery = await withFetch(async (url, init) => {
+    if (url === 'https://slow.example.com/robots.txt') return hang(init);
+    if (url === 'https://fast.example.com/robots.txt') return new Response('Sitemap: https://fast.example.com/pages.xml');
+    if (url === 'https://fast.example.com/pages.xml') {
+      return new Response('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>https://fast.example.com/a</loc></url></urlset>');
+    }
+    return new Response('not found', { status: 404 });
+  }, () => discoverUrls({ SITEMAP_TIMEOUT_MS: '50' }, { site, crawl: false }));
+
+  assert.deepEqual(discovery.hosts.map(({ host, found, error }) => [host, found, error]), [
+    ['slow.example.com', false, 'Timed out after 50ms fetching https://slow.example.com/robots.txt'],
+    ['fast.example.com', true, undefined]
+  ]);
+  assert.deepEqual(discovery.entries.map(entry => entry.loc), ['https://fast.example.com/a']);
+  assert.ok(discovery.failed.includes('robots.txt of slow.example.com'));
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { globToRegExp, compileMatcher, applyUrlRules } from '../src/rules.js';
+
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+
+const entry = (path, extra = {}) => ({ loc: `https://example.com${path}`, lastmod: null, source: 'sitemap', sitemap: 'https://example.com/page-sitemap.xml', ...extra });
+
+test('globToRegExp keeps * within a segment and lets ** cross them', () => {
+  assert.ok(globToRegExp('/blog/*').test('/blog/post'));
+  assert.ok(!globToRegExp('/blog/*').test('/blog/2026/post'));
+  assert.ok(globToRegExp('/blog/**').test('/blog/2026/post'));
+  assert.ok(globToRegExp('/p?ge').test('/page'));
+  assert.ok(!globToRegExp('/a.b').test('/axb'));
+});
+
+test('compileMatcher needs every matcher given to match', () => {
+  const matches = compileMatcher({ host: 'Example.com', path: '/shop/**', regex: 'color=red', source: '**/page-sitemap.xml' });
+
+  assert.equal(matches(entry('/shop/roof/clamp?color=red')), true);
+  assert.equal(matches(entry('/shop/roof/clamp?color=blue')), false);
+  assert.equal(matches(entry('/about?color=red')), false);
+  assert.equal(matches(entry('/shop/x?color=red', { sitemap: null, source: 'pinned' })), false);
+  assert.equal(compileMatcher({ source: 'pinned' })(entry('/x', { sitemap: null, source: 'pinned' })), true);
+  assert.equal(compileMatcher({})('not a url'), false);
+});
+
+test('olderThanDays only matches entries with a lastmod past the limit', () => {
+  const matches = compileMatcher({ olderThanDays: 30 });
+
+  assert.equal(matches(entry('/old', { lastmod: '2026-04-01T00:00:00Z' }), NOW), true);
+  assert.equal(matches(entry('/new', { lastmod: '2026-05-20T00:00:00Z' }), NOW), false);
+  assert.equal(matches(entry('/undated'), NOW), false);
+});
+
+test('applyUrlRules includes, then excludes (first match credited), then drops old URLs', () => {
+  const entries = [
+    entry('/products/a'),
+    entry('/products/a/print'),
+    entry('/products/b', { lastmod: '2025-01-01T00:00:00Z' }),
+    entry('/blog/post'),
+    entry('/feed-only', { sitemap: null, source: 'blog-feed' })
+  ];
+  const { entries: kept, report } = applyUrlRules(entries, {
+    rules: [
+      { action: 'include', path: '/products/**' },
+      { name: 'feeds', action: 'include', source: 'blog-feed' },
+      { name: 'print', action: 'exclude', path: '**/print' },
+      { action: 'exclude', regex: 'print' }
+    ],
+    maxAgeDays: 365,
+    now: NOW
+  });
+
+  assert.deepEqual(kept.map(({ loc }) => loc), ['https://example.com/products/a', 'https://example.com/feed-only']);
+  assert.deepEqual(report, {
+    discovered: 5,
+    kept: 2,
+    notIncluded: 1,
+    rules: [
+      { name: 'include-1', action: 'include', matched: 3 },
+      { name: 'feeds', action: 'include', matched: 1 },
+      { name: 'print', action: 'exclude', filtered: 1 },
+      { name: 'exclude-4', action: 'exclude', filtered: 0 }
+    ],
+    maxAge: { days: 365, filtered: 1 }
+  });
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_SITE_ID, validateSite, saveSite, getSites, deleteSite, siteEnv } from '../src/sites.js';
+
+/**
+ * Env with an in-memory KV namespace (the map is exposed to check keys).
+ */
+function memoryEnv() {
+  const values = new Map();
+  return {
+    values,
+    CACHE_WARMER_KV: {
+      get: async key => values.get(key) ?? null,
+      put: async (key, value) => {
+        values.set(key, value);
+      },
+      delete: async key => {
+        values.delete(key);
+      },
+      list: async ({ prefix = '' } = {}) => ({ keys: [...values.keys()].filter(key => key.startsWith(prefix)).map(name => ({ name })), list_complete: true })
+    }
+  };
+}
+
+const shop = { name: 'Shop', discovery: 'robots', hosts: ['shop.example.com'], regions: ['Western Europe'] };
+
+test('validateSite accepts a complete site and lists every problem with a broken one', () => {
+  assert.deepEqual(validateSite('shop', shop), []);
+  assert.deepEqual(validateSite('Shop!', {
+    discovery: 'static',
+    bogus: true,
+    regions: ['Nowhere'],
+    zoneId: 'abc',
+    maxUrlsPerRun: 0,
+    urlSources: [{ name: 'pinned', type: 'rss', url: 'ftp://x' }],
+    urlRules: [{ action: 'keep', regex: '(' }]
+  }), [
+    'id must be lowercase letters, digits and dashes (max 63 characters)',
+    'unknown fields: bogus',
+    'zoneId must be a Cloudflare zone ID (32 hex characters) or null',
+    'static discovery needs at least one sitemap',
+    'unknown regions: Nowhere (known: Western North America, Eastern North America, South America, Western Europe, Eastern Europe, Middle East, Africa, Asia-Pacific, Oceania)',
+    'urlSources[0] needs a unique name (not "pinned")',
+    'urlSources[0].type must be "feed" or "list"',
+    'urlSources[0].url must be an http(s) URL',
+    'urlRules[0].action must be "include" or "exclude"',
+    'urlRules[0] does not compile: Invalid regular expression: /(/: Unterminated group',
+    'maxUrlsPerRun must be at least 1'
+  ]);
+});
+
+test('the default site is only checked on the fields it overrides', () => {
+  assert.deepEqual(validateSite(DEFAULT_SITE_ID, { maxUrlsPerRun: 100 }), []);
+  assert.deepEqual(validateSite(DEFAULT_SITE_ID, { rateLimitMs: -1 }), ['rateLimitMs must be a non-negative integer']);
+});
+
+test('stored sites come after the default one, with defaults filled in', async () => {
+  const env = memoryEnv();
+  await assert.rejects(saveSite(env, 'shop', { ...shop, hosts: [] }), /robots discovery needs at least one host/);
+
+  const saved = await saveSite(env, 'shop', shop);
+  assert.equal(saved.id, 'shop');
+  assert.equal(saved.maxUrlsPerRun, 250);
+  await saveSite(env, DEFAULT_SITE_ID, { maxUrlsPerRun: 100 });
+
+  const sites = await getSites(env);
+  assert.deepEqual(sites.map(site => [site.id, site.maxUrlsPerRun]), [[DEFAULT_SITE_ID, 100], ['shop', 250]]);
+  assert.equal(await deleteSite(env, 'shop'), true);
+  assert.equal(await deleteSite(env, 'shop'), false);
+});
+
+test('siteEnv keeps a site\'s KV data under its own prefix', async () => {
+  const env = memoryEnv();
+  await siteEnv(env, 'shop').CACHE_WARMER_KV.put('manifest', '{}');
+  await siteEnv(env).CACHE_WARMER_KV.put('manifest', '[]');
+
+  assert.deepEqual([...env.values.keys()], ['site:shop:manifest', 'manifest']);
+  assert.deepEqual((await siteEnv(env, 'shop').CACHE_WARMER_KV.list({ prefix: 'man' })).keys, [{ name: 'manifest' }]);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseFeed, parseUrlList, addPinnedUrls, removePinnedUrls, fetchUrlSources } from '../src/sources.js';
+
+const FEED = { name: 'blog-feed', type: 'feed', url: 'https://example.com/feed/' };
+const LIST = { name: 'landing-pages', type: 'list', url: 'https://example.com/urls.txt' };
+
+/**
+ * Env with an in-memory KV namespace.
+ */
+function memoryEnv() {
+  const values = new Map();
+  return {
+    CACHE_WARMER_KV: {
+      get: async key => values.get(key) ?? null,
+      put: async (key, value) => {
+        values.set(key, value);
+      }
+    }
+  };
+}
+
+test('parseFeed reads RSS item links and dates', () => {
+  const entries = parseFeed(`<?xml version="1.0"?><rss version="2.0"><channel>
+    <link>https://example.com/</link>
+    <item><title>One</title><link>https://example.com/one/</link><pubDate>Mon, 02 Mar 2026 10:00:00 GMT</pubDate></item>
+    <item><title>No link</title></item>
+    <item><link>mailto:someone@example.com</link></item>
+  </channel></rss>`, FEED);
+
+  assert.deepEqual(entries.map(({ loc, lastmod, source, sourceUrl }) => [loc, lastmod, source, sourceUrl]), [
+    ['https://example.com/one/', '2026-03-02T10:00:00.000Z', 'blog-feed', FEED.url]
+  ]);
+});
+
+test('parseFeed reads Atom alternate links and prefers the update date', () => {
+  const entries = parseFeed(`<feed xmlns="http://www.w3.org/2005/Atom">
+    <link rel="self" href="https://example.com/feed/atom/"/>
+    <entry>
+      <link rel="replies" href="https://example.com/two/#comments"/>
+      <link href="https://example.com/two/"/>
+      <published>2026-01-01T00:00:00Z</published>
+      <updated>2026-02-01T00:00:00Z</updated>
+    </entry>
+  </feed>`, FEED);
+
+  assert.deepEqual(entries.map(({ loc, lastmod }) => [loc, lastmod]), [['https://example.com/two/', '2026-02-01T00:00:00.000Z']]);
+});
+
+test('parseUrlList reads text lists with comments and JSON lists', () => {
+  const text = parseUrlList('# landing pages\nhttps://example.com/a\n\nhttps://example.com/b  # spring\nnot-a-url\n', LIST);
+  assert.deepEqual(text.map(entry => entry.loc), ['https://example.com/a', 'https://example.com/b']);
+
+  const json = parseUrlList(JSON.stringify({ urls: ['https://example.com/c', { loc: 'https://example.com/d', lastmod: '2026-04-01' }, { lastmod: '2026-04-01' }] }), LIST, 'application/json');
+  assert.deepEqual(json.map(({ loc, lastmod }) => [loc, lastmod]), [
+    ['https://example.com/c', null],
+    ['https://example.com/d', '2026-04-01T00:00:00.000Z']
+  ]);
+});
+
+test('pinned URLs are normalized, deduplicated and removable', async () => {
+  const env = memoryEnv();
+  const first = await addPinnedUrls(['https://example.com', 'ftp://example.com/file', 'https://example.com/'], env);
+  assert.deepEqual([first.added, first.invalid], [['https://example.com/'], ['ftp://example.com/file']]);
+
+  const { removed, pinned } = await removePinnedUrls([' https://example.com '], env);
+  assert.deepEqual([removed, pinned], [['https://example.com/'], []]);
+});
+
+test('fetchUrlSources reports a failing source and still returns the rest, pinned last', async () => {
+  const env = memoryEnv();
+  await addPinnedUrls(['https://example.com/pinned'], env);
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async url => (url === LIST.url ? new Response('https://example.com/a\n') : new Response('gone', { status: 410 }));
+  try {
+    const results = await fetchUrlSources([FEED, LIST], env, { timeoutMs: 1000 });
+
+    assert.deepEqual(results.map(({ report, entries }) => [report.name, report.urlCount, report.error, entries.length]), [
+      ['blog-feed', 0, `Failed to fetch ${FEED.url}: 410`, 0],
+      ['landing-pages', 1, undefined, 1],
+      ['pinned', 1, undefined, 1]
+    ]);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+});
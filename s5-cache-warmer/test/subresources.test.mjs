@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isSameZone, collectSubresources } from '../src/subresources.js';
+
+/**
+ * HTMLRewriter is a Workers runtime global. This stand-in knows `tag` and
+ * `tag[attr]` selectors, which is all collectSubresources uses, and finds
+ * tags with a regex.
+ */
+globalThis.HTMLRewriter ??= class {
+  constructor() {
+    this.handlers = [];
+  }
+
+  on(selector, handler) {
+    const [, tag, attribute = null] = selector.match(/^([a-z]+)(?:\[([a-z-]+)\])?$/);
+    this.handlers.push({ tag, attribute, handler });
+    return this;
+  }
+
+  transform(response) {
+    return {
+      arrayBuffer: async () => {
+        const html = await response.text();
+        for (const [, tag, rest] of html.matchAll(/<([a-z]+)\b([^>]*)>/gi)) {
+          const attributes = Object.fromEntries([...rest.matchAll(/([a-z-]+)="([^"]*)"/gi)].map(([, name, value]) => [name.toLowerCase(), value]));
+          const element = { getAttribute: name => attributes[name] ?? null };
+          this.handlers
+            .filter(({ tag: wanted, attribute }) => wanted === tag.toLowerCase() && (!attribute || attribute in attributes))
+            .forEach(({ handler }) => handler.element(element));
+        }
+        return new ArrayBuffer(0);
+      }
+    };
+  }
+};
+
+test('isSameZone takes the apex and its subdomains only', () => {
+  assert.equal(isSameZone('example.com', 'example.com'), true);
+  assert.equal(isSameZone('cdn.example.com', 'example.com'), true);
+  assert.equal(isSameZone('badexample.com', 'example.com'), false);
+});
+
+test('collectSubresources lists same-zone assets once each, by type', async () => {
+  const html = `<html><head>
+    <link rel="stylesheet" href="/style.css#v1">
+    <link rel="preload" as="font" href="https://cdn.example.com/font.woff2">
+    <link rel="modulepreload" href="/app.mjs">
+    <link rel="icon" href="/favicon.ico">
+    <link rel="stylesheet" href="https://fonts.other.com/css">
+    <script src="/app.js"></script>
+  </head><body>
+    <img src="/a.jpg" srcset="/a.jpg 1x, /a@2x.jpg 2x" data-src="/lazy.jpg">
+    <picture><source srcset="/b.webp"></picture>
+    <img src="data:image/gif;base64,R0lGOD">
+    <link rel="stylesheet" href="/style.css">
+  </body></html>`;
+  const assets = await collectSubresources(new Response(html), 'https://www.example.com/page/', 'example.com');
+
+  assert.deepEqual(assets, [
+    { url: 'https://www.example.com/style.css', type: 'stylesheet' },
+    { url: 'https://cdn.example.com/font.woff2', type: 'font' },
+    { url: 'https://www.example.com/app.mjs', type: 'script' },
+    { url: 'https://www.example.com/app.js', type: 'script' },
+    { url: 'https://www.example.com/a.jpg', type: 'image' },
+    { url: 'https://www.example.com/lazy.jpg', type: 'image' },
+    { url: 'https://www.example.com/a@2x.jpg', type: 'image' },
+    { url: 'https://www.example.com/b.webp', type: 'image' }
+  ]);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { groupTranslations, expandTranslationClusters } from '../src/warmer.js';
+
+const alternates = {
+  en: { hreflang: 'en', href: 'https://example.com/a' },
+  es: { hreflang: 'es', href: 'https://es.example.com/a' },
+  default: { hreflang: 'x-default', href: 'https://example.com/a' }
+};
+
+const entry = (loc, links = []) => ({ loc, alternates: links });
+
+test('groupTranslations clusters pages linked by hreflang under the smallest URL', () => {
+  const entries = [
+    entry('https://example.com/a', [alternates.default, alternates.en, alternates.es]),
+    // Only links back to the English page; still the same cluster
+    entry('https://es.example.com/a', [alternates.es, alternates.en]),
+    entry('https://example.com/solo')
+  ];
+  const summary = groupTranslations(entries);
+
+  assert.deepEqual(entries.map(({ lang, cluster }) => [lang, cluster]), [
+    ['en', 'https://es.example.com/a'],
+    ['es', 'https://es.example.com/a'],
+    [null, null]
+  ]);
+  assert.deepEqual(summary, { clusters: 1, clusteredUrls: 2, languages: { en: 1, es: 1, unknown: 1 } });
+});
+
+test('groupTranslations prefers a real language over x-default', () => {
+  const entries = [entry('https://example.com/a', [alternates.default]), entry('https://es.example.com/a', [alternates.es, alternates.en])];
+  groupTranslations(entries);
+
+  assert.equal(entries[0].lang, 'en');
+});
+
+test('groupTranslations links clusters through pages that are not in the warm set', () => {
+  const entries = [
+    entry('https://example.com/a', [{ hreflang: 'fr', href: 'https://fr.example.com/a' }]),
+    entry('https://es.example.com/a', [{ hreflang: 'fr', href: 'https://fr.example.com/a' }])
+  ];
+  const summary = groupTranslations(entries);
+
+  assert.equal(entries[0].cluster, entries[1].cluster);
+  assert.equal(summary.clusters, 1);
+});
+
+test('expandTranslationClusters adds siblings after each URL, once, from the warm set only', () => {
+  const entries = [
+    { loc: 'https://example.com/a', cluster: 'c1' },
+    { loc: 'https://es.example.com/a', cluster: 'c1' },
+    { loc: 'https://example.com/b', cluster: null }
+  ];
+
+  assert.deepEqual(expandTranslationClusters(['https://example.com/b', 'https://es.example.com/a', 'https://example.com/a'], entries), [
+    'https://example.com/b',
+    'https://es.example.com/a',
+    'https://example.com/a'
+  ]);
+  assert.deepEqual(expandTranslationClusters(['https://example.com/a', 'https://example.com/gone'], entries), [
+    'https://example.com/a',
+    'https://es.example.com/a',
+    'https://example.com/gone'
+  ]);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { expandVariants, variantRequest, validateVariants } from '../src/variants.js';
+
+const UA = 'S5-Cache-Warmer/1.0';
+
+test('without a config every URL is warmed once, as the baseline request', () => {
+  assert.deepEqual(expandVariants(null, UA), [
+    { name: 'default', dimensions: {}, userAgent: UA, acceptLanguage: 'en-US,en;q=0.9', params: {}, cookies: {} }
+  ]);
+  assert.equal(expandVariants({ enabled: false, devices: [{ name: 'mobile' }] }, UA).length, 1);
+});
+
+test('expandVariants combines the configured dimensions, baseline first, up to maxPerUrl', () => {
+  const config = {
+    enabled: true,
+    devices: [{ name: 'desktop' }, { name: 'mobile', userAgent: 'Mobile UA' }],
+    queries: [{ name: 'amp', params: { amp: '1' } }]
+  };
+  const variants = expandVariants(config, UA);
+
+  assert.deepEqual(variants.map(variant => variant.name), ['desktop/none', 'desktop/amp', 'mobile/none', 'mobile/amp']);
+  assert.deepEqual(variants[0].dimensions, { device: 'desktop', query: 'none' });
+  assert.deepEqual([variants[3].userAgent, variants[3].params], ['Mobile UA', { amp: '1' }]);
+  assert.equal(variants[1].userAgent, UA);
+  assert.deepEqual(expandVariants({ ...config, maxPerUrl: 2 }, UA).map(variant => variant.name), ['desktop/none', 'desktop/amp']);
+});
+
+test('variantRequest adds the variant\'s query parameters and cookies', () => {
+  const [, variant] = expandVariants({ enabled: true, cookies: [{ name: 'member', cookies: { tier: 'gold', lang: 'en' } }], queries: [] }, UA);
+  const request = variantRequest('https://example.com/page?ref=x', { ...variant, params: { ref: 'y', page: '2' } }, 'text/html');
+
+  assert.equal(request.url, 'https://example.com/page?ref=y&page=2');
+  assert.deepEqual(request.headers, { 'User-Agent': UA, 'Accept': 'text/html', 'Accept-Language': 'en-US,en;q=0.9', 'Cookie': 'tier=gold; lang=en' });
+  assert.equal(variantRequest('https://example.com/page', expandVariants(null, UA)[0], '*/*').url, 'https://example.com/page');
+});
+
+test('validateVariants lists every problem with a variant config', () => {
+  assert.deepEqual(validateVariants(null), []);
+  assert.deepEqual(validateVariants([]), ['variants must be an object or null']);
+  assert.deepEqual(validateVariants({
+    enabled: 'yes',
+    maxPerUrl: 0,
+    devices: [{ name: 'a/b', userAgent: ' ' }],
+    queries: [{ name: 'none', params: { page: 2 } }],
+    cookies: {},
+    regions: []
+  }), [
+    'variants.enabled must be true or false',
+    'variants.maxPerUrl must be a positive integer',
+    'variants.devices[0] needs a unique name without "/" (not "none")',
+    'variants.devices[0].userAgent must be a non-empty string',
+    'variants.queries[0] needs a unique name without "/" (not "none")',
+    'variants.queries[0].params must map names to string values',
+    'variants.cookies must be a list',
+    'variants has unknown fields: regions'
+  ]);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sampleForVerification, emptyVerifyStats, summarizeVerification } from '../src/verify.js';
+
+const pages = count => Array.from({ length: count }, (_, i) => ({ url: `https://example.com/p${i}`, cacheStatus: 'MISS' }));
+
+test('sampleForVerification spreads its sample over the warmed pages', () => {
+  const records = [...pages(10), { url: 'https://example.com/broken', error: 'timeout' }];
+
+  assert.deepEqual(sampleForVerification(records, { sampleRate: 0.3 }).map(record => record.url), [
+    'https://example.com/p0', 'https://example.com/p3', 'https://example.com/p6'
+  ]);
+  assert.equal(sampleForVerification(records, { sampleRate: 1, maxUrls: 4 }).length, 4);
+  assert.equal(sampleForVerification(records).length, 10);
+  assert.deepEqual(sampleForVerification(records, { sampleRate: 0 }), []);
+});
+
+test('summarizeVerification keeps the counts and the pages that did not come back HIT', () => {
+  const stats = {
+    ...emptyVerifyStats(),
+    sampled: 3,
+    hits: 1,
+    urls: [
+      { url: 'https://example.com/a', cacheStatus: 'HIT' },
+      { url: 'https://example.com/b', cacheStatus: 'MISS', defeatedBy: 'set-cookie' },
+      { url: 'https://example.com/c', cacheStatus: 'DYNAMIC' }
+    ]
+  };
+  const summary = summarizeVerification(stats);
+
+  assert.equal('urls' in summary, false);
+  assert.deepEqual([summary.sampled, summary.hits], [3, 1]);
+  assert.deepEqual(summary.misses.map(check => check.url), ['https://example.com/b', 'https://example.com/c']);
+  assert.equal(summarizeVerification({ ...emptyVerifyStats(), urls: pages(60) }).misses.length, 50);
+  assert.equal(summarizeVerification(null), null);
+});
@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CacheWarmerDO } from '../src/warmer-do.js';
+import { WARM_JOBS } from '../src/config.js';
+import { expandVariants } from '../src/variants.js';
+
+/**
+ * In-memory Durable Object storage; the alarm is only recorded, tests run it.
+ */
+function memoryStorage() {
+  const values = new Map();
+  let alarm = null;
+  return {
+    get: async key => (Array.isArray(key)
+      ? new Map(key.filter(k => values.has(k)).map(k => [k, structuredClone(values.get(k))]))
+      : structuredClone(values.get(key))),
+    put: async (key, value) => {
+      const entries = typeof key === 'string' ? { [key]: value } : key;
+      Object.entries(entries).forEach(([k, v]) => values.set(k, structuredClone(v)));
+    },
+    delete: async key => [key].flat().forEach(k => values.delete(k)),
+    list: async ({ prefix = '' } = {}) => new Map([...values].filter(([k]) => k.startsWith(prefix))),
+    getAlarm: async () => alarm,
+    setAlarm: async time => {
+      alarm = time;
+    }
+  };
+}
+
+/**
+ * Env with an in-memory KV namespace.
+ */
+function memoryEnv() {
+  const values = new Map();
+  return {
+    CACHE_WARMER_KV: {
+      get: async (key, type) => (values.has(key) && type === 'json' ? JSON.parse(values.get(key)) : values.get(key) ?? null),
+      put: async (key, value) => {
+        values.set(key, value);
+      },
+      delete: async key => {
+        values.delete(key);
+      },
+      list: async ({ prefix = '' } = {}) => ({ keys: [...values.keys()].filter(key => key.startsWith(prefix)).map(name => ({ name })), list_complete: true })
+    }
+  };
+}
+
+/**
+ * Post a job to a fresh object. Returns the object and the job ID.
+ */
+async function startJob(body) {
+  const warmer = new CacheWarmerDO({ id: { toString: () => 'test' }, storage: memoryStorage() }, memoryEnv());
+  const { id } = await (await warmer.fetch(new Request('https://do/warm', { method: 'POST', body: JSON.stringify(body) }))).json();
+  return { warmer, id };
+}
+
+/**
+ * Run the object's alarms until none is set, recording the job's finishing
+ * step and cursor after each one.
+ */
+async function runAlarms(warmer, id) {
+  const steps = [];
+  for (let i = 0; i < 50 && (await warmer.state.storage.getAlarm()) !== null; i++) {
+    await warmer.state.storage.setAlarm(null);
+    await warmer.alarm();
+    const job = await warmer.state.storage.get(`job:${id}`);
+    steps.push([job.finishStep, job.stepCursor]);
+  }
+  return { job: await warmer.state.storage.get(`job:${id}`), steps };
+}
+
+/**
+ * Serve requests with `handler` while `run` runs.
+ */
+async function withFetch(handler, run) {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = handler;
+  try {
+    return await run();
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+const mediaItems = count => Array.from({ length: count }, (_, i) => ({ url: `https://example.com/i${i}.jpg`, type: 'image' }));
+
+test('a tier is warmed a chunk per alarm from a saved cursor, up to its cap', async () => {
+  const items = mediaItems(WARM_JOBS.chunkSize * 2 + 10);
+  const { warmer, id } = await startJob({
+    urls: ['https://example.com/'],
+    rateLimitMs: 0,
+    media: { items, rateLimitMs: 0, maxItems: WARM_JOBS.chunkSize * 2 - 5 }
+  });
+  const { job, steps } = await withFetch(async () => new Response('ok', { headers: { 'cf-cache-status': 'MISS' } }), () => runAlarms(warmer, id));
+
+  assert.equal(job.status, 'complete');
+  assert.deepEqual(steps.slice(0, 4), [
+    [null, 0],
+    ['media', 0],
+    ['media', WARM_JOBS.chunkSize],
+    ['verify', 0]
+  ]);
+  assert.deepEqual(
+    [job.results.media.discovered, job.results.media.skipped, job.results.media.success],
+    [items.length, 15, WARM_JOBS.chunkSize * 2 - 5]
+  );
+});
+
+test('tier requests that error, time out or fail with an HTTP status count as failures', async () => {
+  const { warmer, id } = await startJob({ urls: [], retry: { timeoutMs: 20 }, media: { items: mediaItems(4), rateLimitMs: 0 } });
+  const { job } = await withFetch(async (url, init) => {
+    if (url.endsWith('i1.jpg')) return new Response('gone', { status: 404 });
+    if (url.endsWith('i2.jpg')) return new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    if (url.endsWith('i3.jpg')) throw new Error('connection reset');
+    return new Response('ok', { headers: { 'cf-cache-status': 'HIT' } });
+  }, () => runAlarms(warmer, id));
+
+  assert.deepEqual([job.results.media.success, job.results.media.failures, job.results.media.cacheHit], [1, 3, 1]);
+});
+
+test('pausing during a tier stops it after the item in hand and resumes from there', async () => {
+  const { warmer, id } = await startJob({ urls: [], media: { items: mediaItems(10), rateLimitMs: 0 } });
+  let fetched = 0;
+  const pauseAfterThree = async () => {
+    if (++fetched === 3) await warmer.fetch(new Request(`https://do/jobs/${id}/pause`, { method: 'POST' }));
+    return new Response('ok');
+  };
+  const paused = await withFetch(pauseAfterThree, () => runAlarms(warmer, id));
+
+  assert.equal(paused.job.status, 'paused');
+  assert.deepEqual([paused.job.finishStep, paused.job.stepCursor, fetched], ['media', 3, 3]);
+
+  await warmer.fetch(new Request(`https://do/jobs/${id}/resume`, { method: 'POST' }));
+  const { job } = await withFetch(pauseAfterThree, () => runAlarms(warmer, id));
+  assert.deepEqual([job.status, job.results.media.success, fetched], ['complete', 10, 10]);
+});
+
+test('verification checks its sample a chunk per alarm', async () => {
+  const urls = Array.from({ length: WARM_JOBS.chunkSize + 5 }, (_, i) => `https://example.com/p${i}`);
+  const { warmer, id } = await startJob({ urls, rateLimitMs: 0, verify: { sampleRate: 1, maxUrls: 100, delayMs: 0, rateLimitMs: 0 } });
+  const { job, steps } = await withFetch(async () => new Response('ok', { headers: { 'cf-cache-status': 'HIT' } }), () => runAlarms(warmer, id));
+
+  assert.deepEqual(steps.slice(3, 6), [
+    ['verify', 0],
+    ['verify', WARM_JOBS.chunkSize],
+    ['quarantine', 0]
+  ]);
+  assert.deepEqual([job.results.verification.sampled, job.results.verification.hits], [urls.length, urls.length]);
+});
+
+test('variant retries and failures are tallied apart from the page failure stats', async () => {
+  const variants = expandVariants({ enabled: true, devices: [{ name: 'desktop', userAgent: 'Desktop' }, { name: 'mobile', userAgent: 'Mobile' }] }, 'Desktop');
+  const { warmer, id } = await startJob({
+    urls: ['https://example.com/a', 'https://example.com/b'],
+    rateLimitMs: 0,
+    variants,
+    retry: { maxAttempts: 2, retryOn: ['5xx'], baseDelayMs: 1, maxDelayMs: 1 }
+  });
+  const mobileAttempts = {};
+  const { job } = await withFetch(async (url, init) => {
+    if (init.headers['User-Agent'] !== 'Mobile') return new Response('ok');
+    // /a recovers on its retry, /b fails both attempts
+    mobileAttempts[url] = (mobileAttempts[url] || 0) + 1;
+    return new Response('busy', { status: url.endsWith('/a') && mobileAttempts[url] > 1 ? 200 : 503 });
+  }, () => runAlarms(warmer, id));
+
+  const { failureStats, variantBreakdown } = job.results;
+  assert.deepEqual([failureStats.retries, failureStats.recovered, failureStats.retryable], [0, 0, 0]);
+  const mobile = variantBreakdown[variants[1].name];
+  assert.deepEqual([mobile.success, mobile.failures], [1, 1]);
+  assert.deepEqual(
+    [mobile.failureStats.retries, mobile.failureStats.recovered, mobile.failureStats.retryable, mobile.failureStats.byKind['5xx']],
+    [2, 1, 1, 1]
+  );
+});
+
+test('status reports the chunk being warmed while it runs', async () => {
+  const urls = ['https://example.com/a', 'https://example.com/b', 'https://example.com/c'];
+  const { warmer, id } = await startJob({ urls, rateLimitMs: 0 });
+  const status = async () => (await (await warmer.fetch(new Request('https://do/status'))).json()).job;
+  let during = null;
+
+  const before = await status();
+  assert.deepEqual([before.phase, before.urlsDone, before.urlsRemaining, before.etaMs], ['idle', 0, 3, null]);
+  await withFetch(async url => {
+    if (url === urls[1]) during = await status();
+    return new Response('ok', { headers: { 'cf-cache-status': 'HIT' } });
+  }, () => runAlarms(warmer, id));
+
+  assert.deepEqual(
+    [during.id, during.phase, during.currentUrl, during.inFlight, during.urlsDone, during.urlsRemaining, during.success, during.hits],
+    [id, 'pages', urls[1], [urls[1]], 1, 2, 1, 1]
+  );
+  assert.equal(typeof during.etaMs, 'number');
+  assert.equal(await status(), null);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'node:zlib';
+
+import { createXmlParser, decodeEntities } from '../src/xml.js';
+import { parseSitemap } from '../src/warmer.js';
+
+/**
+ * Feed `chunks` through a parser and record its events.
+ */
+function tokenize(chunks) {
+  const events = [];
+  const parser = createXmlParser({
+    onOpenTag: tag => events.push(['open', tag.local, tag.uri, tag.attributes, tag.selfClosing]),
+    onCloseTag: tag => events.push(['close', tag.local]),
+    onText: text => events.push(['text', text]),
+    onWarning: message => events.push(['warning', message])
+  });
+  chunks.forEach(chunk => parser.write(chunk));
+  parser.end();
+  return events;
+}
+
+/**
+ * Parse a sitemap served by a stand-in fetch (`bodies` by URL).
+ */
+async function parseServed(url, bodies) {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async requested => (requested in bodies
+    ? new Response(bodies[requested], { headers: { 'Content-Type': 'application/xml' } })
+    : new Response('not found', { status: 404 }));
+  try {
+    return await parseSitemap(url);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+test('decodeEntities decodes predefined and numeric references and leaves unknown ones', () => {
+  assert.equal(decodeEntities('a &amp; b &lt;c&gt; &quot;&apos; &#233;&#x41; &nbsp;'), 'a & b <c> "\' éA &nbsp;');
+});
+
+test('tokenizer reports the same events however the text is chunked', () => {
+  const xml = '<?xml version="1.0"?><!-- note --><root a="x &amp; y"><item>one &lt; two</item><empty/></root>';
+  const whole = tokenize([xml]);
+  assert.deepEqual(tokenize(xml.split('')), whole);
+  assert.deepEqual(whole.filter(([type]) => type !== 'text'), [
+    ['open', 'root', '', { a: 'x & y' }, false],
+    ['open', 'item', '', {}, false],
+    ['close', 'item'],
+    ['open', 'empty', '', {}, true],
+    ['close', 'empty'],
+    ['close', 'root']
+  ]);
+  assert.equal(whole.filter(([type]) => type === 'text').map(([, text]) => text).join(''), 'one < two');
+});
+
+test('tokenizer resolves namespace prefixes and passes CDATA through raw', () => {
+  const events = tokenize(['<r xmlns="urn:a" xmlns:b="urn:b"><b:x><![CDATA[<not a tag> &amp;]]></b:x></r>']);
+  assert.deepEqual(events.filter(([type]) => type === 'open').map(([, local, uri]) => [local, uri]), [['r', 'urn:a'], ['x', 'urn:b']]);
+  assert.deepEqual(events.find(([type]) => type === 'text'), ['text', '<not a tag> &amp;']);
+});
+
+test('tokenizer warns about a mismatched close tag and carries on', () => {
+  const events = tokenize(['<a><b></a><c/>']);
+  assert.ok(events.some(([type]) => type === 'warning'));
+  assert.ok(events.some(([type, local]) => type === 'open' && local === 'c'));
+});
+
+test('sitemap handler reads entries, alternates and media, and skips unusable ones', async () => {
+  const url = 'https://example.com/page-sitemap.xml';
+  const entries = await parseServed(url, {
+    [url]: `<?xml version="1.0" encoding="UTF-8"?>
+      <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+              xmlns:xhtml="http://www.w3.org/1999/xhtml"
+              xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+        <url>
+          <loc> https://example.com/a?x=1&amp;y=2 </loc>
+          <lastmod>2026-03-01</lastmod>
+          <changefreq>Weekly</changefreq>
+          <priority>2</priority>
+          <xhtml:link rel="alternate" hreflang="ES" href="https://es.example.com/a"/>
+          <image:image><image:loc>https://example.com/a.jpg</image:loc></image:image>
+        </url>
+        <url><loc>ftp://example.com/b</loc></url>
+        <url><lastmod>2026-03-01</lastmod></url>
+      </urlset>`
+  });
+
+  assert.equal(entries.length, 1);
+  const [entry] = entries;
+  assert.equal(entry.loc, 'https://example.com/a?x=1&y=2');
+  assert.equal(entry.lastmod, '2026-03-01T00:00:00.000Z');
+  assert.equal(entry.changefreq, 'weekly');
+  assert.equal(entry.priority, null);
+  assert.deepEqual(entry.alternates, [{ hreflang: 'es', href: 'https://es.example.com/a' }]);
+  assert.deepEqual(entry.images, ['https://example.com/a.jpg']);
+  assert.equal(entry.sitemap, url);
+  assert.equal(entry.source, 'sitemap');
+});
+
+test('sitemap handler follows a gzipped sitemap index to its children', async () => {
+  const index = 'https://example.com/sitemap_index.xml';
+  const child = 'https://example.com/post-sitemap.xml.gz';
+  const entries = await parseServed(index, {
+    [index]: `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><sitemap><loc>${child}</loc></sitemap></sitemapindex>`,
+    [child]: gzipSync('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>https://example.com/post/</loc></url></urlset>')
+  });
+
+  assert.deepEqual(entries.map(entry => [entry.loc, entry.sitemap]), [['https://example.com/post/', child]]);
+});